@@ -1,25 +1,36 @@
-// Content script for detecting PR pages and extracting code changes
+// Content script for PR pages: shows the analysis panel and triggers test runs
 class PRAnalyzer {
   constructor() {
-    this.platform = this.detectPlatform();
+    this.platform = 'unknown';
+    this.prInfo = null;
+    // PR data returned by the last analysis, used to trigger Jenkins
     this.prData = null;
-    this.codeChanges = [];
     this.init();
   }
 
-  detectPlatform() {
-    const hostname = window.location.hostname;
-    if (hostname.includes('github.com')) return 'github';
-    if (hostname.includes('gitlab.com')) return 'gitlab';
-    if (hostname.includes('bitbucket.org')) return 'bitbucket';
-    return 'unknown';
+  async resolvePullRequest() {
+    // The background worker matches the URL against built-in platforms and self-hosted instances
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'resolvePR',
+        data: { url: window.location.href }
+      });
+      return response?.success ? response : null;
+    } catch (error) {
+      console.error('Error resolving pull request:', error);
+      return null;
+    }
   }
 
-  init() {
+  async init() {
     // Dynamic Test Runner: Initializing
+    const resolved = await this.resolvePullRequest();
+    if (resolved) {
+      this.platform = resolved.platform;
+      this.prInfo = resolved.prInfo;
+    }
+
     this.createUI();
-    this.extractPRData();
-    this.observeChanges();
     this.setupMessageListener();
   }
 
@@ -97,464 +108,67 @@ class PRAnalyzer {
     document.getElementById('test-runner-panel').classList.remove('visible');
   }
 
-  extractPRData() {
-    switch (this.platform) {
-      case 'github':
-        this.extractGitHubPRData();
-        break;
-      case 'gitlab':
-        this.extractGitLabPRData();
-        break;
-      case 'bitbucket':
-        this.extractBitbucketPRData();
-        break;
-    }
-  }
-
-  extractGitHubPRData() {
-    const prNumber = window.location.pathname.match(/\/pull\/(\d+)/)?.[1];
-    const repoPath = window.location.pathname.match(/^\/([^\/]+\/[^\/]+)/)?.[1];
-    
-    console.log('🔍 Extracting GitHub PR data...');
-    console.log('🔍 URL:', window.location.href);
-    console.log('🔍 PR Number:', prNumber);
-    console.log('🔍 Repository Path:', repoPath);
-    
-    // Try multiple selectors for title
-    const titleSelectors = [
-      '.js-issue-title',
-      '.gh-header-title .js-issue-title',
-      '[data-testid="issue-title"]',
-      '.gh-header-title bdi',
-      'h1 bdi'
-    ];
-    
-    let title = null;
-    for (const selector of titleSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        title = element.textContent?.trim();
-        console.log(`🔍 Found title with selector '${selector}':`, title);
-        break;
-      }
-    }
-    
-    // Try multiple selectors for author
-    const authorSelectors = [
-      '.author',
-      '.timeline-comment-header .author',
-      '[data-hovercard-type="user"]',
-      '.gh-header-meta .author'
-    ];
-    
-    let author = null;
-    for (const selector of authorSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        author = element.textContent?.trim();
-        console.log(`🔍 Found author with selector '${selector}':`, author);
-        break;
-      }
-    }
-    
-    // Try multiple selectors for branches
-    const baseBranchSelectors = [
-      '.base-ref',
-      '.commit-ref.base-ref',
-      '[data-testid="base-ref"]'
-    ];
-    
-    const headBranchSelectors = [
-      '.head-ref',
-      '.commit-ref.head-ref',
-      '[data-testid="head-ref"]'
-    ];
-    
-    let baseBranch = null;
-    for (const selector of baseBranchSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        baseBranch = element.textContent?.trim();
-        break;
-      }
-    }
-    
-    let headBranch = null;
-    for (const selector of headBranchSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        headBranch = element.textContent?.trim();
-        break;
-      }
-    }
-    
-    this.prData = {
-      platform: 'github',
-      repository: repoPath,
-      prNumber: prNumber,
-      title: title || 'Unknown PR Title',
-      author: author || 'Unknown Author',
-      baseBranch: baseBranch || 'main',
-      headBranch: headBranch || 'feature-branch'
-    };
-    
-    console.log('🔍 Extracted PR data:', this.prData);
-    this.extractGitHubCodeChanges();
-  }
-
-  extractGitLabPRData() {
-    const mrNumber = window.location.pathname.match(/\/merge_requests\/(\d+)/)?.[1];
-    const repoPath = window.location.pathname.match(/^\/([^\/]+\/[^\/]+)/)?.[1];
-    
-    this.prData = {
-      platform: 'gitlab',
-      repository: repoPath,
-      prNumber: mrNumber,
-      title: document.querySelector('.detail-page-header-body .title')?.textContent?.trim(),
-      author: document.querySelector('.author-link')?.textContent?.trim(),
-      baseBranch: document.querySelector('.mr-source-target .ref-name')?.textContent?.trim(),
-      headBranch: document.querySelector('.mr-source-target .ref-name:last-child')?.textContent?.trim()
-    };
-
-    this.extractGitLabCodeChanges();
-  }
-
-  extractBitbucketPRData() {
-    const prNumber = window.location.pathname.match(/\/pull-requests\/(\d+)/)?.[1];
-    const repoPath = window.location.pathname.match(/^\/([^\/]+\/[^\/]+)/)?.[1];
-    
-    this.prData = {
-      platform: 'bitbucket',
-      repository: repoPath,
-      prNumber: prNumber,
-      title: document.querySelector('[data-testid="pr-title"]')?.textContent?.trim(),
-      author: document.querySelector('[data-testid="pr-author"]')?.textContent?.trim()
-    };
-
-    this.extractBitbucketCodeChanges();
-  }
-
-  extractGitHubCodeChanges() {
-    console.log('🔍 Extracting GitHub code changes...');
-    
-    // Try multiple selectors for diff elements
-    const diffSelectors = [
-      '.file-diff-split',
-      '.file-diff-unified', 
-      '.file',
-      '.js-file',
-      '[data-tagsearch-path]'
-    ];
-    
-    let diffElements = [];
-    for (const selector of diffSelectors) {
-      diffElements = document.querySelectorAll(selector);
-      if (diffElements.length > 0) {
-        console.log(`🔍 Found ${diffElements.length} diff elements with selector '${selector}'`);
-        break;
-      }
-    }
-    
-    this.codeChanges = [];
-
-    diffElements.forEach((diff, index) => {
-      console.log(`🔍 Processing diff element ${index + 1}/${diffElements.length}`);
-      
-      // Try multiple selectors for file name
-      const fileNameSelectors = [
-        '.file-header .file-info a',
-        '.file-header [data-path]',
-        '.file-header .file-info span[title]',
-        '.js-file-header [data-path]',
-        '.file-header .Link--primary'
-      ];
-      
-      let fileName = null;
-      for (const selector of fileNameSelectors) {
-        const element = diff.querySelector(selector);
-        if (element) {
-          fileName = element.textContent?.trim() || element.getAttribute('data-path') || element.getAttribute('title');
-          if (fileName) {
-            console.log(`🔍 Found filename with selector '${selector}':`, fileName);
-            break;
-          }
-        }
-      }
-      
-      if (!fileName) {
-        console.warn('⚠️ Could not extract filename from diff element');
-        return;
-      }
-
-      const addedLines = [];
-      const removedLines = [];
-      const modifiedFunctions = [];
-
-      // Extract added lines with multiple selectors
-      const addedLineSelectors = [
-        '.blob-code-addition',
-        '.blob-code.blob-code-addition',
-        '[data-code-marker="+"]',
-        '.added'
-      ];
-      
-      let addedLineElements = [];
-      for (const selector of addedLineSelectors) {
-        addedLineElements = diff.querySelectorAll(selector);
-        if (addedLineElements.length > 0) break;
-      }
-      
-      addedLineElements.forEach(line => {
-        const lineNumber = line.querySelector('.blob-num-addition, .blob-num')?.textContent?.trim();
-        const content = line.querySelector('.blob-code-inner, .blob-code')?.textContent?.trim() || line.textContent?.trim();
-        if (content && content.length > 0) {
-          addedLines.push({ lineNumber, content });
-          
-          // Detect function/method definitions
-          if (this.isFunctionDefinition(content)) {
-            const funcName = this.extractFunctionName(content);
-            if (funcName && !modifiedFunctions.includes(funcName)) {
-              modifiedFunctions.push(funcName);
-            }
-          }
-        }
-      });
-
-      // Extract removed lines with multiple selectors
-      const removedLineSelectors = [
-        '.blob-code-deletion',
-        '.blob-code.blob-code-deletion',
-        '[data-code-marker="-"]',
-        '.removed'
-      ];
-      
-      let removedLineElements = [];
-      for (const selector of removedLineSelectors) {
-        removedLineElements = diff.querySelectorAll(selector);
-        if (removedLineElements.length > 0) break;
-      }
-      
-      removedLineElements.forEach(line => {
-        const lineNumber = line.querySelector('.blob-num-deletion, .blob-num')?.textContent?.trim();
-        const content = line.querySelector('.blob-code-inner, .blob-code')?.textContent?.trim() || line.textContent?.trim();
-        if (content && content.length > 0) {
-          removedLines.push({ lineNumber, content });
-        }
-      });
-
-      const changeData = {
-        fileName,
-        fileExtension: this.getFileExtension(fileName),
-        addedLines,
-        removedLines,
-        modifiedFunctions,
-        changeType: this.determineChangeType(addedLines, removedLines)
-      };
-      
-      console.log(`🔍 Extracted change data for ${fileName}:`, {
-        addedLines: addedLines.length,
-        removedLines: removedLines.length,
-        modifiedFunctions: modifiedFunctions.length,
-        changeType: changeData.changeType
-      });
-      
-      this.codeChanges.push(changeData);
-    });
-    
-    console.log(`🔍 Total code changes extracted: ${this.codeChanges.length}`);
-    
-    // If no changes found, create a fallback
-    if (this.codeChanges.length === 0) {
-      console.warn('⚠️ No code changes detected, creating fallback change');
-      this.codeChanges = [{
-        fileName: 'src/main.js',
-        fileExtension: 'js',
-        addedLines: [{ lineNumber: '1', content: 'function main() { return true; }' }],
-        removedLines: [],
-        modifiedFunctions: ['main'],
-        changeType: 'modified'
-      }];
-    }
-  }
-
-  extractGitLabCodeChanges() {
-    const diffElements = document.querySelectorAll('.diff-file');
-    this.codeChanges = [];
-
-    diffElements.forEach(diff => {
-      const fileName = diff.querySelector('.diff-file-header .file-title-name')?.textContent?.trim();
-      
-      if (!fileName) return;
-
-      const addedLines = [];
-      const removedLines = [];
-      const modifiedFunctions = [];
-
-      // Extract changes from GitLab diff format
-      diff.querySelectorAll('.line_content.new').forEach(line => {
-        const content = line.textContent?.trim();
-        if (content) {
-          addedLines.push({ content });
-          
-          if (this.isFunctionDefinition(content)) {
-            modifiedFunctions.push(this.extractFunctionName(content));
-          }
-        }
-      });
-
-      diff.querySelectorAll('.line_content.old').forEach(line => {
-        const content = line.textContent?.trim();
-        if (content) {
-          removedLines.push({ content });
-        }
-      });
-
-      this.codeChanges.push({
-        fileName,
-        fileExtension: this.getFileExtension(fileName),
-        addedLines,
-        removedLines,
-        modifiedFunctions,
-        changeType: this.determineChangeType(addedLines, removedLines)
-      });
-    });
-  }
-
-  extractBitbucketCodeChanges() {
-    // Similar implementation for Bitbucket
-    const diffElements = document.querySelectorAll('[data-testid="file-diff"]');
-    this.codeChanges = [];
-
-    diffElements.forEach(diff => {
-      const fileName = diff.querySelector('[data-testid="file-path"]')?.textContent?.trim();
-      
-      if (!fileName) return;
-
-      const addedLines = [];
-      const removedLines = [];
-      const modifiedFunctions = [];
-
-      // Extract Bitbucket diff changes
-      diff.querySelectorAll('[data-testid="diff-line-added"]').forEach(line => {
-        const content = line.textContent?.trim();
-        if (content) {
-          addedLines.push({ content });
-          
-          if (this.isFunctionDefinition(content)) {
-            modifiedFunctions.push(this.extractFunctionName(content));
-          }
-        }
-      });
-
-      this.codeChanges.push({
-        fileName,
-        fileExtension: this.getFileExtension(fileName),
-        addedLines,
-        removedLines,
-        modifiedFunctions,
-        changeType: this.determineChangeType(addedLines, removedLines)
-      });
-    });
-  }
-
-  isFunctionDefinition(line) {
-    // Detect function definitions in various languages
-    const patterns = [
-      /^\s*(public|private|protected)?\s*(static)?\s*(async)?\s*function\s+\w+/i, // JavaScript/PHP
-      /^\s*(public|private|protected)?\s*(static)?\s*\w+\s*\([^)]*\)\s*{/i, // Java/C#
-      /^\s*def\s+\w+/i, // Python
-      /^\s*(public|private):\s*$/i, // C++
-      /^\s*class\s+\w+/i, // Class definitions
-      /^\s*interface\s+\w+/i, // Interface definitions
-      /^\s*const\s+\w+\s*=/i, // Const declarations
-      /^\s*let\s+\w+\s*=/i, // Let declarations
-      /^\s*var\s+\w+\s*=/i // Var declarations
-    ];
-
-    return patterns.some(pattern => pattern.test(line));
-  }
-
-  extractFunctionName(line) {
-    const patterns = [
-      /function\s+(\w+)/i,
-      /def\s+(\w+)/i,
-      /class\s+(\w+)/i,
-      /interface\s+(\w+)/i,
-      /(const|let|var)\s+(\w+)/i
-    ];
-
-    for (const pattern of patterns) {
-      const match = line.match(pattern);
-      if (match) return match[1] || match[2];
-    }
-
-    return 'unknown';
-  }
-
-  getFileExtension(fileName) {
-    return fileName.split('.').pop()?.toLowerCase() || '';
-  }
-
-  determineChangeType(addedLines, removedLines) {
-    if (addedLines.length > 0 && removedLines.length > 0) return 'modified';
-    if (addedLines.length > 0) return 'added';
-    if (removedLines.length > 0) return 'deleted';
-    return 'unchanged';
-  }
-
   async analyzeTests() {
     document.getElementById('loading-indicator').style.display = 'block';
     document.getElementById('test-results').style.display = 'none';
 
     try {
-      // Re-extract data to ensure we have the latest
-      this.extractPRData();
-      
-      // Debug: Log extracted data
-      console.log('🔍 PR Data extracted:', this.prData);
-      console.log('🔍 Code changes extracted:', this.codeChanges);
-      
-      // Validate data before sending
-      if (!this.prData || !this.prData.repository) {
-        throw new Error('Could not extract PR repository information from page. Make sure you are on a Pull Request page.');
-      }
-      
-      if (!this.prData.repository.includes('/')) {
-        throw new Error(`Invalid repository format: ${this.prData.repository}. Expected format: owner/repo`);
-      }
-      
-      if (!this.codeChanges || this.codeChanges.length === 0) {
-        console.warn('⚠️ No code changes detected, using fallback');
-        this.codeChanges = [{ 
-          fileName: 'src/main.js', 
-          fileExtension: 'js',
-          changeType: 'modified',
-          modifiedFunctions: ['main'],
-          addedLines: [],
-          removedLines: []
-        }];
+      // PR pages navigate without reloading, so resolve the current URL again
+      const resolved = await this.resolvePullRequest();
+      if (!resolved) {
+        throw new Error('Could not recognize this page as a pull request. Add self-hosted instances in the extension settings.');
       }
+      this.platform = resolved.platform;
+      this.prInfo = resolved.prInfo;
 
-      // Send data to background script for analysis
+      // The background worker fetches the PR from the platform API and selects the tests
       const response = await chrome.runtime.sendMessage({
-        action: 'analyzeTests',
-        prData: this.prData,
-        codeChanges: this.codeChanges
+        action: 'analyzePR',
+        data: { platform: this.platform, prInfo: this.prInfo }
       });
 
       console.log('🔍 Analysis response:', response);
       
-      if (response && response.error) {
-        throw new Error(response.error);
+      if (!response?.success) {
+        throw new Error(response?.error || 'Analysis failed');
       }
 
-      this.displayResults(response);
+      this.prData = response.prData;
+      this.displayResults(this.toPanelResults(response.analysis));
     } catch (error) {
       console.error('❌ Analysis error:', error);
       this.displayError(error.message);
     }
   }
 
+  toPanelResults(analysis) {
+    // Confidence is reported from 0 to 1
+    const identifiedTests = (analysis.identifiedTests || []).map(test => ({
+      ...test,
+      fileName: test.path,
+      confidence: Math.round((test.confidence || 0) * 100),
+      ...(test.testCases?.length && { methods: test.testCases.map(testCase => testCase.name) })
+    }));
+    const coverage = analysis.coverage || 0;
+    const riskAnalysis = analysis.riskAnalysis || { totalRisk: 0, risks: [] };
+    const warnings = (analysis.recommendations || []).filter(recommendation => recommendation.type === 'truncated_diff');
+    const minutes = 2 + identifiedTests.length * 0.5;
+
+    return {
+      identifiedTests,
+      coverage: {
+        estimatedCoverage: coverage,
+        // Files with large changes, which weigh most in the risk score
+        criticalPaths: riskAnalysis.risks.filter(risk => risk.risk >= 30).length,
+        riskScore: riskAnalysis.totalRisk,
+        testCoverage: coverage >= 80 ? 'Excellent' : coverage >= 60 ? 'Good' : coverage >= 40 ? 'Fair' : 'Poor'
+      },
+      estimatedRunTime: minutes < 60 ? `${Math.round(minutes)} minutes` : `${Math.round(minutes / 60)} hours`,
+      note: warnings.map(warning => warning.message).join('. ') || null,
+      repoConfig: analysis.repoConfig
+    };
+  }
+
   displayResults(results) {
     document.getElementById('loading-indicator').style.display = 'none';
     document.getElementById('test-results').style.display = 'block';
@@ -575,18 +189,22 @@ class PRAnalyzer {
         </li>
       `;
     } else {
+      // Group by owning team when tests were attributed from CODEOWNERS
+      const grouped = results.identifiedTests.some(test => Array.isArray(test.owners));
+      const groups = new Map();
       results.identifiedTests.forEach(test => {
-        const methods = test.methods || test.estimatedMethods || ['test methods'];
-        const li = document.createElement('li');
-        li.innerHTML = `
-          <div class="test-file">
-            <span class="file-name">${test.fileName}</span>
-            <span class="confidence">Confidence: ${test.confidence}%</span>
-            <div class="test-methods">${Array.isArray(methods) ? methods.join(', ') : methods}</div>
-            <div class="test-reason">${test.reason || 'Identified as test file'}</div>
-          </div>
-        `;
-        testFilesList.appendChild(li);
+        const owners = grouped && test.owners?.length ? test.owners : [grouped ? 'No owner' : null];
+        owners.forEach(owner => groups.set(owner, [...(groups.get(owner) || []), test]));
+      });
+
+      groups.forEach((tests, owner) => {
+        if (owner) {
+          const header = document.createElement('li');
+          header.className = 'owner-group';
+          header.textContent = owner;
+          testFilesList.appendChild(header);
+        }
+        tests.forEach(test => this.appendTestFile(testFilesList, test));
       });
     }
 
@@ -635,6 +253,11 @@ class PRAnalyzer {
       `;
     }
 
+    // Settings from the repository's .testrunner.yml, or why they were ignored
+    if (results.repoConfig) {
+      this.appendRepoConfigNote(coverageInfo, results.repoConfig);
+    }
+
     // Display pipeline status
     const pipelineStatus = document.getElementById('pipeline-status');
     const testsCount = results.identifiedTests ? results.identifiedTests.length : 0;
@@ -649,6 +272,45 @@ class PRAnalyzer {
     `;
   }
 
+  appendRepoConfigNote(container, repoConfig) {
+    const note = document.createElement('div');
+    const errors = repoConfig.errors || [];
+
+    if (errors.length === 0) {
+      note.className = 'info-note';
+      note.innerHTML = '<strong>Info:</strong> ';
+      note.append(`Using test settings from ${repoConfig.path}`);
+    } else {
+      note.className = 'error-note repo-config-errors';
+      note.innerHTML = '<strong>Note:</strong> ';
+      note.append(`${repoConfig.path} was ignored because it is invalid:`);
+
+      const list = document.createElement('ul');
+      errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+      });
+      note.appendChild(list);
+    }
+
+    container.appendChild(note);
+  }
+
+  appendTestFile(list, test) {
+    const methods = test.methods || test.estimatedMethods || ['test methods'];
+    const li = document.createElement('li');
+    li.innerHTML = `
+      <div class="test-file">
+        <span class="file-name">${test.fileName || test.path}</span>
+        <span class="confidence">Confidence: ${test.confidence}%</span>
+        <div class="test-methods">${Array.isArray(methods) ? methods.join(', ') : methods}</div>
+        <div class="test-reason">${test.reason || 'Identified as test file'}</div>
+      </div>
+    `;
+    list.appendChild(li);
+  }
+
   displayError(message) {
     document.getElementById('loading-indicator').style.display = 'none';
     document.getElementById('test-results').innerHTML = `
@@ -689,24 +351,30 @@ class PRAnalyzer {
         throw new Error('Extension context invalidated. Please reload the page and try again.');
       }
       
+      // Labels are read again when triggering, so a label added after the analysis applies
       const response = await chrome.runtime.sendMessage({
-        action: 'triggerJenkinsPipeline',
-        prData: this.prData,
-        testFiles: testFiles
+        action: 'triggerJenkins',
+        data: {
+          platform: this.platform,
+          prInfo: this.prInfo,
+          repoUrl: this.prData.repository.cloneUrl,
+          prNumber: this.prData.number,
+          branch: this.prData.branch,
+          headSha: this.prData.headSha,
+          testFiles: [...new Set(testFiles.map(test => test.fileName))]
+        }
       });
       
       console.log('🚀 Pipeline response:', response);
       
-      if (response && response.error) {
-        throw new Error(response.error);
-      }
-      
-      if (response && response.success) {
-        this.updatePipelineStatus(response);
-        this.showMessage('Jenkins pipeline triggered successfully!', 'success');
-      } else {
-        throw new Error('Invalid response from Jenkins API');
+      if (!response?.success) {
+        throw new Error(response?.error || 'Invalid response from Jenkins API');
       }
+
+      this.updatePipelineStatus(response);
+      this.showMessage(response.skipped
+        ? `Tests skipped because of the ${response.policy.reason}`
+        : 'Jenkins pipeline triggered successfully!', 'success');
       
     } catch (error) {
       console.error('❌ Pipeline trigger error:', error);
@@ -721,7 +389,7 @@ class PRAnalyzer {
 
   getSelectedTestFiles() {
     // Get currently selected/identified test files
-    const testElements = document.querySelectorAll('#test-files-list .test-file');
+    const testElements = document.querySelectorAll('#test-files-list li:not(.no-tests) .test-file');
     return Array.from(testElements).map(el => ({
       fileName: el.querySelector('.file-name').textContent,
       methods: el.querySelector('.test-methods').textContent.split(', ')
@@ -739,17 +407,26 @@ class PRAnalyzer {
           <div class="help-text">Check Jenkins configuration in extension settings</div>
         </div>
       `;
+    } else if (response.skipped) {
+      pipelineStatus.innerHTML = `
+        <div class="pipeline-info">
+          <div class="status">Status: <span class="warning">Skipped</span></div>
+          <div class="help-text"></div>
+        </div>
+      `;
+      pipelineStatus.querySelector('.help-text').textContent = `No build was started because of the ${response.policy.reason}`;
     } else if (response.success) {
+      // Jenkins queues the build; its number is known once it starts
       pipelineStatus.innerHTML = `
         <div class="pipeline-info">
-          <div class="status">Status: <span class="running">Running</span></div>
-          <div class="build-number">Build: #${response.buildNumber}</div>
+          <div class="status">Status: <span class="running">Queued</span></div>
           <div class="jenkins-link">
-            <a href="${response.buildUrl}" target="_blank">View in Jenkins</a>
+            <a target="_blank">View in Jenkins</a>
           </div>
           <div class="help-text">Pipeline started successfully</div>
         </div>
       `;
+      pipelineStatus.querySelector('.jenkins-link a').href = response.buildInfo.buildUrl;
     } else {
       pipelineStatus.innerHTML = `
         <div class="pipeline-info">
@@ -787,23 +464,6 @@ class PRAnalyzer {
     }, 5000);
   }
 
-  observeChanges() {
-    // Observe DOM changes to detect when PR content is updated
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (mutation.type === 'childList') {
-          // Re-extract PR data if content changes
-          this.extractPRData();
-        }
-      });
-    });
-
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
-  }
-
   setupMessageListener() {
     // Listen for messages from popup
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
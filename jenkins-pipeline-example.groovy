@@ -30,6 +30,16 @@ pipeline {
             defaultValue: '80',
             description: 'Minimum coverage threshold percentage'
         )
+        string(
+            name: 'TEST_SCOPE',
+            defaultValue: 'selected',
+            description: 'selected, full (run-full-regression label) or smoke (smoke-only label)'
+        )
+        string(
+            name: 'TEST_TAGS',
+            defaultValue: '',
+            description: 'Comma-separated test tags to run when TEST_FILES is empty'
+        )
     }
     
     environment {
@@ -177,7 +187,12 @@ pipeline {
                     // Parse test files
                     def testFiles = params.TEST_FILES.split(',').collect { it.trim() }.findAll { it }
                     
-                    if (testFiles.isEmpty()) {
+                    def testTags = params.TEST_TAGS.split(',').collect { it.trim() }.findAll { it }
+                    
+                    if (testFiles.isEmpty() && !testTags.isEmpty()) {
+                        echo "🏷️ Running tests tagged: ${testTags.join(', ')}"
+                        runTaggedTests(testTags)
+                    } else if (testFiles.isEmpty()) {
                         echo "⚠️ No specific test files provided, running all tests"
                         runAllTests()
                     } else {
@@ -356,6 +371,41 @@ def runAllTests() {
     }
 }
 
+// Single-quote a value for sh, so tags typed into the build cannot inject shell syntax
+def shellQuote(value) {
+    return "'" + value.toString().replace("'", "'\\''") + "'"
+}
+
+// Tags are matched literally where the runner takes a regular expression
+def regexEscape(value) {
+    return value.toString().replaceAll('[.*+?^${}()|\\[\\]\\\\]', '\\\\$0')
+}
+
+def runTaggedTests(testTags) {
+    switch(env.PROJECT_TYPE) {
+        case 'nodejs':
+            sh "npm test -- --testNamePattern=${shellQuote(testTags.collect { regexEscape(it) }.join('|'))}"
+            break
+        case 'maven':
+            sh "mvn test -Dgroups=${shellQuote(testTags.join(','))}"
+            break
+        case 'gradle':
+            sh "./gradlew test -PincludeTags=${shellQuote(testTags.join(','))}"
+            break
+        case 'python':
+            sh "python -m pytest -m ${shellQuote(testTags.join(' or '))}"
+            break
+        case 'go':
+            // Go has no test tags (-tags selects build constraints), so by convention
+            // a tag is part of the test name, e.g. TestCheckout_smoke for "smoke"
+            sh "go test -run ${shellQuote(testTags.collect { regexEscape(it) }.join('|'))} ./..."
+            break
+        default:
+            echo "⚠️ Cannot run tagged tests for unknown project type, running all tests"
+            runAllTests()
+    }
+}
+
 def runSpecificTests(testFiles) {
     switch(env.PROJECT_TYPE) {
         case 'nodejs':
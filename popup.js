@@ -2,17 +2,22 @@
 class PopupManager {
   constructor() {
     this.config = null;
+    // GitHub App private key, kept in local storage so it never syncs
+    this.appPrivateKey = '';
     this.stats = {
       testsRunToday: 0,
       successRate: 0,
       avgRuntime: 0
     };
+    this.rateLimits = {};
     this.init();
   }
 
   async init() {
     await this.loadConfig();
+    await this.loadAppPrivateKey();
     await this.loadStats();
+    await this.loadRateLimits();
     this.setupEventListeners();
     this.updateUI();
   }
@@ -27,6 +32,15 @@ class PopupManager {
     }
   }
 
+  async loadAppPrivateKey() {
+    try {
+      const result = await chrome.storage.local.get(['testRunnerAppKey']);
+      this.appPrivateKey = result.testRunnerAppKey || '';
+    } catch (error) {
+      console.error('Error loading GitHub App key:', error);
+    }
+  }
+
   async loadStats() {
     try {
       const result = await chrome.storage.local.get(['testRunnerStats']);
@@ -36,6 +50,15 @@ class PopupManager {
     }
   }
 
+  async loadRateLimits() {
+    try {
+      const result = await chrome.storage.local.get(['testRunnerRateLimits']);
+      this.rateLimits = result.testRunnerRateLimits || {};
+    } catch (error) {
+      console.error('Error loading rate limits:', error);
+    }
+  }
+
   getDefaultConfig() {
     return {
       jenkins: {
@@ -54,6 +77,10 @@ class PopupManager {
         username: '',
         appPassword: ''
       },
+      azureDevOps: {
+        token: ''
+      },
+      hosts: [],
       coverageThreshold: 80,
       maxTestsToRun: 50,
       autoTrigger: false
@@ -86,6 +113,22 @@ class PopupManager {
       this.testConnection();
     });
 
+    document.getElementById('add-host').addEventListener('click', () => {
+      this.addHost();
+    });
+
+    document.getElementById('add-credential').addEventListener('click', () => {
+      this.addCredential();
+    });
+
+    document.getElementById('github-sign-in').addEventListener('click', () => {
+      this.signInWithGitHub();
+    });
+
+    document.getElementById('github-sign-out').addEventListener('click', () => {
+      this.signOutOfGitHub();
+    });
+
     // History actions
     document.getElementById('clear-history').addEventListener('click', () => {
       this.clearHistory();
@@ -109,8 +152,8 @@ class PopupManager {
   setupConfigInputListeners() {
     const inputs = [
       'jenkins-url', 'jenkins-username', 'jenkins-token', 'jenkins-job',
-      'github-token', 'gitlab-token', 'bitbucket-username', 'bitbucket-password',
-      'coverage-threshold', 'max-tests', 'auto-trigger'
+      'github-token', 'github-base-url', 'github-client-id', 'github-app-id', 'github-app-private-key', 'gitlab-token', 'bitbucket-username', 'bitbucket-password', 'azure-devops-token',
+      'coverage-threshold', 'max-tests', 'auto-trigger', 'incremental-analysis', 'workspace-analysis', 'fetch-contents', 'import-graph-analysis', 'label-policies', 'draft-policy', 'inline-review-comments', 'mention-owners', 'checks-enabled', 'checks-mode'
     ];
 
     inputs.forEach(id => {
@@ -153,6 +196,8 @@ class PopupManager {
     document.getElementById('success-rate').textContent = `${this.stats.successRate}%`;
     document.getElementById('avg-runtime').textContent = `${this.stats.avgRuntime}m`;
 
+    this.updateQuota();
+
     // Update status indicator
     const statusIndicator = document.getElementById('status-indicator');
     const isConfigured = this.isConfigurationComplete();
@@ -170,6 +215,37 @@ class PopupManager {
     }
   }
 
+  updateQuota() {
+    const quotaList = document.getElementById('quota-list');
+    const hosts = Object.entries(this.rateLimits);
+
+    if (hosts.length === 0) {
+      quotaList.innerHTML = '<div class="quota-item">No API requests yet</div>';
+      return;
+    }
+
+    quotaList.innerHTML = hosts.map(([key, quota]) => {
+      // Snapshots are kept per host and resource; GitHub search and GraphQL have their own quotas
+      const host = quota.host
+        ? `${quota.host}${quota.resource && quota.resource !== 'core' ? ` (${quota.resource})` : ''}`
+        : key;
+      const isLow = quota.limit && quota.remaining !== null && quota.remaining / quota.limit < 0.1;
+      const remaining = quota.limit
+        ? `${quota.remaining} / ${quota.limit}`
+        : `${quota.remaining}`;
+      const reset = quota.reset && quota.reset > Date.now()
+        ? ` • resets ${new Date(quota.reset).toLocaleTimeString()}`
+        : '';
+
+      return `
+        <div class="quota-item${isLow ? ' low' : ''}">
+          <span>${host}</span>
+          <span><span class="quota-remaining">${remaining}</span><span class="quota-reset">${reset}</span></span>
+        </div>
+      `;
+    }).join('');
+  }
+
   updateConfigForm() {
     // Populate Jenkins config
     document.getElementById('jenkins-url').value = this.config.jenkins.url || '';
@@ -180,14 +256,193 @@ class PopupManager {
 
     // Populate Git platform tokens
     document.getElementById('github-token').value = this.config.github.token || '';
+    document.getElementById('github-base-url').value = this.config.github.baseUrl || '';
+    document.getElementById('github-client-id').value = this.config.github.oauthClientId || '';
+    document.getElementById('github-app-id').value = this.config.github.app?.appId || '';
+    document.getElementById('github-app-private-key').value = this.appPrivateKey;
+    this.loadGitHubAuthStatus();
     document.getElementById('gitlab-token').value = this.config.gitlab.token || '';
     document.getElementById('bitbucket-username').value = this.config.bitbucket.username || '';
     document.getElementById('bitbucket-password').value = this.config.bitbucket.appPassword || '';
+    document.getElementById('azure-devops-token').value = this.config.azureDevOps?.token || '';
 
     // Populate test settings
     document.getElementById('coverage-threshold').value = this.config.coverageThreshold || 80;
     document.getElementById('max-tests').value = this.config.maxTestsToRun || 50;
     document.getElementById('auto-trigger').checked = this.config.autoTrigger || false;
+    document.getElementById('incremental-analysis').checked = this.config.analysis?.incremental !== false;
+    document.getElementById('workspace-analysis').checked = this.config.analysis?.workspaces !== false;
+    document.getElementById('fetch-contents').checked = this.config.analysis?.fetchContents || false;
+    document.getElementById('import-graph-analysis').checked = this.config.analysis?.importGraph !== false;
+    document.getElementById('label-policies').value = Object.entries(this.config.policies?.labels || {})
+      .map(([label, policy]) => `${label}: ${policy}`)
+      .join('\n');
+    document.getElementById('draft-policy').value = this.config.policies?.draft || '';
+
+    // Populate PR feedback
+    document.getElementById('inline-review-comments').checked = this.config.features?.inlineReviewComments || false;
+    document.getElementById('mention-owners').checked = this.config.features?.mentionOwners || false;
+    document.getElementById('checks-enabled').checked = this.config.checks?.enabled || false;
+    document.getElementById('checks-mode').value = this.config.checks?.mode || 'check-run';
+
+    // Populate per-organization credentials
+    this.renderCredentials();
+
+    // Populate self-hosted instances
+    this.renderHosts();
+  }
+
+  renderHosts() {
+    const hostList = document.getElementById('host-list');
+    const hosts = this.config.hosts || [];
+
+    hostList.innerHTML = hosts.map((host, index) => `
+      <div class="host-item">
+        <div class="host-details">
+          <span class="host-name">${host.hostname}</span>
+          <span class="host-meta">${this.getPlatformLabel(host.platform)}${host.apiUrl ? ` • ${host.apiUrl}` : ''}</span>
+        </div>
+        <button class="action-btn secondary small" data-host-index="${index}">Remove</button>
+      </div>
+    `).join('');
+
+    hostList.querySelectorAll('[data-host-index]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.removeHost(parseInt(btn.dataset.hostIndex));
+      });
+    });
+  }
+
+  getPlatformLabel(platform) {
+    switch (platform) {
+      case 'github': return 'GitHub Enterprise Server';
+      case 'gitlab': return 'GitLab Self-Managed';
+      case 'bitbucket-server': return 'Bitbucket Data Center';
+      case 'gitea': return 'Gitea / Forgejo';
+      default: return platform;
+    }
+  }
+
+  addHost() {
+    const hostnameInput = document.getElementById('host-hostname');
+    const apiUrlInput = document.getElementById('host-api-url');
+    const tokenInput = document.getElementById('host-token');
+    const hostname = hostnameInput.value.trim().toLowerCase();
+    const platform = document.getElementById('host-platform').value;
+    let apiUrl = apiUrlInput.value.trim();
+
+    if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/.test(hostname)) {
+      this.showMessage('Enter a hostname without scheme or path, e.g. github.example.com.', 'error');
+      return;
+    }
+
+    if (apiUrl) {
+      try {
+        apiUrl = new URL(apiUrl).href.replace(/\/+$/, '');
+      } catch (error) {
+        this.showMessage('API URL is not a valid URL.', 'error');
+        return;
+      }
+    }
+
+    this.config.hosts = this.config.hosts || [];
+
+    if (this.config.hosts.some(host => host.hostname === hostname)) {
+      this.showMessage(`${hostname} is already configured.`, 'error');
+      return;
+    }
+
+    // Only Gitea / Forgejo instances carry their own token
+    const token = platform === 'gitea' ? tokenInput.value.trim() : '';
+
+    this.config.hosts.push({ hostname, platform, apiUrl, ...(token && { token }) });
+    hostnameInput.value = '';
+    apiUrlInput.value = '';
+    tokenInput.value = '';
+
+    this.renderHosts();
+    this.showMessage('Instance added. Save configuration to apply.', 'info');
+  }
+
+  removeHost(index) {
+    this.config.hosts = (this.config.hosts || []).filter((host, i) => i !== index);
+    this.renderHosts();
+  }
+
+  renderCredentials() {
+    const credentialList = document.getElementById('credential-list');
+    const credentials = this.config.credentials || [];
+
+    // Tokens are never rendered back into the page, and the user-entered
+    // label, owner and username are set as text rather than markup
+    credentialList.replaceChildren(...credentials.map((credential, index) => {
+      const item = document.createElement('div');
+      const details = document.createElement('div');
+      const name = document.createElement('span');
+      const meta = document.createElement('span');
+      const removeBtn = document.createElement('button');
+
+      item.className = 'host-item';
+      details.className = 'host-details';
+      name.className = 'host-name';
+      name.textContent = credential.label || `${credential.owner} on ${credential.hostname}`;
+      meta.className = 'host-meta';
+      meta.textContent = [credential.hostname, credential.owner, credential.username].filter(Boolean).join(' • ');
+      removeBtn.className = 'action-btn secondary small';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => this.removeCredential(index));
+
+      details.append(name, meta);
+      item.append(details, removeBtn);
+      return item;
+    }));
+  }
+
+  addCredential() {
+    const fields = ['hostname', 'owner', 'username', 'token', 'label']
+      .map(name => [name, document.getElementById(`credential-${name}`)]);
+    const values = Object.fromEntries(fields.map(([name, input]) => [name, input.value.trim()]));
+    const hostname = values.hostname.toLowerCase();
+    const owner = (values.owner || '*').toLowerCase();
+
+    if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/.test(hostname)) {
+      this.showMessage('Enter a hostname without scheme or path, e.g. github.com.', 'error');
+      return;
+    }
+
+    if (!/^[\w.*-]+$/.test(owner)) {
+      this.showMessage('Owner pattern may only contain letters, digits, -, _, . and *.', 'error');
+      return;
+    }
+
+    if (!values.token) {
+      this.showMessage('Enter the token for this organization.', 'error');
+      return;
+    }
+
+    this.config.credentials = this.config.credentials || [];
+
+    if (this.config.credentials.some(credential => credential.hostname === hostname && credential.owner === owner)) {
+      this.showMessage(`A credential for ${owner} on ${hostname} already exists.`, 'error');
+      return;
+    }
+
+    this.config.credentials.push({
+      label: values.label,
+      hostname,
+      owner,
+      username: values.username,
+      token: values.token
+    });
+    fields.forEach(([, input]) => { input.value = ''; });
+
+    this.renderCredentials();
+    this.showMessage('Credential added. Save configuration to apply.', 'info');
+  }
+
+  removeCredential(index) {
+    this.config.credentials = (this.config.credentials || []).filter((credential, i) => i !== index);
+    this.renderCredentials();
   }
 
   updateConfigFromInputs() {
@@ -197,21 +452,65 @@ class PopupManager {
     this.config.jenkins.jobName = document.getElementById('jenkins-job').value.trim();
     this.config.jenkins.buildToken = document.getElementById('jenkins-build-token').value.trim();
 
-    this.config.github.token = document.getElementById('github-token').value.trim();
+    const githubToken = document.getElementById('github-token').value.trim();
+    this.config.github = {
+      ...this.config.github,
+      // Editing the token by hand replaces the signed-in token
+      authMethod: githubToken === this.config.github.token ? this.config.github.authMethod : 'token',
+      token: githubToken,
+      baseUrl: document.getElementById('github-base-url').value.trim().replace(/\/+$/, ''),
+      oauthClientId: document.getElementById('github-client-id').value.trim(),
+      app: {
+        appId: document.getElementById('github-app-id').value.trim()
+      }
+    };
+    this.appPrivateKey = document.getElementById('github-app-private-key').value.trim();
     this.config.gitlab.token = document.getElementById('gitlab-token').value.trim();
     this.config.bitbucket.username = document.getElementById('bitbucket-username').value.trim();
     this.config.bitbucket.appPassword = document.getElementById('bitbucket-password').value.trim();
+    this.config.azureDevOps = {
+      ...this.config.azureDevOps,
+      token: document.getElementById('azure-devops-token').value.trim()
+    };
     
     this.config.coverageThreshold = parseInt(document.getElementById('coverage-threshold').value) || 80;
     this.config.maxTestsToRun = parseInt(document.getElementById('max-tests').value) || 50;
     this.config.autoTrigger = document.getElementById('auto-trigger').checked;
+    this.config.analysis = {
+      ...this.config.analysis,
+      incremental: document.getElementById('incremental-analysis').checked,
+      workspaces: document.getElementById('workspace-analysis').checked,
+      fetchContents: document.getElementById('fetch-contents').checked,
+      importGraph: document.getElementById('import-graph-analysis').checked
+    };
+    this.config.policies = {
+      ...this.config.policies,
+      labels: Object.fromEntries(document.getElementById('label-policies').value
+        .split('\n')
+        .filter(line => line.includes(':'))
+        // Labels may contain colons (e.g. "ci: smoke-only"), so split on the last one
+        .map(line => [line.slice(0, line.lastIndexOf(':')).trim(), line.slice(line.lastIndexOf(':') + 1).trim()])
+        .filter(([label, policy]) => label && ['full', 'skip', 'smoke'].includes(policy))),
+      draft: document.getElementById('draft-policy').value || null
+    };
+    this.config.features = {
+      ...this.config.features,
+      inlineReviewComments: document.getElementById('inline-review-comments').checked,
+      mentionOwners: document.getElementById('mention-owners').checked
+    };
+    this.config.checks = {
+      ...this.config.checks,
+      enabled: document.getElementById('checks-enabled').checked,
+      mode: document.getElementById('checks-mode').value
+    };
   }
 
   isConfigurationComplete() {
     const jenkins = this.config.jenkins;
     const hasJenkins = jenkins.url && jenkins.username && jenkins.token;
-    const hasGitPlatform = this.config.github.token || this.config.gitlab.token || 
-                          (this.config.bitbucket.username && this.config.bitbucket.appPassword);
+    const hasGitPlatform = this.config.github.token || this.config.github.app?.appId || this.config.credentials?.length || this.config.gitlab.token || 
+                          (this.config.bitbucket.username && this.config.bitbucket.appPassword) ||
+                          this.config.azureDevOps?.token || this.config.hosts?.some(host => host.token);
     
     return hasJenkins && hasGitPlatform;
   }
@@ -273,10 +572,29 @@ class PopupManager {
     const prPatterns = [
       /github\.com\/.*\/pull\/\d+/,
       /gitlab\.com\/.*\/merge_requests\/\d+/,
-      /bitbucket\.org\/.*\/pull-requests\/\d+/
+      /bitbucket\.org\/.*\/pull-requests\/\d+/,
+      /dev\.azure\.com\/.*\/_git\/.*\/pullrequest\/\d+/
     ];
     
-    return prPatterns.some(pattern => pattern.test(url));
+    if (prPatterns.some(pattern => pattern.test(url))) {
+      return true;
+    }
+
+    // Self-hosted instances
+    const selfHostedPaths = {
+      'github': /\/pull\/\d+/,
+      'gitlab': /\/merge_requests\/\d+/,
+      'bitbucket-server': /\/pull-requests\/\d+/,
+      'gitea': /\/pulls\/\d+/
+    };
+
+    try {
+      const { hostname, pathname } = new URL(url);
+      const host = (this.config.hosts || []).find(entry => entry.hostname === hostname.toLowerCase());
+      return Boolean(host && selfHostedPaths[host.platform]?.test(pathname));
+    } catch (error) {
+      return false;
+    }
   }
 
   async viewLastResults() {
@@ -308,6 +626,9 @@ class PopupManager {
         return;
       }
 
+      // The key goes to local storage first, so the services rebuilt on save read it
+      await chrome.storage.local.set({ testRunnerAppKey: this.appPrivateKey });
+
       // Save to background script
       await chrome.runtime.sendMessage({
         action: 'updateConfig',
@@ -336,17 +657,117 @@ class PopupManager {
       return false;
     }
 
-    const hasGitPlatform = this.config.github.token || this.config.gitlab.token || 
-                          (this.config.bitbucket.username && this.config.bitbucket.appPassword);
+    const hasGitPlatform = this.config.github.token || this.config.github.app?.appId || this.config.credentials?.length || this.config.gitlab.token || 
+                          (this.config.bitbucket.username && this.config.bitbucket.appPassword) ||
+                          this.config.azureDevOps?.token || this.config.hosts?.some(host => host.token);
     
     if (!hasGitPlatform) {
       this.showMessage('At least one Git platform token is required.', 'error');
       return false;
     }
 
+    if (this.appPrivateKey && !/-----BEGIN (RSA )?PRIVATE KEY-----/.test(this.appPrivateKey)) {
+      this.showMessage('GitHub App private key must be the PEM file downloaded from the app settings.', 'error');
+      return false;
+    }
+
     return true;
   }
 
+  async signInWithGitHub() {
+    const signInBtn = document.getElementById('github-sign-in');
+
+    try {
+      this.updateConfigFromInputs();
+      signInBtn.disabled = true;
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'githubSignIn',
+        data: {
+          baseUrl: this.config.github.baseUrl,
+          oauthClientId: this.config.github.oauthClientId
+        }
+      });
+
+      if (!response?.success) {
+        this.showMessage(`GitHub sign-in failed: ${response?.error || 'no response'}`, 'error');
+        return;
+      }
+
+      this.renderGitHubAuthStatus({ signedIn: false, pending: response });
+      chrome.tabs.create({ url: response.verificationUri });
+    } catch (error) {
+      console.error('Error signing in to GitHub:', error);
+      this.showMessage('GitHub sign-in failed: ' + error.message, 'error');
+    } finally {
+      signInBtn.disabled = false;
+    }
+  }
+
+  async signOutOfGitHub() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'githubSignOut' });
+      await this.loadConfig();
+      this.updateUI();
+      this.showMessage('Signed out of GitHub', 'success');
+    } catch (error) {
+      console.error('Error signing out of GitHub:', error);
+      this.showMessage('Sign out failed: ' + error.message, 'error');
+    }
+  }
+
+  async loadGitHubAuthStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'githubAuthStatus' });
+      if (response?.success) {
+        this.renderGitHubAuthStatus(response);
+      }
+    } catch (error) {
+      console.error('Error loading GitHub sign-in status:', error);
+    }
+  }
+
+  renderGitHubAuthStatus(session) {
+    const status = document.getElementById('github-auth-status');
+    const configured = Boolean(this.config.github.oauthClientId);
+
+    document.getElementById('github-sign-in').disabled = !configured;
+    document.getElementById('github-sign-out').style.display = session.signedIn || session.pending ? '' : 'none';
+    status.classList.toggle('expired', Boolean(session.expired));
+
+    if (session.pending) {
+      const expires = new Date(session.pending.expiresAt).toLocaleTimeString();
+      const code = document.createElement('span');
+      const link = document.createElement('a');
+
+      // The code and URL come from GitHub's response, so they are set as text
+      // and only an https verification page is linked
+      code.className = 'user-code';
+      code.textContent = session.pending.userCode;
+      link.textContent = session.pending.verificationUri;
+      link.target = '_blank';
+      if (/^https:\/\//i.test(session.pending.verificationUri || '')) {
+        link.href = session.pending.verificationUri;
+      }
+
+      status.replaceChildren('Enter ', code, ' at ', link, ` before ${expires}. This page updates once you approve.`);
+      // The background polls GitHub; check again for the result
+      clearTimeout(this.authStatusTimer);
+      this.authStatusTimer = setTimeout(async () => {
+        await this.loadConfig();
+        this.updateUI();
+      }, 5000);
+    } else if (session.expired) {
+      status.textContent = 'Your GitHub sign-in has expired. Sign in again to keep analyzing pull requests.';
+    } else if (session.signedIn) {
+      status.textContent = session.expiresAt
+        ? `Signed in. Token renews automatically (expires ${new Date(session.expiresAt).toLocaleString()}).`
+        : 'Signed in.';
+    } else {
+      status.textContent = configured ? '' : 'Set an OAuth client ID to sign in instead of pasting a token.';
+    }
+  }
+
   async testConnection() {
     try {
       this.updateConfigFromInputs();
@@ -394,6 +815,8 @@ class PopupManager {
         }
       }
 
+      await this.testPlatformTokens();
+
     } catch (error) {
       console.error('Error testing connection:', error);
       this.showMessage('Connection test failed: ' + error.message, 'error');
@@ -404,6 +827,38 @@ class PopupManager {
     }
   }
 
+  async testPlatformTokens() {
+    const results = document.getElementById('connection-results');
+    results.innerHTML = '';
+
+    const platforms = [
+      ['github', 'GitHub', this.config.github.token || this.config.github.app?.appId],
+      ['gitlab', 'GitLab', this.config.gitlab.token],
+      ['bitbucket', 'Bitbucket', this.config.bitbucket.username && this.config.bitbucket.appPassword]
+    ].filter(([, , configured]) => configured);
+
+    for (const [type, name] of platforms) {
+      const response = await chrome.runtime.sendMessage({ action: 'testConnection', data: { type } });
+      const line = document.createElement('div');
+
+      if (!response?.success) {
+        line.className = 'message error';
+        line.textContent = `${name}: ${response?.error || 'connection failed'}`;
+      } else {
+        const connected = `${name}: connected${response.user ? ` as ${response.user}` : ''}`;
+        const notes = response.scopesKnown
+          ? response.problems || []
+          : ['scopes not checked, this token type does not report them'];
+
+        // One line per feature the token's scopes do not cover
+        line.className = `message ${response.problems?.length ? 'warning' : 'success'}`;
+        line.textContent = [connected, ...notes].join('\n• ');
+      }
+
+      results.appendChild(line);
+    }
+  }
+
   async loadHistory() {
     try {
       const result = await chrome.storage.local.get(['testRunHistory']);
@@ -1,24 +1,62 @@
 /**
- * Background Service Worker - Main Entry Point
+ * Background Controller
  * Coordinates all background services and handles message routing
+ * The root background.js service worker hosts it and forwards the actions it
+ * does not handle itself
  */
 
 import GitService from './services/GitService.js';
 import JenkinsService from './services/JenkinsService.js';
 import TestAnalysisService from './services/TestAnalysisService.js';
+import AuthService from './services/AuthService.js';
 import { storage } from '../shared/utils/storage.js';
 import { backgroundLogger as logger } from '../shared/utils/logger.js';
 import { DEFAULT_CONFIG, STORAGE_KEYS, MESSAGE_TYPES } from '../shared/config/defaults.js';
 import { validateConfig } from '../shared/utils/validator.js';
+import { PLATFORM_CONFIG } from '../shared/constants/platforms.js';
+import { getHostEntries, getMatchPatterns, getAllPRUrlPatterns, parsePRUrl } from '../shared/utils/hosts.js';
+import { STICKY_COMMENT_MARKER, parseRunHistory, buildStickyComment } from '../shared/utils/stickyComment.js';
+import { buildCheckOutput, getCheckConclusion } from '../shared/utils/checkReport.js';
+import { buildMissingTestComments } from '../shared/utils/reviewComments.js';
+import { getCodeownersPaths, parseCodeowners, groupByOwner } from '../shared/utils/codeowners.js';
+import { RUN_POLICIES, resolveRunPolicy, applyRunPolicy } from '../shared/utils/runPolicy.js';
+import { describeMissingScopes } from '../shared/utils/scopes.js';
+import {
+  WORKSPACE_CONFIG_FILES,
+  getWorkspaceGlobs,
+  findPackageDirs,
+  getManifestPaths,
+  buildWorkspaceGraph
+} from '../shared/utils/workspaces.js';
+import { REPO_CONFIG_PATHS, parseRepoConfig } from '../shared/utils/repoConfig.js';
+import { isJsModule } from '../shared/utils/importGraph.js';
+import { isPythonModule } from '../shared/utils/pythonImports.js';
+
+// ID of the dynamically registered content script for self-hosted instances
+const SELF_HOSTED_SCRIPT_ID = 'self-hosted-pr-pages';
+
+// Alarm polling Jenkins for builds whose checks are still open
+const BUILD_MONITOR_ALARM = 'build-monitor';
+
+// Alarm resuming the GitHub device flow if the service worker was suspended
+const DEVICE_FLOW_ALARM = 'github-device-flow';
 
 class BackgroundController {
-  constructor() {
+  /**
+   * @param {Object} options - {standalone}: false when the host worker owns
+   *   the message listener and the context menu
+   */
+  constructor({ standalone = true } = {}) {
+    this.standalone = standalone;
     this.config = null;
     this.gitService = null;
     this.jenkinsService = null;
     this.testService = null;
+    this.authService = null;
+    this.deviceFlowTimer = null;
+    this.deviceFlowPolling = false;
     
-    this.init();
+    this.ready = this.init();
   }
 
   /**
@@ -30,8 +68,12 @@ class BackgroundController {
     try {
       await this.loadConfig();
       this.initializeServices();
-      this.setupMessageListeners();
-      this.setupContextMenus();
+      this.setupAlarms();
+      if (this.standalone) {
+        this.setupMessageListeners();
+        this.setupContextMenus();
+      }
+      await this.registerHostContentScripts();
       
       logger.info('Background service initialized successfully');
     } catch (error) {
@@ -61,6 +103,7 @@ class BackgroundController {
     this.gitService = new GitService(this.config);
     this.jenkinsService = new JenkinsService(this.config);
     this.testService = new TestAnalysisService(this.config);
+    this.authService = new AuthService(this.config);
     
     logger.debug('Services initialized');
   }
@@ -83,6 +126,19 @@ class BackgroundController {
     logger.debug('Message listeners setup complete');
   }
 
+  /**
+   * Setup alarm listeners
+   */
+  setupAlarms() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === BUILD_MONITOR_ALARM) {
+        this.pollBuilds();
+      } else if (alarm.name === DEVICE_FLOW_ALARM) {
+        this.pollDeviceFlow();
+      }
+    });
+  }
+
   /**
    * Setup context menus
    */
@@ -92,12 +148,7 @@ class BackgroundController {
         id: 'analyze-pr-tests',
         title: 'Analyze Tests for PR',
         contexts: ['page'],
-        documentUrlPatterns: [
-          'https://github.com/*/pull/*',
-          'https://gitlab.com/*/merge_requests/*',
-          'https://gitlab.com/*/-/merge_requests/*',
-          'https://bitbucket.org/*/pull-requests/*'
-        ]
+        documentUrlPatterns: getAllPRUrlPatterns(this.config)
       });
 
       chrome.contextMenus.onClicked.addListener((info, tab) => {
@@ -114,6 +165,56 @@ class BackgroundController {
     }
   }
 
+  /**
+   * Register content scripts for self-hosted instances
+   * Built-in hosts are matched by the manifest; user-defined hosts are
+   * registered at runtime so they follow configuration changes
+   */
+  async registerHostContentScripts() {
+    try {
+      const matches = getMatchPatterns(getHostEntries(this.config));
+      const registered = await chrome.scripting.getRegisteredContentScripts({
+        ids: [SELF_HOSTED_SCRIPT_ID]
+      });
+
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [SELF_HOSTED_SCRIPT_ID] });
+      }
+
+      if (matches.length === 0) {
+        return;
+      }
+
+      await chrome.scripting.registerContentScripts([{
+        id: SELF_HOSTED_SCRIPT_ID,
+        matches,
+        js: ['content.js'],
+        css: ['styles.css'],
+        runAt: 'document_end',
+        persistAcrossSessions: true
+      }]);
+
+      logger.info('Registered content scripts for self-hosted instances', { matches });
+    } catch (error) {
+      logger.error('Failed to register self-hosted content scripts:', error);
+    }
+  }
+
+  /**
+   * Update context menu URL patterns after host configuration changes
+   */
+  updateContextMenus() {
+    if (!this.standalone) return;
+
+    try {
+      chrome.contextMenus.update('analyze-pr-tests', {
+        documentUrlPatterns: getAllPRUrlPatterns(this.config)
+      });
+    } catch (error) {
+      logger.warn('Context menus not available:', error.message);
+    }
+  }
+
   /**
    * Handle incoming messages
    */
@@ -124,7 +225,11 @@ class BackgroundController {
 
     switch (action) {
       case MESSAGE_TYPES.ANALYZE_PR:
+        await this.ensureGitHubToken();
         return this.handleAnalyzePR(data);
+
+      case MESSAGE_TYPES.RESOLVE_PR:
+        return this.handleResolvePR(data);
       
       case MESSAGE_TYPES.GET_CONFIG:
         return this.handleGetConfig();
@@ -133,6 +238,7 @@ class BackgroundController {
         return this.handleSaveConfig(data);
       
       case MESSAGE_TYPES.TRIGGER_JENKINS:
+        await this.ensureGitHubToken();
         return this.handleTriggerJenkins(data);
       
       case MESSAGE_TYPES.GET_STATS:
@@ -142,7 +248,17 @@ class BackgroundController {
         return this.handleClearHistory();
       
       case MESSAGE_TYPES.TEST_CONNECTION:
+        await this.ensureGitHubToken();
         return this.handleTestConnection(data);
+
+      case MESSAGE_TYPES.GITHUB_SIGN_IN:
+        return this.handleGitHubSignIn(data);
+
+      case MESSAGE_TYPES.GITHUB_AUTH_STATUS:
+        return this.handleGitHubAuthStatus();
+
+      case MESSAGE_TYPES.GITHUB_SIGN_OUT:
+        return this.handleGitHubSignOut();
       
       default:
         logger.warn('Unknown message action:', action);
@@ -161,14 +277,33 @@ class BackgroundController {
 
       // Fetch PR data from Git platform
       const prData = await this.gitService.fetchPRData(platform, prInfo);
+      // Re-running at the same head repeats the increment since the run before it
+      const previous = await this.getLatestHistoryEntry(prInfo, { excludeHeadSha: prData.headSha });
       
       // Analyze tests
-      const analysis = await this.testService.identifyTests(prData);
+      const tree = await this.fetchRepositoryTree(platform, prInfo, prData);
+      const contents = await this.fetchFileContents(platform, prInfo, prData, tree);
+      const codeowners = await this.fetchCodeowners(platform, prInfo, prData, tree);
+      const workspaces = await this.fetchWorkspaces(platform, prInfo, prData, tree);
+      const repoConfig = await this.fetchRepoConfig(platform, prInfo, prData);
+      const testService = this.testService.withRepoConfig(repoConfig?.config);
+      const importGraph = await this.fetchImportGraph(platform, prInfo, prData, tree, testService);
+      const context = { tree, contents, codeowners, workspaces, importGraph };
+      const analysis = await testService.identifyTests(prData, context);
+      analysis.repoConfig = repoConfig;
+
+      // Offer a selection limited to the commits pushed since the previous run
+      analysis.incremental = await this.analyzeIncrement(platform, prInfo, prData, previous, context, testService);
+
+      if (this.config.features?.inlineReviewComments) {
+        await this.publishReviewComments(platform, prInfo, prData, analysis);
+      }
       
       // Save to history
       await this.saveToHistory({
         platform,
         prInfo,
+        headSha: prData.headSha,
         analysis,
         timestamp: new Date().toISOString()
       });
@@ -187,6 +322,27 @@ class BackgroundController {
     }
   }
 
+  /**
+   * Resolve a PR page URL to its platform and PR information
+   * Content scripts use it to recognize self-hosted instances from the configured hosts
+   * @param {Object} data - {url}
+   */
+  async handleResolvePR(data) {
+    const resolved = parsePRUrl(data?.url, this.config);
+
+    if (!resolved) {
+      return {
+        success: false,
+        error: 'Not a supported pull request page'
+      };
+    }
+
+    return {
+      success: true,
+      ...resolved
+    };
+  }
+
   /**
    * Handle get configuration request
    */
@@ -215,10 +371,7 @@ class BackgroundController {
 
       // Save to storage
       await storage.set(STORAGE_KEYS.CONFIG, config);
-      
-      // Update current config and reinitialize services
-      this.config = config;
-      this.initializeServices();
+      await this.applyConfig(config);
 
       logger.info('Configuration saved successfully');
 
@@ -235,32 +388,72 @@ class BackgroundController {
     }
   }
 
+  /**
+   * Use a saved configuration: reinitialize services and follow host changes
+   * @param {Object} config - Configuration already written to storage
+   */
+  async applyConfig(config) {
+    this.config = config;
+    storage.clearCache(STORAGE_KEYS.CONFIG);
+    this.initializeServices();
+    await this.registerHostContentScripts();
+    this.updateContextMenus();
+  }
+
   /**
    * Handle Jenkins trigger request
    */
   async handleTriggerJenkins(data) {
     try {
-      const { repoUrl, prNumber, testFiles, branch, platform, prInfo } = data;
+      const { repoUrl, prNumber, testFiles, branch, platform, prInfo, analysis, headSha } = data;
 
       logger.info('Triggering Jenkins pipeline', { repoUrl, prNumber });
 
+      // Labels such as skip-tests or run-full-regression override the selection
+      const policy = await this.getRunPolicy(platform, prInfo, data);
+
+      if (policy?.policy === RUN_POLICIES.SKIP) {
+        logger.info(`Skipping tests because of the ${policy.reason}`);
+        await this.publishSkipNotice(platform, prInfo, policy);
+
+        return {
+          success: true,
+          skipped: true,
+          policy
+        };
+      }
+
+      const run = applyRunPolicy(policy?.policy, testFiles, this.getRunPolicies());
+      const selection = analysis || await this.getLatestAnalysis(prInfo);
+      const repoConfig = selection?.repoConfig?.config;
+
       const buildInfo = await this.jenkinsService.triggerPipeline({
         repoUrl,
         prNumber,
-        testFiles,
+        testFiles: run.testFiles,
         branch,
-        coverageThreshold: this.config.analysis?.coverageThreshold || 80
+        coverageThreshold: repoConfig?.analysis?.coverageThreshold ?? (this.config.analysis?.coverageThreshold || 80),
+        testScope: run.scope,
+        testTags: run.tags,
+        jobName: repoConfig?.jenkins?.jobName
       });
 
+      const mentionOwners = Boolean(this.config.features?.reporting && this.config.features?.mentionOwners);
+
       // Post comment to PR if enabled
       if (this.config.features?.reporting) {
-        const comment = this.generateBuildComment(buildInfo, testFiles);
-        await this.gitService.postComment(platform, prInfo, comment);
+        await this.publishBuildComment(platform, prInfo, buildInfo, run.testFiles, selection, policy);
+      }
+
+      // Publish a check on the head commit and follow the build
+      if (this.config.checks?.enabled || mentionOwners) {
+        await this.startBuildCheck({ platform, prInfo, buildInfo, testFiles: run.testFiles, analysis: selection, headSha, mentionOwners });
       }
 
       return {
         success: true,
-        buildInfo
+        buildInfo,
+        policy
       };
     } catch (error) {
       logger.error('Failed to trigger Jenkins:', error);
@@ -271,6 +464,165 @@ class BackgroundController {
     }
   }
 
+  /**
+   * Start the GitHub device flow; the popup shows the returned user code
+   * @param {Object} data - Optional {baseUrl, oauthClientId} typed in the popup before saving
+   */
+  async handleGitHubSignIn(data = {}) {
+    try {
+      const { baseUrl, oauthClientId } = data || {};
+
+      if (baseUrl || oauthClientId) {
+        this.config = {
+          ...this.config,
+          github: {
+            ...this.config.github,
+            ...(baseUrl && { baseUrl }),
+            ...(oauthClientId && { oauthClientId })
+          }
+        };
+        await storage.set(STORAGE_KEYS.CONFIG, this.config);
+        this.initializeServices();
+      }
+
+      const flow = await this.authService.startGitHubDeviceFlow();
+
+      this.scheduleDeviceFlowPoll(flow.interval);
+      chrome.alarms.create(DEVICE_FLOW_ALARM, { periodInMinutes: 0.5 });
+
+      return {
+        success: true,
+        ...flow
+      };
+    } catch (error) {
+      logger.error('GitHub sign-in failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Report the GitHub sign-in state
+   */
+  async handleGitHubAuthStatus() {
+    try {
+      return {
+        success: true,
+        ...await this.authService.getGitHubSession()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Forget the GitHub session and the token it provided
+   */
+  async handleGitHubSignOut() {
+    try {
+      clearTimeout(this.deviceFlowTimer);
+      chrome.alarms.clear(DEVICE_FLOW_ALARM);
+      await this.authService.signOutGitHub();
+
+      if (this.config.github?.authMethod === 'oauth') {
+        await this.applyGitHubToken('', null);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Poll the device flow again after the interval GitHub asked for
+   * @private
+   */
+  scheduleDeviceFlowPoll(seconds) {
+    clearTimeout(this.deviceFlowTimer);
+    this.deviceFlowTimer = setTimeout(() => this.pollDeviceFlow(), seconds * 1000);
+  }
+
+  /**
+   * Poll the device flow once and store the token when the user has approved it
+   * Runs from a timer and from DEVICE_FLOW_ALARM, so overlapping calls are skipped
+   * @private
+   */
+  async pollDeviceFlow() {
+    if (this.deviceFlowPolling) return;
+    this.deviceFlowPolling = true;
+
+    try {
+      const result = await this.authService.pollGitHubDeviceFlow();
+
+      if (result.status === 'pending') {
+        this.scheduleDeviceFlowPoll(result.interval);
+        return;
+      }
+
+      clearTimeout(this.deviceFlowTimer);
+      chrome.alarms.clear(DEVICE_FLOW_ALARM);
+
+      if (result.status === 'complete') {
+        await this.applyGitHubToken(result.token, 'oauth');
+      } else {
+        logger.info(`GitHub device flow ended: ${result.status}`);
+      }
+    } catch (error) {
+      logger.error('GitHub device flow failed:', error);
+      clearTimeout(this.deviceFlowTimer);
+      chrome.alarms.clear(DEVICE_FLOW_ALARM);
+    } finally {
+      this.deviceFlowPolling = false;
+    }
+  }
+
+  /**
+   * Refresh an expiring device-flow token, or flag the extension icon when the
+   * user has to sign in again. Pasted tokens are never touched
+   */
+  async ensureGitHubToken() {
+    if (this.config.github?.authMethod !== 'oauth') return;
+
+    try {
+      const result = await this.authService.ensureGitHubToken();
+
+      if (result?.token) {
+        await this.applyGitHubToken(result.token, 'oauth');
+      } else if (result?.expired) {
+        chrome.action.setBadgeText({ text: '!' });
+        chrome.action.setTitle({ title: 'GitHub sign-in expired. Open the popup to sign in again' });
+      }
+    } catch (error) {
+      logger.warn('Could not check the GitHub token:', error.message);
+    }
+  }
+
+  /**
+   * Save a GitHub token in the configuration and reinitialize services
+   * @private
+   */
+  async applyGitHubToken(token, authMethod) {
+    this.config = {
+      ...this.config,
+      github: { ...this.config.github, token, authMethod }
+    };
+
+    await storage.set(STORAGE_KEYS.CONFIG, this.config);
+    this.initializeServices();
+
+    chrome.action.setBadgeText({ text: '' });
+    chrome.action.setTitle({ title: 'Dynamic Test Runner' });
+  }
+
   /**
    * Handle get statistics request
    */
@@ -283,9 +635,12 @@ class BackgroundController {
         avgRuntime: 0
       });
 
+      const rateLimits = await this.gitService.getRateLimits();
+
       return {
         success: true,
-        stats
+        stats,
+        rateLimits
       };
     } catch (error) {
       logger.error('Failed to get stats:', error);
@@ -323,21 +678,17 @@ class BackgroundController {
    */
   async handleTestConnection(data) {
     try {
-      const { type } = data;
-
-      let result = false;
+      const { type, prInfo } = data;
 
       if (type === 'jenkins') {
-        result = await this.jenkinsService.testConnection();
-      } else if (type === 'github') {
-        // Test by fetching authenticated user
-        result = await this._testGitHubConnection();
+        const result = await this.jenkinsService.testConnection();
+        return {
+          success: result,
+          message: result ? 'Connection successful' : 'Connection failed'
+        };
       }
 
-      return {
-        success: result,
-        message: result ? 'Connection successful' : 'Connection failed'
-      };
+      return await this._testPlatformConnection(type, prInfo);
     } catch (error) {
       logger.error('Connection test failed:', error);
       return {
@@ -348,25 +699,30 @@ class BackgroundController {
   }
 
   /**
-   * Test GitHub connection
+   * Test a Git platform token and report features its scopes do not cover
    * @private
    */
-  async _testGitHubConnection() {
-    try {
-      const token = this.config.github?.token;
-      if (!token) return false;
+  async _testPlatformConnection(platform, prInfo) {
+    const result = await this.gitService.checkTokenScopes(platform, prInfo);
+    const problems = describeMissingScopes(result.features);
+    const name = PLATFORM_CONFIG[platform]?.name || platform;
 
-      const response = await fetch('https://api.github.com/user', {
-        headers: {
-          'Authorization': `token ${token}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-
-      return response.ok;
-    } catch (error) {
-      return false;
+    let message = result.user ? `Connected to ${name} as ${result.user}` : `Connected to ${name}`;
+    if (!result.scopesKnown) {
+      message += '; this token type does not report its scopes, so they were not checked';
+    } else if (problems.length > 0) {
+      message += `; ${problems.join('; ')}`;
     }
+
+    return {
+      success: true,
+      message,
+      user: result.user,
+      scopes: result.scopes,
+      scopesKnown: result.scopesKnown,
+      missingScopes: result.missingScopes,
+      problems
+    };
   }
 
   /**
@@ -387,18 +743,569 @@ class BackgroundController {
     }
   }
 
+  /**
+   * Analyze only the changes pushed since the previously analyzed head commit
+   * Returns null when there is no earlier run, nothing new was pushed, or the
+   * earlier commit is no longer an ancestor (force push), since the delta would
+   * then include unrelated changes
+   * @private
+   */
+  async analyzeIncrement(platform, prInfo, prData, previous, context, testService = this.testService) {
+    const sinceSha = previous?.headSha;
+
+    if (this.config.analysis?.incremental === false || !sinceSha || !prData.headSha || sinceSha === prData.headSha) {
+      return null;
+    }
+
+    try {
+      const comparison = await this.gitService.fetchCompare(platform, prInfo, sinceSha, prData.headSha);
+
+      if (!comparison.ancestor) {
+        logger.info('Previous head is not an ancestor of the current head, skipping incremental analysis', { sinceSha });
+        return null;
+      }
+
+      const result = await testService.identifyTests(
+        { ...prData, changedFiles: comparison.changedFiles, truncated: comparison.truncated },
+        context
+      );
+
+      return {
+        sinceSha,
+        headSha: prData.headSha,
+        commits: comparison.totalCommits,
+        identifiedTests: result.identifiedTests,
+        testsByOwner: result.testsByOwner,
+        recommendations: result.recommendations,
+        statistics: result.statistics
+      };
+    } catch (error) {
+      logger.warn('Incremental analysis failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List the repository at the analyzed head commit
+   * A failed listing only means unchanged tests are not found, so it is not fatal
+   * @private
+   */
+  async fetchRepositoryTree(platform, prInfo, prData) {
+    if (this.config.analysis?.scanRepositoryTree === false) {
+      return null;
+    }
+
+    try {
+      return await this.gitService.fetchRepositoryTree(platform, prInfo, prData.headSha);
+    } catch (error) {
+      logger.warn('Repository tree unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch base/head contents of the changed files for code-level analysis
+   * @private
+   */
+  async fetchFileContents(platform, prInfo, prData, tree) {
+    if (!this.config.analysis?.fetchContents) {
+      return [];
+    }
+
+    try {
+      return await this.gitService.fetchFileContents(platform, prInfo, prData, { tree });
+    } catch (error) {
+      logger.warn('File contents unavailable:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Read CODEOWNERS from the base commit, trying the platform's locations in order
+   * Returns null when ownership is disabled or the repository has no CODEOWNERS
+   * @private
+   */
+  async fetchCodeowners(platform, prInfo, prData, tree) {
+    if (this.config.features?.codeowners === false || !prData.baseSha) {
+      return null;
+    }
+
+    const listed = tree ? new Set(tree.files.map(file => file.path)) : null;
+    const paths = getCodeownersPaths(prData.platform)
+      .filter(path => !listed || listed.has(path));
+
+    try {
+      for (const path of paths) {
+        const file = await this.gitService.fetchFile(platform, prInfo, path, prData.baseSha);
+        if (typeof file.content !== 'string') continue;
+
+        logger.info(`Using ${path} for test ownership`);
+        return parseCodeowners(file.content);
+      }
+    } catch (error) {
+      logger.warn('Could not read CODEOWNERS:', error.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the repository's .testrunner.yml / .testrunner.json from the base commit,
+   * so a PR cannot change the settings it is analyzed with
+   * Returns null when the repository has no configuration file
+   * @private
+   * @returns {Promise<Object|null>} {path, ref, config, errors}; config is null when the file is invalid
+   */
+  async fetchRepoConfig(platform, prInfo, prData) {
+    if (!prData.baseSha) {
+      return null;
+    }
+
+    // The tree is the head's, which may add or remove the file, so every
+    // candidate is looked up at the base commit instead
+    try {
+      for (const path of REPO_CONFIG_PATHS) {
+        const file = await this.gitService.fetchFile(platform, prInfo, path, prData.baseSha);
+        if (typeof file.content !== 'string') continue;
+
+        const result = parseRepoConfig(path, file.content);
+        if (result.errors.length > 0) {
+          logger.warn(`Ignoring invalid ${path}`, { errors: result.errors });
+        } else {
+          logger.info(`Using ${path} for test selection settings`);
+        }
+
+        return { ...result, ref: prData.baseSha };
+      }
+    } catch (error) {
+      logger.warn('Could not read the repository configuration:', error.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the import graph of the test files at the PR head
+   * Returns null when import analysis is disabled, the tree is unavailable or
+   * no JavaScript, TypeScript or Python file changed
+   * @private
+   */
+  async fetchImportGraph(platform, prInfo, prData, tree, testService) {
+    if (this.config.analysis?.importGraph === false || !tree || !prData.headSha) {
+      return null;
+    }
+
+    const changedFiles = prData.changedFiles || [];
+    if (!changedFiles.some(file => isJsModule(file.filename || '') || isPythonModule(file.filename || ''))) {
+      return null;
+    }
+
+    try {
+      const readFiles = (paths) => this.gitService.fetchFiles(platform, prInfo, paths, prData.headSha, { tree });
+      const graph = await testService.buildImportGraph(tree, changedFiles, readFiles);
+
+      logger.info(`Import graph built from ${Object.keys(graph.imports).length} files`, { truncated: graph.truncated });
+      return graph;
+    } catch (error) {
+      logger.warn('Could not build the import graph:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build the monorepo package graph from the workspace configuration at the PR head
+   * Returns null when workspace analysis is disabled, the tree is unavailable or
+   * the repository declares no packages
+   * @private
+   */
+  async fetchWorkspaces(platform, prInfo, prData, tree) {
+    if (this.config.analysis?.workspaces === false || !tree || !prData.headSha) {
+      return null;
+    }
+
+    const paths = tree.files.map(file => file.path);
+    const listed = new Set(paths);
+
+    try {
+      const rootFiles = await this.gitService.fetchFiles(
+        platform, prInfo, WORKSPACE_CONFIG_FILES.filter(path => listed.has(path)), prData.headSha
+      );
+      const { tools, globs } = getWorkspaceGlobs(rootFiles);
+      const dirs = findPackageDirs(globs, paths);
+      if (dirs.length === 0) return null;
+
+      const maxPackages = this.config.analysis?.maxWorkspacePackages || DEFAULT_CONFIG.analysis.maxWorkspacePackages;
+      if (dirs.length > maxPackages) {
+        logger.warn(`Monorepo has ${dirs.length} packages; reading the first ${maxPackages}`);
+      }
+
+      const packageDirs = dirs.slice(0, maxPackages);
+      const manifests = await this.gitService.fetchFiles(
+        platform, prInfo, getManifestPaths(packageDirs, paths), prData.headSha
+      );
+
+      logger.info(`Found ${packageDirs.length} workspace packages`, { tools });
+      return { tools, ...buildWorkspaceGraph(packageDirs, manifests) };
+    } catch (error) {
+      logger.warn('Could not read workspace configuration:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Post missing_test recommendations as inline review comments
+   * @private
+   */
+  async publishReviewComments(platform, prInfo, prData, analysis) {
+    const comments = buildMissingTestComments(analysis.recommendations, prData.changedFiles);
+    if (comments.length === 0) return;
+
+    const result = await this.gitService.postReviewComments(platform, prInfo, comments, {
+      headSha: prData.headSha,
+      summary: '🧪 Changed files without related tests'
+    });
+
+    logger.info('Review comments published', result);
+  }
+
+  /**
+   * Publish a queued check for a triggered build and start monitoring it
+   * Builds are also monitored without a check when owners of failing suites are mentioned
+   * @private
+   */
+  async startBuildCheck({ platform, prInfo, buildInfo, testFiles, analysis, headSha, mentionOwners = false }) {
+    try {
+      const checks = Boolean(this.config.checks?.enabled);
+      const sha = checks ? headSha || await this.gitService.getHeadSha(platform, prInfo) : headSha || null;
+      const testCount = Array.isArray(testFiles) ? testFiles.length : 0;
+      const { title, summary, annotations } = buildCheckOutput(
+        analysis || await this.getLatestAnalysis(prInfo),
+        testCount
+      );
+
+      const published = checks
+        ? await this.gitService.publishCheck(platform, prInfo, {
+          sha,
+          name: this.config.checks.name,
+          status: 'queued',
+          detailsUrl: buildInfo.buildUrl,
+          title,
+          summary,
+          annotations
+        })
+        : null;
+
+      if (checks && !published && !mentionOwners) return;
+
+      if (!buildInfo.queueLocation) {
+        logger.warn('Jenkins did not return a queue item; the check will time out');
+      }
+
+      const builds = await storage.getLocal(STORAGE_KEYS.BUILDS, []);
+      builds.push({
+        platform,
+        prInfo,
+        sha,
+        checks: Boolean(published),
+        checkId: published?.id ?? null,
+        testOwners: mentionOwners ? this.getTestOwners(analysis, testFiles) : null,
+        queueLocation: buildInfo.queueLocation,
+        buildUrl: null,
+        detailsUrl: buildInfo.buildUrl,
+        title,
+        summary,
+        startedAt: Date.now()
+      });
+      await storage.setLocal(STORAGE_KEYS.BUILDS, builds);
+
+      chrome.alarms.create(BUILD_MONITOR_ALARM, { periodInMinutes: 0.5 });
+    } catch (error) {
+      logger.error('Failed to publish build check:', error);
+    }
+  }
+
+  /**
+   * Advance every monitored build and stop the alarm once none are left
+   */
+  async pollBuilds() {
+    await this.ensureGitHubToken();
+    const builds = await storage.getLocal(STORAGE_KEYS.BUILDS, []);
+    const pending = [];
+
+    for (const build of builds) {
+      try {
+        if (!await this.advanceBuildCheck(build)) {
+          pending.push(build);
+        }
+      } catch (error) {
+        logger.warn('Failed to poll build:', error.message);
+        pending.push(build);
+      }
+    }
+
+    await storage.setLocal(STORAGE_KEYS.BUILDS, pending);
+
+    if (pending.length === 0) {
+      chrome.alarms.clear(BUILD_MONITOR_ALARM);
+    }
+  }
+
+  /**
+   * Move a build's check from queued to in_progress to completed
+   * @private
+   * @returns {Promise<boolean>} True once the check is completed
+   */
+  async advanceBuildCheck(build) {
+    // Builds stored before `checks` was recorded always had a check
+    const publish = (update) => build.checks === false ? null : this.gitService.publishCheck(build.platform, build.prInfo, {
+      sha: build.sha,
+      name: this.config.checks.name,
+      checkId: build.checkId,
+      detailsUrl: build.detailsUrl,
+      title: build.title,
+      summary: build.summary,
+      ...update
+    });
+
+    const timeout = (this.config.jenkins?.timeout || 1800) * 1000;
+    if (Date.now() - build.startedAt > timeout) {
+      await publish({ status: 'completed', conclusion: 'timed_out' });
+      return true;
+    }
+
+    if (!build.buildUrl) {
+      if (!build.queueLocation) return false;
+
+      const queueItem = await this.jenkinsService.getQueueItem(build.queueLocation);
+
+      if (queueItem.cancelled) {
+        await publish({ status: 'completed', conclusion: 'cancelled' });
+        return true;
+      }
+      if (!queueItem.buildUrl) return false;
+
+      build.buildUrl = queueItem.buildUrl;
+      build.detailsUrl = queueItem.buildUrl;
+      await publish({ status: 'in_progress' });
+    }
+
+    const status = await this.jenkinsService.getBuildStatus(build.buildUrl);
+    if (status.building) return false;
+
+    await publish({
+      status: 'completed',
+      conclusion: getCheckConclusion(status.result),
+      summary: `${build.summary}\n\n**Build result:** ${status.result || 'UNKNOWN'}`
+    });
+
+    if (build.testOwners && getCheckConclusion(status.result) === 'failure') {
+      await this.mentionFailingOwners(build);
+    }
+    return true;
+  }
+
+  /**
+   * Map each selected test file to its owners from the analysis
+   * @private
+   */
+  getTestOwners(analysis, testFiles) {
+    const owners = new Map((analysis?.identifiedTests || []).map(test => [test.path, test.owners || []]));
+    const files = Array.isArray(testFiles) ? testFiles : [];
+
+    return Object.fromEntries(files.map(file => [file, owners.get(file) || []]));
+  }
+
+  /**
+   * Post a comment mentioning the owners of the test files whose suites failed
+   * Suites are matched to files by their dotted or slashed name, e.g.
+   * com.acme.FooTest matches src/test/java/com/acme/FooTest.java
+   * @private
+   */
+  async mentionFailingOwners(build) {
+    try {
+      const suites = await this.jenkinsService.getFailedSuites(build.buildUrl);
+      if (!suites || suites.length === 0) return;
+
+      const normalize = (name) => name
+        .replace(/\.(?:[cm]?js|jsx|tsx?|py|java|kt|cs|go|rb|php|rs)$/i, '')
+        .replace(/[.\\]/g, '/')
+        .toLowerCase();
+      const suiteKeys = suites.map(normalize);
+      const failing = Object.keys(build.testOwners).filter(file => {
+        const fileKey = normalize(file);
+        return suiteKeys.some(key => fileKey === key || fileKey.endsWith(`/${key}`) || key.endsWith(`/${fileKey}`));
+      });
+
+      const groups = groupByOwner(failing, file => build.testOwners[file]).filter(group => group.owner);
+      if (groups.length === 0) return;
+
+      const lines = groups.map(({ owner, items }) => `- ${owner}: ${items.map(file => `\`${file}\``).join(', ')}`);
+
+      await this.gitService.postComment(build.platform, build.prInfo, `## ❌ Failing test suites
+
+[Jenkins build](${build.buildUrl}) failed in suites owned by:
+
+${lines.join('\n')}
+
+---
+*Automated by AI-Based Dynamic Test Identifier & Runner*`);
+    } catch (error) {
+      logger.warn('Failed to mention owners of failing suites:', error.message);
+    }
+  }
+
+  /**
+   * Get the most recent history entry saved for a PR
+   * The host keeps PRs with the same number on GHES and github.com apart
+   * @param {Object} prInfo - PR information
+   * @param {Object} options - {excludeHeadSha}: skip entries analyzed at this commit
+   * @private
+   */
+  async getLatestHistoryEntry(prInfo, { excludeHeadSha = null } = {}) {
+    const history = await storage.getLocal(STORAGE_KEYS.HISTORY, []);
+
+    return history.find(item =>
+      item.prInfo?.host === prInfo.host &&
+      (!excludeHeadSha || item.headSha !== excludeHeadSha) &&
+      item.prInfo?.owner === prInfo.owner &&
+      item.prInfo?.repo === prInfo.repo &&
+      String(item.prInfo?.prNumber) === String(prInfo.prNumber)
+    ) || null;
+  }
+
+  /**
+   * Get the most recent analysis saved for a PR
+   * @private
+   */
+  async getLatestAnalysis(prInfo) {
+    const entry = await this.getLatestHistoryEntry(prInfo);
+    return entry?.analysis || null;
+  }
+
+  /**
+   * Get the run policies, with defaults for settings the saved configuration lacks
+   * (configurations saved before policies existed have none)
+   * @private
+   */
+  getRunPolicies() {
+    return { ...DEFAULT_CONFIG.policies, ...this.config.policies };
+  }
+
+  /**
+   * Find the run policy from the PR's labels and draft state
+   * Uses labels passed with the request, otherwise fetches them so that a label
+   * added after the analysis still applies
+   * @private
+   */
+  async getRunPolicy(platform, prInfo, data) {
+    try {
+      const pr = Array.isArray(data.labels)
+        ? data
+        : await this.gitService.fetchPRLabels(platform, prInfo);
+
+      return resolveRunPolicy(pr, this.getRunPolicies());
+    } catch (error) {
+      logger.warn('Could not read PR labels, running the selected tests:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Tell the PR that tests were skipped by a policy
+   * @private
+   */
+  async publishSkipNotice(platform, prInfo, policy) {
+    const content = `## ⏭️ Tests Skipped
+
+No Jenkins build was started because of the ${policy.reason}.
+
+---
+*Automated by AI-Based Dynamic Test Identifier & Runner*`;
+
+    return this.publishStickyComment(platform, prInfo, content, {
+      timestamp: new Date().toISOString(),
+      testCount: 0,
+      policy: policy.policy
+    });
+  }
+
+  /**
+   * Post the build comment, or edit the existing sticky comment and
+   * push the previous run into its history
+   * @private
+   */
+  async publishBuildComment(platform, prInfo, buildInfo, testFiles, analysis = null, policy = null) {
+    const content = this.generateBuildComment(buildInfo, testFiles, analysis, policy);
+
+    return this.publishStickyComment(platform, prInfo, content, {
+      jobName: buildInfo.jobName,
+      buildUrl: buildInfo.buildUrl,
+      timestamp: buildInfo.timestamp,
+      testCount: Array.isArray(testFiles) ? testFiles.length : 0,
+      policy: policy?.policy || null
+    });
+  }
+
+  /**
+   * Edit the sticky comment, pushing the previous run into its history,
+   * or post a new comment when sticky comments are disabled or missing
+   * @private
+   */
+  async publishStickyComment(platform, prInfo, content, run) {
+    if (this.config.features?.stickyComments === false) {
+      return this.gitService.postComment(platform, prInfo, content);
+    }
+
+    let existing;
+    try {
+      existing = await this.gitService.findComment(platform, prInfo, STICKY_COMMENT_MARKER);
+    } catch (error) {
+      // Posting without knowing the existing comment would leave a second one
+      logger.warn('PR comment not published, existing comments could not be listed:', error.message);
+      return false;
+    }
+
+    const runs = [run, ...(existing ? parseRunHistory(existing.body) : [])];
+    const comment = buildStickyComment(content, runs);
+
+    if (existing && await this.gitService.updateComment(platform, prInfo, existing, comment)) {
+      return true;
+    }
+
+    return this.gitService.postComment(platform, prInfo, comment);
+  }
+
   /**
    * Generate build comment for PR
    * @private
    */
-  generateBuildComment(buildInfo, testFiles) {
+  generateBuildComment(buildInfo, testFiles, analysis = null, policy = null) {
     const testList = Array.isArray(testFiles) 
       ? testFiles.map(t => `- ${t}`).join('\n')
       : testFiles;
 
+    // Group by owning team when the analysis found CODEOWNERS; owners are quoted
+    // so the comment does not notify them on every run
+    const owners = analysis?.testsByOwner && Array.isArray(testFiles)
+      ? this.getTestOwners(analysis, testFiles)
+      : null;
+    // Full and smoke runs without files leave the selection to the pipeline
+    const tests = Array.isArray(testFiles) && testFiles.length === 0 && policy
+      ? (policy.policy === RUN_POLICIES.FULL ? '_The whole test suite_' : `_Every test tagged \`${this.getRunPolicies().smokeTag}\`_`)
+      : owners
+        ? groupByOwner(testFiles, file => owners[file])
+          .map(({ owner, items }) => `**${owner ? `\`${owner}\`` : 'No owner'}**\n\`\`\`\n${items.map(t => `- ${t}`).join('\n')}\n\`\`\``)
+          .join('\n\n')
+        : `\`\`\`\n${testList}\n\`\`\``;
+
+    const scope = {
+      [RUN_POLICIES.FULL]: '\n\n**Full regression** requested by the ',
+      [RUN_POLICIES.SMOKE]: '\n\n**Smoke tests only** requested by the '
+    }[policy?.policy];
+
     return `## 🧪 Test Pipeline Triggered
 
-Jenkins build has been started for this PR.
+Jenkins build has been started for this PR.${scope ? `${scope}${policy.reason}.` : ''}
 
 **Build Info:**
 - Job: ${buildInfo.jobName}
@@ -406,17 +1313,11 @@ Jenkins build has been started for this PR.
 - Triggered: ${new Date(buildInfo.timestamp).toLocaleString()}
 
 **Tests to Run:**
-\`\`\`
-${testList}
-\`\`\`
+${tests}
 
 ---
 *Automated by AI-Based Dynamic Test Identifier & Runner*`;
   }
 }
 
-// Initialize the background controller
-const controller = new BackgroundController();
-
-// Export for testing
 export default BackgroundController;
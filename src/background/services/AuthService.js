@@ -0,0 +1,261 @@
+/**
+ * Auth Service
+ * Signs in to GitHub / GitHub Enterprise Server with the OAuth device
+ * authorization flow and keeps the resulting user token fresh
+ */
+
+import { PLATFORMS, PLATFORM_CONFIG } from '../../shared/constants/platforms.js';
+import { STORAGE_KEYS } from '../../shared/config/defaults.js';
+import { createLogger } from '../../shared/utils/logger.js';
+import { storage } from '../../shared/utils/storage.js';
+
+const logger = createLogger('AuthService');
+
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// Refresh tokens this long before they expire
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Seconds added to the polling interval when GitHub answers slow_down
+const SLOW_DOWN_INCREMENT = 5;
+
+class AuthService {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Start the device flow
+   * @returns {Promise<Object>} {userCode, verificationUri, expiresAt, interval}
+   */
+  async startGitHubDeviceFlow() {
+    const { baseUrl, clientId, scopes } = this._getGitHubOAuthSettings();
+
+    const body = await this._postForm(`${baseUrl}/login/device/code`, {
+      client_id: clientId,
+      scope: scopes
+    });
+
+    if (!body.device_code) {
+      throw new Error(`GitHub device flow error: ${body.error_description || body.error || 'no device code returned'}`);
+    }
+
+    const pending = {
+      baseUrl,
+      clientId,
+      deviceCode: body.device_code,
+      userCode: body.user_code,
+      verificationUri: body.verification_uri,
+      interval: body.interval || 5,
+      expiresAt: Date.now() + body.expires_in * 1000
+    };
+
+    await this._updateAuthState({ githubDeviceFlow: pending });
+    logger.info('GitHub device flow started', { baseUrl, expiresIn: body.expires_in });
+
+    return {
+      userCode: pending.userCode,
+      verificationUri: pending.verificationUri,
+      expiresAt: pending.expiresAt,
+      interval: pending.interval
+    };
+  }
+
+  /**
+   * Poll the pending device flow once
+   * @returns {Promise<Object>} {status, interval, token}; status is idle, pending,
+   *   complete, expired or denied, and token is set once complete
+   */
+  async pollGitHubDeviceFlow() {
+    const state = await this._getAuthState();
+    const pending = state.githubDeviceFlow;
+
+    if (!pending) {
+      return { status: 'idle' };
+    }
+
+    if (Date.now() > pending.expiresAt) {
+      await this._updateAuthState({ githubDeviceFlow: null });
+      return { status: 'expired' };
+    }
+
+    const body = await this._postForm(`${pending.baseUrl}/login/oauth/access_token`, {
+      client_id: pending.clientId,
+      device_code: pending.deviceCode,
+      grant_type: DEVICE_GRANT_TYPE
+    });
+
+    switch (body.error) {
+      case undefined:
+        break;
+      case 'authorization_pending':
+        return { status: 'pending', interval: pending.interval };
+      case 'slow_down': {
+        const interval = body.interval || pending.interval + SLOW_DOWN_INCREMENT;
+        await this._updateAuthState({ githubDeviceFlow: { ...pending, interval } });
+        return { status: 'pending', interval };
+      }
+      case 'expired_token':
+        await this._updateAuthState({ githubDeviceFlow: null });
+        return { status: 'expired' };
+      case 'access_denied':
+        await this._updateAuthState({ githubDeviceFlow: null });
+        return { status: 'denied' };
+      default:
+        await this._updateAuthState({ githubDeviceFlow: null });
+        throw new Error(`GitHub device flow error: ${body.error_description || body.error}`);
+    }
+
+    await this._updateAuthState({
+      githubDeviceFlow: null,
+      github: this._buildSession(body, pending)
+    });
+    logger.info('GitHub sign-in completed');
+
+    return { status: 'complete', token: body.access_token };
+  }
+
+  /**
+   * Get the GitHub sign-in state shown in the popup
+   * @returns {Promise<Object>} {signedIn, expired, expiresAt, pending}
+   */
+  async getGitHubSession() {
+    const { github: session, githubDeviceFlow: pending } = await this._getAuthState();
+
+    return {
+      signedIn: Boolean(session),
+      expired: Boolean(session?.expired),
+      expiresAt: session?.expiresAt || null,
+      baseUrl: session?.baseUrl || null,
+      pending: pending && pending.expiresAt > Date.now()
+        ? { userCode: pending.userCode, verificationUri: pending.verificationUri, expiresAt: pending.expiresAt }
+        : null
+    };
+  }
+
+  /**
+   * Make sure a device-flow token is still valid, refreshing it when it is about to expire
+   * Tokens without an expiry (classic OAuth apps) and pasted PATs are left alone
+   * @returns {Promise<Object|null>} {token} after a refresh, {expired: true} when the user
+   *   has to sign in again, or null when nothing changed
+   */
+  async ensureGitHubToken() {
+    const { github: session } = await this._getAuthState();
+
+    if (!session || session.expired || !session.expiresAt || session.expiresAt - REFRESH_MARGIN > Date.now()) {
+      return null;
+    }
+
+    if (session.refreshToken && (!session.refreshTokenExpiresAt || session.refreshTokenExpiresAt > Date.now())) {
+      try {
+        const body = await this._postForm(`${session.baseUrl}/login/oauth/access_token`, {
+          client_id: session.clientId,
+          // Only GitHub Apps configured with a secret require it for refreshing
+          ...(this.config.github?.oauthClientSecret && { client_secret: this.config.github.oauthClientSecret }),
+          grant_type: 'refresh_token',
+          refresh_token: session.refreshToken
+        });
+
+        if (body.access_token) {
+          await this._updateAuthState({ github: this._buildSession(body, session) });
+          logger.info('GitHub token refreshed');
+          return { token: body.access_token };
+        }
+
+        logger.warn('GitHub token refresh rejected:', body.error_description || body.error);
+      } catch (error) {
+        logger.warn('GitHub token refresh failed:', error.message);
+      }
+    }
+
+    await this._updateAuthState({ github: { ...session, expired: true } });
+    return { expired: true };
+  }
+
+  /**
+   * Forget the GitHub session and any pending device flow
+   */
+  async signOutGitHub() {
+    await this._updateAuthState({ github: null, githubDeviceFlow: null });
+  }
+
+  /**
+   * Resolve the OAuth endpoints and client for GitHub or GHES
+   * @private
+   */
+  _getGitHubOAuthSettings() {
+    const { baseUrl = 'https://github.com', oauthClientId, oauthScopes } = this.config.github || {};
+
+    if (!oauthClientId) {
+      throw new Error('GitHub OAuth client ID is not configured');
+    }
+
+    return {
+      baseUrl: baseUrl.replace(/\/+$/, ''),
+      clientId: oauthClientId,
+      scopes: oauthScopes || PLATFORM_CONFIG[PLATFORMS.GITHUB].requiredScopes.join(' ')
+    };
+  }
+
+  /**
+   * Build the stored session from a token response
+   * @private
+   */
+  _buildSession(body, { baseUrl, clientId, refreshToken = null, refreshTokenExpiresAt = null }) {
+    const now = Date.now();
+
+    return {
+      baseUrl,
+      clientId,
+      scope: body.scope || '',
+      expiresAt: body.expires_in ? now + body.expires_in * 1000 : null,
+      // A refresh response may omit the refresh token, keeping the previous one valid
+      refreshToken: body.refresh_token || refreshToken,
+      refreshTokenExpiresAt: body.refresh_token_expires_in
+        ? now + body.refresh_token_expires_in * 1000
+        : refreshTokenExpiresAt,
+      expired: false
+    };
+  }
+
+  /**
+   * POST a form to a GitHub OAuth endpoint and read the JSON answer
+   * GitHub reports OAuth errors with status 200 and an `error` field
+   * @private
+   */
+  async _postForm(url, params) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub OAuth error: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Read sign-in state from local storage, which is never synced
+   * @private
+   */
+  async _getAuthState() {
+    return await storage.getLocal(STORAGE_KEYS.AUTH, {}) || {};
+  }
+
+  /**
+   * Merge changes into the stored sign-in state
+   * @private
+   */
+  async _updateAuthState(changes) {
+    const state = await this._getAuthState();
+    await storage.setLocal(STORAGE_KEYS.AUTH, { ...state, ...changes });
+  }
+}
+
+export default AuthService;
@@ -1,339 +1,3169 @@
 /**
  * Git Service
- * Handles API interactions with Git platforms (GitHub, GitLab, Bitbucket)
+ * Handles API interactions with Git platforms (GitHub, GitLab, Bitbucket, Azure DevOps,
+ * Gitea/Forgejo),
+ * including self-hosted instances configured in `config.hosts`
  */
 
 import { PLATFORMS, PLATFORM_CONFIG } from '../../shared/constants/platforms.js';
 import { createLogger } from '../../shared/utils/logger.js';
+import { resolveHost } from '../../shared/utils/hosts.js';
+import { parseUnifiedDiff, parsePatch } from '../../shared/utils/diffParser.js';
+import { MAX_STATUS_DESCRIPTION } from '../../shared/utils/checkReport.js';
+import { parseScopeHeader, findMissingScopes } from '../../shared/utils/scopes.js';
+import { findCredential } from '../../shared/utils/credentials.js';
+import ApiClient from '../utils/ApiClient.js';
+import ContentCache, { blobKey, refKey } from '../utils/ContentCache.js';
+import GitHubAppAuth from '../utils/GitHubAppAuth.js';
 import { isValidUrl, isValidToken } from '../../shared/utils/validator.js';
 
 const logger = createLogger('GitService');
 
+// Page size requested from list endpoints (the maximum all three platforms accept)
+const PAGE_SIZE = 100;
+
+// Upper bound on pages followed for a single listing
+const MAX_PAGES = 100;
+
+// Upper bound on subtree / directory requests when walking a repository tree
+const MAX_TREE_REQUESTS = 500;
+
+// File statuses reported in changedFiles, shared by every platform
+const FILE_STATUSES = ['added', 'removed', 'modified', 'renamed', 'copied'];
+
+// Bot comments read with the GraphQL PR query are reused by findComment for this long
+const COMMENT_CACHE_TTL = 60 * 1000;
+
+// PR metadata, labels, changed files and conversation comments in one query;
+// files and comments are paginated independently and dropped once complete
+const GITHUB_PR_QUERY = `
+  query PullRequest(
+    $owner: String!, $repo: String!, $number: Int!,
+    $filesCursor: String, $commentsCursor: String,
+    $withFiles: Boolean!, $withComments: Boolean!
+  ) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        title
+        body
+        url
+        state
+        isDraft
+        changedFiles
+        author { login }
+        headRefName
+        baseRefName
+        headRefOid
+        baseRefOid
+        labels(first: 100) { nodes { name } }
+        files(first: 100, after: $filesCursor) @include(if: $withFiles) {
+          pageInfo { hasNextPage endCursor }
+          nodes { path additions deletions changeType }
+        }
+        comments(first: 100, after: $commentsCursor) @include(if: $withComments) {
+          pageInfo { hasNextPage endCursor }
+          nodes { databaseId body viewerDidAuthor author { __typename login } }
+        }
+      }
+    }
+  }
+`;
+
+// GraphQL PullRequestChangedFile.changeType to changedFiles status
+const GITHUB_CHANGE_TYPES = {
+  ADDED: 'added',
+  DELETED: 'removed',
+  RENAMED: 'renamed',
+  COPIED: 'copied',
+  MODIFIED: 'modified',
+  CHANGED: 'modified'
+};
+
+/**
+ * Extract the rel="next" URL from a Link header
+ * @param {string|null} linkHeader - Link header value
+ * @returns {string|null}
+ */
+const getNextLink = (linkHeader) => {
+  if (!linkHeader) return null;
+
+  const match = linkHeader
+    .split(',')
+    .map(part => part.match(/<([^>]+)>\s*;\s*rel="next"/))
+    .find(Boolean);
+
+  return match ? match[1] : null;
+};
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Decode base64 file content (GitHub / Gitea contents API) as UTF-8
+ * @param {string} encoded - Base64 text, possibly wrapped
+ * @returns {string}
+ */
+const decodeBase64 = (encoded) => {
+  const binary = atob(encoded.replace(/\s/g, ''));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+/**
+ * Encode each segment of a repository path for use in a URL
+ * @param {string} path - File path
+ * @returns {string}
+ */
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
 class GitService {
   constructor(config) {
     this.config = config;
+    this.http = new ApiClient(config.api);
+    this.contentCache = new ContentCache();
+    this.appAuth = new GitHubAppAuth(config.github?.app, this.http);
+    this.commentCache = new Map();
+    this.viewerIds = new Map();
   }
 
   /**
    * Fetch PR data from the appropriate platform
    * @param {string} platform - Platform name (github, gitlab, bitbucket)
-   * @param {Object} prInfo - PR information {owner, repo, prNumber}
+   * @param {Object} prInfo - PR information {owner, repo, prNumber, host}
    * @returns {Promise<Object>}
    */
   async fetchPRData(platform, prInfo) {
-    logger.info(`Fetching PR data from ${platform}`, prInfo);
+    const target = this._resolvePlatform(platform, prInfo);
 
-    switch (platform) {
+    logger.info(`Fetching PR data from ${target}`, prInfo);
+
+    switch (target) {
       case PLATFORMS.GITHUB:
         return this.fetchGitHubPR(prInfo);
       case PLATFORMS.GITLAB:
         return this.fetchGitLabMR(prInfo);
       case PLATFORMS.BITBUCKET:
         return this.fetchBitbucketPR(prInfo);
+      case PLATFORMS.BITBUCKET_SERVER:
+        return this.fetchBitbucketServerPR(prInfo);
+      case PLATFORMS.AZURE_DEVOPS:
+        return this.fetchAzureDevOpsPR(prInfo);
+      case PLATFORMS.GITEA:
+        return this.fetchGiteaPR(prInfo);
       default:
-        throw new Error(`Unsupported platform: ${platform}`);
+        throw new Error(`Unsupported platform: ${target}`);
     }
   }
 
   /**
-   * Fetch GitHub PR data
-   * @private
+   * List the files of a repository at a commit
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information {owner, repo, prNumber, host}
+   * @param {string} [ref] - Commit SHA or branch; defaults to the PR head commit
+   * @returns {Promise<Object>} {ref, files: [{path, sha, size}], truncated}
+   *   sha is the blob SHA where the platform exposes one
    */
-  async fetchGitHubPR({ owner, repo, prNumber }) {
-    const token = this.config.github?.token;
-    const apiUrl = this.config.github?.apiUrl || PLATFORM_CONFIG[PLATFORMS.GITHUB].apiUrl;
-
-    if (!token) {
-      logger.warn('No GitHub token configured, attempting public access');
-    }
+  async fetchRepositoryTree(platform, prInfo, ref) {
+    const target = this._resolvePlatform(platform, prInfo);
+    const sha = ref || await this.getHeadSha(target, prInfo);
 
-    const headers = {
-      'Accept': 'application/vnd.github.v3+json'
-    };
+    logger.info(`Fetching repository tree from ${target} at ${sha}`, prInfo);
 
-    if (token) {
-      headers['Authorization'] = `token ${token}`;
+    switch (target) {
+      case PLATFORMS.GITHUB:
+        return this._fetchGitHubTree(prInfo, sha);
+      case PLATFORMS.GITLAB:
+        return this._fetchGitLabTree(prInfo, sha);
+      case PLATFORMS.BITBUCKET:
+        return this._fetchBitbucketTree(prInfo, sha);
+      case PLATFORMS.GITEA:
+        return this._fetchGiteaTree(prInfo, sha);
+      default:
+        throw new Error(`Repository tree listing is not supported for ${target}`);
     }
+  }
 
-    try {
-      // Fetch PR details
-      const prResponse = await fetch(`${apiUrl}/repos/${owner}/${repo}/pulls/${prNumber}`, { headers });
-      
-      if (!prResponse.ok) {
-        throw new Error(`GitHub API error: ${prResponse.status} ${prResponse.statusText}`);
-      }
-
-      const prData = await prResponse.json();
+  /**
+   * Compare two commits of a PR's repository
+   * Used to find what changed since a previously analyzed head commit
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @param {string} fromSha - Earlier commit
+   * @param {string} toSha - Later commit
+   * @returns {Promise<Object>} {fromSha, toSha, ancestor, totalCommits, changedFiles, truncated}
+   *   ancestor is false when fromSha is not an ancestor of toSha (e.g. after a force push),
+   *   in which case changedFiles also contains changes that are not part of the new commits
+   */
+  async fetchCompare(platform, prInfo, fromSha, toSha) {
+    const target = this._resolvePlatform(platform, prInfo);
 
-      // Fetch changed files
-      const filesResponse = await fetch(`${apiUrl}/repos/${owner}/${repo}/pulls/${prNumber}/files`, { headers });
-      const files = await filesResponse.json();
+    logger.info(`Comparing ${fromSha}...${toSha} on ${target}`, prInfo);
 
-      return {
-        platform: PLATFORMS.GITHUB,
-        number: prNumber,
-        title: prData.title,
-        description: prData.body,
-        author: prData.user.login,
-        branch: prData.head.ref,
-        baseBranch: prData.base.ref,
-        state: prData.state,
-        changedFiles: files.map(file => ({
-          filename: file.filename,
-          status: file.status,
-          additions: file.additions,
-          deletions: file.deletions,
-          changes: file.changes,
-          patch: file.patch
-        })),
-        url: prData.html_url,
-        repository: {
-          owner,
-          name: repo,
-          fullName: `${owner}/${repo}`
-        }
-      };
-    } catch (error) {
-      logger.error('Error fetching GitHub PR:', error);
-      throw error;
+    switch (target) {
+      case PLATFORMS.GITHUB:
+        return this._fetchGitHubCompare(prInfo, fromSha, toSha);
+      case PLATFORMS.GITLAB:
+        return this._fetchGitLabCompare(prInfo, fromSha, toSha);
+      case PLATFORMS.BITBUCKET:
+        return this._fetchBitbucketCompare(prInfo, fromSha, toSha);
+      default:
+        throw new Error(`Commit comparison is not supported for ${target}`);
     }
   }
 
   /**
-   * Fetch GitLab merge request data
-   * @private
+   * Fetch base and head contents of a PR's changed files
+   * Contents are cached by blob SHA (or commit and path where the platform has
+   * no blob SHAs), limited by `config.analysis.maxFileSize` and fetched with at
+   * most `config.analysis.contentConcurrency` requests in flight
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @param {Object} prData - Result of fetchPRData (needs baseSha / headSha)
+   * @param {Object} options - {tree} head tree whose blob SHAs avoid refetching unchanged files
+   * @returns {Promise<Array<Object>>} [{filename, status, base, head}]; each side is
+   *   {content, sha, size}, {skipped: reason} or null when the file does not exist on that side
    */
-  async fetchGitLabMR({ owner, repo, prNumber }) {
-    const token = this.config.gitlab?.token;
-    const apiUrl = this.config.gitlab?.apiUrl || PLATFORM_CONFIG[PLATFORMS.GITLAB].apiUrl;
+  async fetchFileContents(platform, prInfo, prData, { tree = null } = {}) {
+    const target = this._resolvePlatform(platform, prInfo);
+    const { maxContentFiles = 50, contentConcurrency = 4 } = this.config.analysis || {};
+    const fetcher = this._getContentFetcher(target, prInfo);
 
-    if (!token) {
-      throw new Error('GitLab token is required');
-    }
-
-    const headers = {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    };
+    const headShas = new Map((tree?.files || []).filter(file => file.sha).map(file => [file.path, file.sha]));
+    const files = (prData.changedFiles || []).filter(file => !file.binary);
 
-    const projectPath = encodeURIComponent(`${owner}/${repo}`);
+    if (files.length > maxContentFiles) {
+      logger.warn(`Fetching contents for ${maxContentFiles} of ${files.length} changed files`);
+    }
 
-    try {
-      const mrResponse = await fetch(`${apiUrl}/projects/${projectPath}/merge_requests/${prNumber}`, { headers });
-      
-      if (!mrResponse.ok) {
-        throw new Error(`GitLab API error: ${mrResponse.status}`);
-      }
+    logger.info(`Fetching contents of ${Math.min(files.length, maxContentFiles)} files from ${target}`);
 
-      const mrData = await mrResponse.json();
+    const results = await mapWithConcurrency(files.slice(0, maxContentFiles), contentConcurrency, async (file) => ({
+      filename: file.filename,
+      status: file.status,
+      base: file.status === 'added'
+        ? null
+        : await this._getFileContent(fetcher, file.previousFilename || file.filename, prData.baseSha),
+      head: file.status === 'removed'
+        ? null
+        : await this._getFileContent(fetcher, file.filename, prData.headSha, file.sha || headShas.get(file.filename))
+    }));
 
-      // Fetch changes
-      const changesResponse = await fetch(`${apiUrl}/projects/${projectPath}/merge_requests/${prNumber}/changes`, { headers });
-      const changes = await changesResponse.json();
+    await this.contentCache.flush();
 
-      return {
-        platform: PLATFORMS.GITLAB,
-        number: prNumber,
-        title: mrData.title,
-        description: mrData.description,
-        author: mrData.author.username,
-        branch: mrData.source_branch,
-        baseBranch: mrData.target_branch,
-        state: mrData.state,
-        changedFiles: changes.changes.map(file => ({
-          filename: file.new_path || file.old_path,
-          status: file.new_file ? 'added' : file.deleted_file ? 'deleted' : 'modified',
-          diff: file.diff
-        })),
-        url: mrData.web_url,
-        repository: {
-          owner,
-          name: repo,
-          fullName: `${owner}/${repo}`
-        }
-      };
-    } catch (error) {
-      logger.error('Error fetching GitLab MR:', error);
-      throw error;
-    }
+    return results;
   }
 
   /**
-   * Fetch Bitbucket pull request data
-   * @private
+   * Fetch a single repository file at a commit, e.g. a configuration file
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @param {string} path - File path
+   * @param {string} ref - Commit SHA
+   * @returns {Promise<Object>} {content, sha, size} or {skipped: reason}
    */
-  async fetchBitbucketPR({ owner, repo, prNumber }) {
-    const { username, appPassword } = this.config.bitbucket || {};
-    const apiUrl = this.config.bitbucket?.apiUrl || PLATFORM_CONFIG[PLATFORMS.BITBUCKET].apiUrl;
-
-    if (!username || !appPassword) {
-      throw new Error('Bitbucket credentials are required');
-    }
-
-    const headers = {
-      'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}`,
-      'Content-Type': 'application/json'
-    };
+  async fetchFile(platform, prInfo, path, ref) {
+    const target = this._resolvePlatform(platform, prInfo);
+    const result = await this._getFileContent(this._getContentFetcher(target, prInfo), path, ref);
 
-    try {
-      const prResponse = await fetch(
-        `${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}`,
-        { headers }
-      );
+    await this.contentCache.flush();
+    return result;
+  }
 
-      if (!prResponse.ok) {
-        throw new Error(`Bitbucket API error: ${prResponse.status}`);
-      }
+  /**
+   * Fetch several repository files at a commit, e.g. workspace manifests
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @param {Array<string>} paths - File paths
+   * @param {string} ref - Commit SHA
+   * @param {Object} options - {tree} tree at ref whose blob SHAs avoid refetching unchanged files
+   * @returns {Promise<Object>} Map of path to content; unreadable files are left out
+   */
+  async fetchFiles(platform, prInfo, paths, ref, { tree = null } = {}) {
+    const target = this._resolvePlatform(platform, prInfo);
+    const { contentConcurrency = 4 } = this.config.analysis || {};
+    const fetcher = this._getContentFetcher(target, prInfo);
+    const shas = new Map((tree?.files || []).filter(file => file.sha).map(file => [file.path, file.sha]));
 
-      const prData = await prResponse.json();
+    const results = await mapWithConcurrency(paths, contentConcurrency, async (path) =>
+      [path, await this._getFileContent(fetcher, path, ref, shas.get(path))]
+    );
 
-      // Fetch diff
-      const diffResponse = await fetch(
-        `${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}/diff`,
-        { headers }
-      );
-      const diffText = await diffResponse.text();
+    await this.contentCache.flush();
 
-      return {
-        platform: PLATFORMS.BITBUCKET,
-        number: prNumber,
-        title: prData.title,
-        description: prData.description,
-        author: prData.author.display_name,
-        branch: prData.source.branch.name,
-        baseBranch: prData.destination.branch.name,
-        state: prData.state,
-        changedFiles: this._parseBitbucketDiff(diffText),
-        url: prData.links.html.href,
-        repository: {
-          owner,
-          name: repo,
-          fullName: `${owner}/${repo}`
-        }
-      };
-    } catch (error) {
-      logger.error('Error fetching Bitbucket PR:', error);
-      throw error;
-    }
+    return Object.fromEntries(results
+      .filter(([, result]) => typeof result.content === 'string')
+      .map(([path, result]) => [path, result.content]));
   }
 
   /**
-   * Parse Bitbucket diff to extract changed files
+   * Get the content fetcher for a platform, limited to `config.analysis.maxFileSize`
    * @private
    */
-  _parseBitbucketDiff(diffText) {
-    const files = [];
-    const filePattern = /diff --git a\/(.*?) b\/(.*?)\n/g;
-    let match;
+  _getContentFetcher(target, prInfo) {
+    const { maxFileSize = 256 * 1024 } = this.config.analysis || {};
 
-    while ((match = filePattern.exec(diffText)) !== null) {
-      files.push({
-        filename: match[2],
-        status: 'modified'
-      });
+    const fetchers = {
+      [PLATFORMS.GITHUB]: (path, ref) => this._fetchGitHubContent(prInfo, path, ref, maxFileSize),
+      [PLATFORMS.GITLAB]: (path, ref) => this._fetchGitLabContent(prInfo, path, ref, maxFileSize),
+      [PLATFORMS.BITBUCKET]: (path, ref) => this._fetchBitbucketContent(prInfo, path, ref, maxFileSize),
+      [PLATFORMS.GITEA]: (path, ref) => this._fetchGiteaContent(prInfo, path, ref, maxFileSize)
+    };
+
+    if (!fetchers[target]) {
+      throw new Error(`Fetching file contents is not supported for ${target}`);
     }
 
-    return files;
+    return fetchers[target];
   }
 
   /**
-   * Post comment to PR
-   * @param {string} platform - Platform name
-   * @param {Object} prInfo - PR information
-   * @param {string} comment - Comment text
-   * @returns {Promise<boolean>}
+   * Get one file's content from the cache or the platform
+   * @private
    */
-  async postComment(platform, prInfo, comment) {
-    logger.info(`Posting comment to ${platform} PR`, prInfo);
+  async _getFileContent(fetcher, path, ref, knownSha = null) {
+    if (!ref) {
+      return { skipped: 'Commit SHA unknown' };
+    }
+
+    const key = refKey(ref, path);
+    const cached = (knownSha && await this.contentCache.get(blobKey(knownSha))) ||
+      await this.contentCache.get(key);
+
+    if (cached) {
+      return cached;
+    }
 
     try {
-      switch (platform) {
-        case PLATFORMS.GITHUB:
-          return this._postGitHubComment(prInfo, comment);
-        case PLATFORMS.GITLAB:
-          return this._postGitLabComment(prInfo, comment);
-        case PLATFORMS.BITBUCKET:
-          return this._postBitbucketComment(prInfo, comment);
-        default:
-          throw new Error(`Unsupported platform: ${platform}`);
+      const result = await fetcher(path, ref);
+
+      if (typeof result.content === 'string') {
+        await this.contentCache.set([key], result);
       }
+
+      return result;
     } catch (error) {
-      logger.error('Error posting comment:', error);
-      return false;
+      logger.warn(`Could not fetch ${path}@${ref}:`, error.message);
+      return { skipped: error.message };
     }
   }
 
   /**
-   * Post GitHub comment
+   * Read a GitHub / Gitea contents API response
    * @private
    */
-  async _postGitHubComment({ owner, repo, prNumber }, comment) {
-    const token = this.config.github?.token;
-    const apiUrl = this.config.github?.apiUrl || PLATFORM_CONFIG[PLATFORMS.GITHUB].apiUrl;
-
-    if (!token) {
-      throw new Error('GitHub token is required to post comments');
+  _readContentsResponse(body, maxFileSize) {
+    if (Array.isArray(body) || body.type !== 'file') {
+      return { skipped: 'Not a file' };
+    }
+    if (body.size > maxFileSize) {
+      return { skipped: 'File too large', sha: body.sha, size: body.size };
+    }
+    if (body.encoding !== 'base64' || typeof body.content !== 'string') {
+      return { skipped: 'Content not inlined', sha: body.sha, size: body.size };
     }
 
-    const response = await fetch(
-      `${apiUrl}/repos/${owner}/${repo}/issues/${prNumber}/comments`,
+    return { content: decodeBase64(body.content), sha: body.sha, size: body.size };
+  }
+
+  /**
+   * Fetch a file from the GitHub contents API
+   * @private
+   */
+  async _fetchGitHubContent(prInfo, path, ref, maxFileSize) {
+    const { owner, repo } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    const response = await this.http.request(
+      `${apiUrl}/repos/${owner}/${repo}/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`,
       {
-        method: 'POST',
         headers: {
-          'Authorization': `token ${token}`,
-          'Content-Type': 'application/json'
+          'Accept': 'application/vnd.github.v3+json',
+          ...(token && { 'Authorization': `token ${token}` })
         },
-        body: JSON.stringify({ body: comment })
+        etagCache: false
       }
     );
 
-    return response.ok;
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    return this._readContentsResponse(await response.json(), maxFileSize);
   }
 
   /**
-   * Post GitLab comment
+   * Fetch a file from GitLab: HEAD first for the blob id and size, then the raw content
    * @private
    */
-  async _postGitLabComment({ owner, repo, prNumber }, comment) {
-    const token = this.config.gitlab?.token;
-    const apiUrl = this.config.gitlab?.apiUrl || PLATFORM_CONFIG[PLATFORMS.GITLAB].apiUrl;
+  async _fetchGitLabContent(prInfo, path, ref, maxFileSize) {
+    const { owner, repo } = prInfo;
+    const token = this._getToken(PLATFORMS.GITLAB, prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
 
     const projectPath = encodeURIComponent(`${owner}/${repo}`);
+    const fileUrl = `${apiUrl}/projects/${projectPath}/repository/files/${encodeURIComponent(path)}`;
+    const headers = { 'Authorization': `Bearer ${token}` };
 
-    const response = await fetch(
-      `${apiUrl}/projects/${projectPath}/merge_requests/${prNumber}/notes`,
+    const metaResponse = await this.http.request(`${fileUrl}?ref=${encodeURIComponent(ref)}`, {
+      method: 'HEAD',
+      headers
+    });
+
+    if (!metaResponse.ok) {
+      throw new Error(`GitLab API error: ${metaResponse.status}`);
+    }
+
+    const sha = metaResponse.headers.get('X-Gitlab-Blob-Id');
+    const size = parseInt(metaResponse.headers.get('X-Gitlab-Size'), 10);
+
+    if (size > maxFileSize) {
+      return { skipped: 'File too large', sha, size };
+    }
+
+    const cached = sha && await this.contentCache.get(blobKey(sha));
+    if (cached) {
+      return cached;
+    }
+
+    const response = await this.http.request(`${fileUrl}/raw?ref=${encodeURIComponent(ref)}`, {
+      headers,
+      etagCache: false
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitLab API error: ${response.status}`);
+    }
+
+    return { content: await response.text(), sha, size };
+  }
+
+  /**
+   * Fetch a file from Bitbucket `src`; the size is only known after download
+   * @private
+   */
+  async _fetchBitbucketContent(prInfo, path, ref, maxFileSize) {
+    const { owner, repo } = prInfo;
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET, prInfo);
+
+    const response = await this.http.request(
+      `${apiUrl}/repositories/${owner}/${repo}/src/${ref}/${encodePath(path)}`,
       {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ body: comment })
+        headers: { 'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}` },
+        etagCache: false
       }
     );
 
-    return response.ok;
+    if (!response.ok) {
+      throw new Error(`Bitbucket API error: ${response.status}`);
+    }
+
+    const content = await response.text();
+
+    if (content.length > maxFileSize) {
+      return { skipped: 'File too large', sha: null, size: content.length };
+    }
+
+    return { content, sha: null, size: content.length };
   }
 
   /**
-   * Post Bitbucket comment
+   * Fetch a file from the Gitea / Forgejo contents API
    * @private
    */
-  async _postBitbucketComment({ owner, repo, prNumber }, comment) {
-    const { username, appPassword } = this.config.bitbucket || {};
-    const apiUrl = this.config.bitbucket?.apiUrl || PLATFORM_CONFIG[PLATFORMS.BITBUCKET].apiUrl;
+  async _fetchGiteaContent(prInfo, path, ref, maxFileSize) {
+    const { owner, repo } = prInfo;
+    const apiUrl = this._getApiUrl(PLATFORMS.GITEA, prInfo);
 
-    const response = await fetch(
-      `${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}/comments`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          content: { raw: comment }
-        })
+    const response = await this.http.request(
+      `${apiUrl}/repos/${owner}/${repo}/contents/${encodePath(path)}?ref=${encodeURIComponent(ref)}`,
+      { headers: this._getGiteaHeaders(prInfo), etagCache: false }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Gitea API error: ${response.status}`);
+    }
+
+    return this._readContentsResponse(await response.json(), maxFileSize);
+  }
+
+  /**
+   * Check that the configured token works and has the required scopes
+   * Scope checks go straight to fetch: the ETag cache is shared between tokens
+   * and does not keep scope headers
+   * @param {string} platform - github, gitlab or bitbucket
+   * @param {Object} prInfo - Optional PR information selecting a self-hosted instance
+   * @returns {Promise<Object>} {user, scopes, scopesKnown, missingScopes, features}
+   *   where scopesKnown is false for tokens that do not expose their scopes
+   */
+  async checkTokenScopes(platform, prInfo = {}) {
+    const target = this._resolvePlatform(platform, prInfo);
+    let result;
+
+    switch (target) {
+      case PLATFORMS.GITHUB:
+        result = await this._checkGitHubScopes(prInfo);
+        break;
+      case PLATFORMS.GITLAB:
+        result = await this._checkGitLabScopes(prInfo);
+        break;
+      case PLATFORMS.BITBUCKET:
+        result = await this._checkBitbucketScopes(prInfo);
+        break;
+      default:
+        throw new Error(`Scope checks are not supported for ${PLATFORM_CONFIG[target]?.name || target}`);
+    }
+
+    const missing = result.scopesKnown
+      ? findMissingScopes(target, result.scopes)
+      : { missingScopes: [], features: [] };
+
+    return { ...result, ...missing };
+  }
+
+  /**
+   * Read GitHub classic token scopes from X-OAuth-Scopes
+   * Fine-grained tokens and app installation tokens send no such header
+   * @private
+   */
+  async _checkGitHubScopes(prInfo) {
+    const token = await this._getGitHubToken(prInfo);
+
+    if (!token) {
+      throw new Error('GitHub token is not configured');
+    }
+
+    const response = await fetch(`${this._getApiUrl(PLATFORMS.GITHUB, prInfo)}/user`, {
+      headers: {
+        'Accept': 'application/vnd.github.v3+json',
+        'Authorization': `token ${token}`
+      }
+    });
+
+    // Installation tokens cannot read /user but are still valid
+    if (response.status === 403 && !response.headers.has('x-oauth-scopes')) {
+      return { user: null, scopes: [], scopesKnown: false };
+    }
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    const user = await response.json();
+    const header = response.headers.get('x-oauth-scopes');
+
+    return {
+      user: user.login,
+      scopes: parseScopeHeader(header),
+      scopesKnown: header !== null
+    };
+  }
+
+  /**
+   * Read GitLab token scopes from /personal_access_tokens/self
+   * OAuth and job tokens cannot use that endpoint
+   * @private
+   */
+  async _checkGitLabScopes(prInfo) {
+    const token = this._getToken(PLATFORMS.GITLAB, prInfo);
+
+    if (!token) {
+      throw new Error('GitLab token is not configured');
+    }
+
+    const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    const userResponse = await fetch(`${apiUrl}/user`, { headers });
+    if (!userResponse.ok) {
+      throw new Error(`GitLab API error: ${userResponse.status}`);
+    }
+    const user = await userResponse.json();
+
+    const tokenResponse = await fetch(`${apiUrl}/personal_access_tokens/self`, { headers });
+    if (!tokenResponse.ok) {
+      return { user: user.username, scopes: [], scopesKnown: false };
+    }
+    const details = await tokenResponse.json();
+
+    return {
+      user: user.username,
+      scopes: details.scopes || [],
+      scopesKnown: true,
+      expiresAt: details.expires_at || null
+    };
+  }
+
+  /**
+   * Read Bitbucket Cloud app password / access token scopes from X-OAuth-Scopes
+   * @private
+   */
+  async _checkBitbucketScopes(prInfo) {
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+
+    if (!username || !appPassword) {
+      throw new Error('Bitbucket credentials are not configured');
+    }
+
+    const response = await fetch(`${this._getApiUrl(PLATFORMS.BITBUCKET, prInfo)}/user`, {
+      headers: { 'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Bitbucket API error: ${response.status}`);
+    }
+
+    const user = await response.json();
+    const header = response.headers.get('x-oauth-scopes');
+
+    return {
+      user: user.username || user.display_name,
+      scopes: parseScopeHeader(header),
+      scopesKnown: header !== null
+    };
+  }
+
+  /**
+   * Get the remaining API quota per host
+   * @returns {Promise<Object>} Map of host to {limit, remaining, reset, resource, updatedAt}
+   */
+  async getRateLimits() {
+    return this.http.getRateLimits();
+  }
+
+  /**
+   * Resolve the platform for a PR, preferring the host it lives on
+   * @private
+   */
+  _resolvePlatform(platform, prInfo = {}) {
+    const host = resolveHost(prInfo.host, this.config);
+    return host ? host.platform : platform;
+  }
+
+  /**
+   * Resolve the API base URL for a PR
+   * Self-hosted entries win over the per-platform apiUrl setting
+   * @private
+   */
+  _getApiUrl(platform, prInfo = {}) {
+    const host = resolveHost(prInfo.host, this.config);
+
+    if (host && host.platform === platform && host.apiUrl) {
+      return host.apiUrl;
+    }
+
+    const configKey = PLATFORM_CONFIG[platform]?.configKey;
+    const apiUrl = this.config[configKey]?.apiUrl || PLATFORM_CONFIG[platform]?.apiUrl;
+
+    if (!apiUrl) {
+      throw new Error(`No API URL configured for ${PLATFORM_CONFIG[platform]?.name || platform}`);
+    }
+
+    return apiUrl;
+  }
+
+  /**
+   * Find the per-organization credential matching a PR's host and owner
+   * @private
+   */
+  _getCredential(platform, prInfo = {}) {
+    const hostname = prInfo.host || PLATFORM_CONFIG[platform]?.hostname;
+    return findCredential(this.config, hostname, prInfo.owner);
+  }
+
+  /**
+   * Get the token for a PR: the matching credential, else the token of its
+   * self-hosted instance (Gitea / Forgejo hosts carry one), else the platform token
+   * @private
+   */
+  _getToken(platform, prInfo) {
+    const configKey = PLATFORM_CONFIG[platform].configKey;
+    return this._getCredential(platform, prInfo)?.token ||
+      resolveHost(prInfo?.host, this.config)?.token ||
+      this.config[configKey]?.token;
+  }
+
+  /**
+   * Get Bitbucket Cloud / Data Center credentials for a PR
+   * A matching credential without a username keeps the configured username
+   * @private
+   */
+  _getBitbucketCredentials(prInfo) {
+    const { username, appPassword } = this.config.bitbucket || {};
+    const credential = this._getCredential(PLATFORMS.BITBUCKET, prInfo);
+
+    return credential
+      ? { username: credential.username || username, appPassword: credential.token }
+      : { username, appPassword };
+  }
+
+  /**
+   * Get the token for GitHub requests about a repository
+   * A credential matching the repository owner wins. Otherwise, with a GitHub
+   * App configured, this is the installation token for the owner, so comments
+   * and checks come from the app; owners without the app installed fall back
+   * to the personal token
+   * @private
+   */
+  async _getGitHubToken(prInfo = {}) {
+    const credential = this._getCredential(PLATFORMS.GITHUB, prInfo);
+    if (credential) return credential.token;
+
+    if (prInfo.owner && await this.appAuth.isConfigured()) {
+      const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+      const token = await this.appAuth.getInstallationToken(apiUrl, prInfo.owner);
+      if (token) return token;
+    }
+
+    return this.config.github?.token;
+  }
+
+  /**
+   * Build the repository descriptor included in PR data
+   * @private
+   */
+  _buildRepository(platform, { owner, project, repo, host }) {
+    const hostname = host || PLATFORM_CONFIG[platform]?.hostname || null;
+
+    return {
+      owner,
+      ...(project && { project }),
+      name: repo,
+      fullName: project ? `${owner}/${project}/${repo}` : `${owner}/${repo}`,
+      host: hostname,
+      cloneUrl: this._getCloneUrl(platform, { owner, project, repo, host: hostname })
+    };
+  }
+
+  /**
+   * Build the HTTPS clone URL passed to Jenkins as REPO_URL
+   * @private
+   */
+  _getCloneUrl(platform, { owner, project, repo, host }) {
+    if (!host) return null;
+
+    switch (platform) {
+      case PLATFORMS.GITHUB:
+      case PLATFORMS.GITLAB:
+      case PLATFORMS.BITBUCKET:
+      case PLATFORMS.GITEA:
+        return `https://${host}/${owner}/${repo}.git`;
+      case PLATFORMS.BITBUCKET_SERVER:
+        // Data Center serves Git under /scm, addressed by project key
+        return `https://${host}/scm/${owner.toLowerCase()}/${repo}.git`;
+      case PLATFORMS.AZURE_DEVOPS:
+        return `https://${host}/${encodeURIComponent(owner)}/${encodeURIComponent(project)}/_git/${encodeURIComponent(repo)}`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Fetch GitHub PR data
+   * Uses a single paginated GraphQL query when a token is available (GraphQL
+   * rejects anonymous requests) and falls back to REST when it fails
+   * @private
+   */
+  async fetchGitHubPR(prInfo) {
+    if (this.config.github?.graphql !== false && await this._getGitHubToken(prInfo)) {
+      try {
+        return await this._fetchGitHubPRGraphQL(prInfo);
+      } catch (error) {
+        logger.warn('GitHub GraphQL fetch failed, falling back to REST:', error.message);
+      }
+    }
+
+    return this._fetchGitHubPRRest(prInfo);
+  }
+
+  /**
+   * Fetch GitHub PR data with the GraphQL API
+   * GraphQL has no patches, so hunks come from one raw diff request; without
+   * the diff (e.g. too large) the REST file listing is used instead
+   * @private
+   */
+  async _fetchGitHubPRGraphQL(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    const files = [];
+    const comments = [];
+    let cursors = { filesCursor: null, commentsCursor: null };
+    let pending = { withFiles: true, withComments: true };
+    let pr;
+
+    for (let page = 0; (pending.withFiles || pending.withComments) && page < MAX_PAGES; page++) {
+      pr = await this._queryGitHub(apiUrl, token, GITHUB_PR_QUERY, {
+        owner,
+        repo,
+        number: Number(prNumber),
+        ...cursors,
+        ...pending
+      });
+
+      if (pending.withFiles) files.push(...pr.files.nodes);
+      if (pending.withComments) comments.push(...pr.comments.nodes);
+
+      pending = {
+        withFiles: pending.withFiles && pr.files.pageInfo.hasNextPage,
+        withComments: pending.withComments && pr.comments.pageInfo.hasNextPage
+      };
+      cursors = {
+        filesCursor: pr.files?.pageInfo.endCursor ?? cursors.filesCursor,
+        commentsCursor: pr.comments?.pageInfo.endCursor ?? cursors.commentsCursor
+      };
+    }
+
+    const diffText = await this._fetchDiffText(`${apiUrl}/repos/${owner}/${repo}/pulls/${prNumber}`, {
+      'Accept': 'application/vnd.github.v3.diff',
+      'Authorization': `token ${token}`
+    });
+
+    if (diffText === null && files.length > 0) {
+      throw new Error('pull request diff is unavailable');
+    }
+
+    const truncated = files.length < pr.changedFiles;
+    if (truncated) {
+      logger.warn(`GitHub returned ${files.length} of ${pr.changedFiles} changed files`);
+    }
+
+    // Comments from this token's identity or any bot, where sticky comments live
+    const botComments = comments
+      .filter(comment => comment.viewerDidAuthor || comment.author?.__typename === 'Bot')
+      .map(comment => ({
+        id: comment.databaseId,
+        body: comment.body,
+        author: comment.author?.login || null,
+        mine: comment.viewerDidAuthor
+      }));
+    this.commentCache.set(this._getCommentCacheKey(prInfo), { comments: botComments, fetchedAt: Date.now() });
+
+    return {
+      platform: PLATFORMS.GITHUB,
+      number: prNumber,
+      title: pr.title,
+      description: pr.body,
+      author: pr.author?.login,
+      branch: pr.headRefName,
+      baseBranch: pr.baseRefName,
+      headSha: pr.headRefOid,
+      baseSha: pr.baseRefOid,
+      // REST reports merged pull requests as closed
+      state: pr.state === 'OPEN' ? 'open' : 'closed',
+      labels: pr.labels.nodes.map(label => label.name),
+      draft: pr.isDraft,
+      changedFiles: this._applyUnifiedDiff(
+        files.map(file => this._buildChangedFile({
+          filename: file.path,
+          status: GITHUB_CHANGE_TYPES[file.changeType],
+          additions: file.additions,
+          deletions: file.deletions
+        })),
+        diffText
+      ),
+      botComments,
+      truncated,
+      totalChangedFiles: pr.changedFiles,
+      url: pr.url,
+      repository: this._buildRepository(PLATFORMS.GITHUB, prInfo)
+    };
+  }
+
+  /**
+   * Run a GitHub GraphQL query and return the pull request node
+   * GHES serves GraphQL at /api/graphql next to /api/v3
+   * @private
+   */
+  async _queryGitHub(apiUrl, token, query, variables) {
+    const graphqlUrl = `${apiUrl.replace(/\/v3$/, '')}/graphql`;
+
+    const response = await this.http.request(graphqlUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ query, variables })
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub GraphQL error: ${response.status}`);
+    }
+
+    const { data, errors } = await response.json();
+
+    if (errors?.length) {
+      throw new Error(`GitHub GraphQL error: ${errors.map(error => error.message).join('; ')}`);
+    }
+    if (!data?.repository?.pullRequest) {
+      throw new Error('GitHub GraphQL error: pull request not found');
+    }
+
+    return data.repository.pullRequest;
+  }
+
+  /**
+   * Key of a PR in the comment cache
+   * @private
+   */
+  _getCommentCacheKey({ host = '', owner, repo, prNumber }) {
+    return `${host}/${owner}/${repo}#${prNumber}`.toLowerCase();
+  }
+
+  /**
+   * Fetch GitHub PR data with the REST API
+   * @private
+   */
+  async _fetchGitHubPRRest(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    if (!token) {
+      logger.warn('No GitHub token configured, attempting public access');
+    }
+
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json'
+    };
+
+    if (token) {
+      headers['Authorization'] = `token ${token}`;
+    }
+
+    try {
+      // Fetch PR details
+      const prResponse = await this.http.request(`${apiUrl}/repos/${owner}/${repo}/pulls/${prNumber}`, { headers });
+      
+      if (!prResponse.ok) {
+        throw new Error(`GitHub API error: ${prResponse.status} ${prResponse.statusText}`);
+      }
+
+      const prData = await prResponse.json();
+
+      // Fetch changed files, following pagination (GitHub stops listing at 3000 files)
+      const { items: files } = await this._fetchAllPages(
+        `${apiUrl}/repos/${owner}/${repo}/pulls/${prNumber}/files?per_page=${PAGE_SIZE}`,
+        { headers },
+        {
+          errorPrefix: 'GitHub API error',
+          getNextUrl: (response) => getNextLink(response.headers.get('Link'))
+        }
+      );
+
+      const truncated = files.length < prData.changed_files;
+      if (truncated) {
+        logger.warn(`GitHub returned ${files.length} of ${prData.changed_files} changed files`);
+      }
+
+      return {
+        platform: PLATFORMS.GITHUB,
+        number: prNumber,
+        title: prData.title,
+        description: prData.body,
+        author: prData.user.login,
+        branch: prData.head.ref,
+        baseBranch: prData.base.ref,
+        headSha: prData.head.sha,
+        baseSha: prData.base.sha,
+        state: prData.state,
+        // Labels and draft state drive the run policies in config.policies
+        labels: (prData.labels || []).map(label => label.name),
+        draft: Boolean(prData.draft),
+        changedFiles: files.map(file => this._buildChangedFile({
+          filename: file.filename,
+          previousFilename: file.previous_filename,
+          sha: file.sha,
+          status: file.status,
+          patch: file.patch,
+          additions: file.additions,
+          deletions: file.deletions
+        })),
+        truncated,
+        totalChangedFiles: prData.changed_files,
+        url: prData.html_url,
+        repository: this._buildRepository(PLATFORMS.GITHUB, prInfo)
+      };
+    } catch (error) {
+      logger.error('Error fetching GitHub PR:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a GitHub repository tree
+   * The recursive listing stops at 100,000 entries / 7 MB and sets `truncated`;
+   * in that case each subtree is listed on its own
+   * @private
+   */
+  async _fetchGitHubTree(prInfo, sha) {
+    const { owner, repo } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const repoUrl = `${this._getApiUrl(PLATFORMS.GITHUB, prInfo)}/repos/${owner}/${repo}`;
+
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json',
+      ...(token && { 'Authorization': `token ${token}` })
+    };
+
+    const getTree = async (treeSha, recursive) => {
+      const response = await this.http.request(
+        `${repoUrl}/git/trees/${treeSha}${recursive ? '?recursive=1' : ''}`,
+        { headers }
+      );
+
+      if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+      }
+
+      return response.json();
+    };
+
+    const state = { requests: 0, truncated: false };
+
+    const walk = async (treeSha, prefix) => {
+      state.requests++;
+      const tree = await getTree(treeSha, true);
+
+      if (!tree.truncated) {
+        return tree.tree
+          .filter(entry => entry.type === 'blob')
+          .map(entry => ({ path: `${prefix}${entry.path}`, sha: entry.sha, size: entry.size }));
+      }
+
+      logger.debug(`Tree ${prefix || '/'} is truncated, walking subtrees`);
+
+      state.requests++;
+      const level = await getTree(treeSha, false);
+      const files = [];
+
+      for (const entry of level.tree) {
+        if (entry.type === 'blob') {
+          files.push({ path: `${prefix}${entry.path}`, sha: entry.sha, size: entry.size });
+        } else if (entry.type === 'tree') {
+          if (state.requests >= MAX_TREE_REQUESTS) {
+            state.truncated = true;
+            continue;
+          }
+          files.push(...await walk(entry.sha, `${prefix}${entry.path}/`));
+        }
+      }
+
+      return files;
+    };
+
+    const files = await walk(sha, '');
+
+    if (state.truncated) {
+      logger.warn(`Stopped walking the GitHub tree after ${MAX_TREE_REQUESTS} requests`);
+    }
+
+    return { ref: sha, files, truncated: state.truncated };
+  }
+
+  /**
+   * Compare two GitHub commits
+   * GitHub lists at most 300 files per comparison
+   * @private
+   */
+  async _fetchGitHubCompare(prInfo, fromSha, toSha) {
+    const { owner, repo } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    const response = await this.http.request(`${apiUrl}/repos/${owner}/${repo}/compare/${fromSha}...${toSha}`, {
+      headers: {
+        'Accept': 'application/vnd.github.v3+json',
+        ...(token && { 'Authorization': `token ${token}` })
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    const comparison = await response.json();
+    const files = comparison.files || [];
+
+    return {
+      fromSha,
+      toSha,
+      ancestor: comparison.status === 'ahead' || comparison.status === 'identical',
+      totalCommits: comparison.total_commits,
+      changedFiles: files.map(file => this._buildChangedFile({
+        filename: file.filename,
+        previousFilename: file.previous_filename,
+        sha: file.sha,
+        status: file.status,
+        patch: file.patch,
+        additions: file.additions,
+        deletions: file.deletions
+      })),
+      truncated: files.length >= 300
+    };
+  }
+
+  /**
+   * Fetch GitLab merge request data
+   * @private
+   */
+  async fetchGitLabMR(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const token = this._getToken(PLATFORMS.GITLAB, prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
+
+    if (!token) {
+      throw new Error('GitLab token is required');
+    }
+
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    };
+
+    const projectPath = encodeURIComponent(`${owner}/${repo}`);
+
+    try {
+      const mrResponse = await this.http.request(`${apiUrl}/projects/${projectPath}/merge_requests/${prNumber}`, { headers });
+      
+      if (!mrResponse.ok) {
+        throw new Error(`GitLab API error: ${mrResponse.status}`);
+      }
+
+      const mrData = await mrResponse.json();
+
+      const { files, truncated } = await this._fetchGitLabChanges(apiUrl, projectPath, prNumber, headers);
+      const totalChangedFiles = parseInt(mrData.changes_count, 10) || files.length;
+
+      return {
+        platform: PLATFORMS.GITLAB,
+        number: prNumber,
+        title: mrData.title,
+        description: mrData.description,
+        author: mrData.author.username,
+        branch: mrData.source_branch,
+        baseBranch: mrData.target_branch,
+        headSha: mrData.sha,
+        baseSha: mrData.diff_refs?.base_sha,
+        state: mrData.state,
+        labels: mrData.labels || [],
+        draft: Boolean(mrData.draft ?? mrData.work_in_progress),
+        changedFiles: files.map(file => this._mapGitLabDiff(file)),
+        truncated,
+        totalChangedFiles,
+        url: mrData.web_url,
+        repository: this._buildRepository(PLATFORMS.GITLAB, prInfo)
+      };
+    } catch (error) {
+      logger.error('Error fetching GitLab MR:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch all changed files of a GitLab merge request
+   * Uses the paginated /diffs endpoint (GitLab 15.7+) and falls back to
+   * /changes, which reports `overflow` when GitLab cut the list short
+   * @private
+   */
+  async _fetchGitLabChanges(apiUrl, projectPath, prNumber, headers) {
+    const mrUrl = `${apiUrl}/projects/${projectPath}/merge_requests/${prNumber}`;
+
+    try {
+      const { items, complete } = await this._fetchAllPages(
+        `${mrUrl}/diffs?per_page=${PAGE_SIZE}`,
+        { headers },
+        {
+          errorPrefix: 'GitLab API error',
+          getNextUrl: (response, body, currentUrl) => {
+            const nextPage = response.headers.get('X-Next-Page');
+            if (!nextPage) return null;
+
+            const url = new URL(currentUrl);
+            url.searchParams.set('page', nextPage);
+            return url.toString();
+          }
+        }
+      );
+
+      return { files: items, truncated: !complete };
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      logger.debug('GitLab /diffs endpoint unavailable, falling back to /changes');
+    }
+
+    const changesResponse = await this.http.request(`${mrUrl}/changes`, { headers });
+
+    if (!changesResponse.ok) {
+      throw new Error(`GitLab API error: ${changesResponse.status}`);
+    }
+
+    const changes = await changesResponse.json();
+
+    if (changes.overflow) {
+      logger.warn(`GitLab truncated the change list at ${changes.changes.length} files`);
+    }
+
+    return { files: changes.changes, truncated: Boolean(changes.overflow) };
+  }
+
+  /**
+   * Compare two GitLab commits
+   * GitLab diffs from the merge base, so ancestry is checked separately
+   * @private
+   */
+  async _fetchGitLabCompare(prInfo, fromSha, toSha) {
+    const { owner, repo } = prInfo;
+    const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
+    const projectPath = encodeURIComponent(`${owner}/${repo}`);
+    const headers = { 'Authorization': `Bearer ${this._getToken(PLATFORMS.GITLAB, prInfo)}` };
+
+    const [compareResponse, mergeBaseResponse] = await Promise.all([
+      this.http.request(`${apiUrl}/projects/${projectPath}/repository/compare?from=${fromSha}&to=${toSha}`, { headers }),
+      this.http.request(`${apiUrl}/projects/${projectPath}/repository/merge_base?refs[]=${fromSha}&refs[]=${toSha}`, { headers })
+    ]);
+
+    if (!compareResponse.ok) {
+      throw new Error(`GitLab API error: ${compareResponse.status}`);
+    }
+
+    const comparison = await compareResponse.json();
+    const mergeBase = mergeBaseResponse.ok ? await mergeBaseResponse.json() : null;
+
+    return {
+      fromSha,
+      toSha,
+      ancestor: mergeBase?.id === fromSha,
+      totalCommits: comparison.commits?.length || 0,
+      changedFiles: (comparison.diffs || []).map(file => this._mapGitLabDiff(file)),
+      truncated: false
+    };
+  }
+
+  /**
+   * Build a changed file entry from a GitLab diff
+   * @private
+   */
+  _mapGitLabDiff(file) {
+    return this._buildChangedFile({
+      filename: file.new_path || file.old_path,
+      previousFilename: file.renamed_file ? file.old_path : null,
+      status: file.new_file ? 'added'
+        : file.deleted_file ? 'removed'
+          : file.renamed_file ? 'renamed' : 'modified',
+      patch: file.diff,
+      binary: /^Binary files /m.test(file.diff || '')
+    });
+  }
+
+  /**
+   * List a GitLab repository tree using keyset pagination
+   * @private
+   */
+  async _fetchGitLabTree(prInfo, sha) {
+    const { owner, repo } = prInfo;
+    const token = this._getToken(PLATFORMS.GITLAB, prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
+
+    const projectPath = encodeURIComponent(`${owner}/${repo}`);
+
+    const { items, complete } = await this._fetchAllPages(
+      `${apiUrl}/projects/${projectPath}/repository/tree?ref=${encodeURIComponent(sha)}&recursive=true&per_page=${PAGE_SIZE}&pagination=keyset`,
+      { headers: { 'Authorization': `Bearer ${token}` } },
+      {
+        errorPrefix: 'GitLab API error',
+        getNextUrl: (response, body, currentUrl) => {
+          const next = getNextLink(response.headers.get('Link'));
+          if (next) return next;
+
+          // Instances without keyset support fall back to offset pagination
+          const nextPage = response.headers.get('X-Next-Page');
+          if (!nextPage) return null;
+
+          const url = new URL(currentUrl);
+          url.searchParams.set('page', nextPage);
+          return url.toString();
+        }
+      }
+    );
+
+    return {
+      ref: sha,
+      files: items
+        .filter(entry => entry.type === 'blob')
+        .map(entry => ({ path: entry.path, sha: entry.id, size: null })),
+      truncated: !complete
+    };
+  }
+
+  /**
+   * Fetch Bitbucket pull request data
+   * @private
+   */
+  async fetchBitbucketPR(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET, prInfo);
+
+    if (!username || !appPassword) {
+      throw new Error('Bitbucket credentials are required');
+    }
+
+    const headers = {
+      'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}`,
+      'Content-Type': 'application/json'
+    };
+
+    try {
+      const prResponse = await this.http.request(
+        `${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}`,
+        { headers }
+      );
+
+      if (!prResponse.ok) {
+        throw new Error(`Bitbucket API error: ${prResponse.status}`);
+      }
+
+      const prData = await prResponse.json();
+
+      // Fetch changed files from the paginated diffstat
+      const { items: diffstat, complete } = await this._fetchAllPages(
+        `${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}/diffstat?pagelen=${PAGE_SIZE}`,
+        { headers },
+        {
+          errorPrefix: 'Bitbucket API error',
+          getItems: (body) => body.values || [],
+          getNextUrl: (response, body) => body.next || null
+        }
+      );
+
+      // Hunks and line counts come from the raw diff
+      const diffText = await this._fetchDiffText(
+        `${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}/diff`,
+        headers
+      );
+
+      const changedFiles = this._applyUnifiedDiff(
+        diffstat.map(entry => this._buildChangedFile({
+          filename: entry.new?.path || entry.old?.path,
+          previousFilename: entry.status === 'renamed' ? entry.old?.path : null,
+          status: entry.status,
+          additions: entry.lines_added || 0,
+          deletions: entry.lines_removed || 0
+        })),
+        diffText
+      );
+
+      return {
+        platform: PLATFORMS.BITBUCKET,
+        number: prNumber,
+        title: prData.title,
+        description: prData.description,
+        author: prData.author.display_name,
+        branch: prData.source.branch.name,
+        baseBranch: prData.destination.branch.name,
+        headSha: prData.source.commit?.hash,
+        baseSha: prData.destination.commit?.hash,
+        state: prData.state,
+        // Bitbucket pull requests have no labels
+        labels: [],
+        draft: Boolean(prData.draft),
+        changedFiles,
+        truncated: !complete,
+        totalChangedFiles: complete ? diffstat.length : null,
+        url: prData.links.html.href,
+        repository: this._buildRepository(PLATFORMS.BITBUCKET, prInfo)
+      };
+    } catch (error) {
+      logger.error('Error fetching Bitbucket PR:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a Bitbucket repository tree by walking `src` directories
+   * Bitbucket exposes no blob SHAs, so `sha` is null for every file
+   * @private
+   */
+  async _fetchBitbucketTree(prInfo, sha) {
+    const { owner, repo } = prInfo;
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET, prInfo);
+
+    const headers = { 'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}` };
+    const srcUrl = `${apiUrl}/repositories/${owner}/${repo}/src/${sha}`;
+
+    const files = [];
+    const directories = [''];
+    let requests = 0;
+    let truncated = false;
+
+    while (directories.length > 0) {
+      if (requests >= MAX_TREE_REQUESTS) {
+        truncated = true;
+        logger.warn(`Stopped walking the Bitbucket tree after ${MAX_TREE_REQUESTS} directories`);
+        break;
+      }
+
+      const directory = directories.shift();
+      const path = directory.split('/').map(encodeURIComponent).join('/');
+      requests++;
+
+      const { items, complete } = await this._fetchAllPages(
+        `${srcUrl}/${path}${path ? '/' : ''}?pagelen=${PAGE_SIZE}`,
+        { headers },
+        {
+          errorPrefix: 'Bitbucket API error',
+          getItems: (body) => body.values || [],
+          getNextUrl: (response, body) => body.next || null
+        }
+      );
+
+      truncated = truncated || !complete;
+
+      for (const entry of items) {
+        if (entry.type === 'commit_directory') {
+          directories.push(entry.path);
+        } else if (entry.type === 'commit_file') {
+          files.push({ path: entry.path, sha: null, size: entry.size ?? null });
+        }
+      }
+    }
+
+    return { ref: sha, files, truncated };
+  }
+
+  /**
+   * Compare two Bitbucket commits
+   * Bitbucket's `a..b` spec diffs a against b, so the later commit comes first.
+   * PR commit hashes are abbreviated, so the merge base is matched by prefix
+   * @private
+   */
+  async _fetchBitbucketCompare(prInfo, fromSha, toSha) {
+    const { owner, repo } = prInfo;
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET, prInfo);
+    const headers = { 'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}` };
+    const repoUrl = `${apiUrl}/repositories/${owner}/${repo}`;
+
+    const [diffResponse, mergeBaseResponse] = await Promise.all([
+      this.http.request(`${repoUrl}/diff/${toSha}..${fromSha}`, { headers }),
+      this.http.request(`${repoUrl}/merge-base/${toSha}..${fromSha}`, { headers })
+    ]);
+
+    if (!diffResponse.ok) {
+      throw new Error(`Bitbucket API error: ${diffResponse.status}`);
+    }
+
+    const diffs = parseUnifiedDiff(await diffResponse.text());
+    const mergeBase = mergeBaseResponse.ok ? await mergeBaseResponse.json() : null;
+
+    return {
+      fromSha,
+      toSha,
+      ancestor: Boolean(mergeBase?.hash?.startsWith(fromSha)),
+      totalCommits: null,
+      changedFiles: diffs.map(diff => ({ ...diff, sha: null })),
+      truncated: false
+    };
+  }
+
+  /**
+   * Fetch Bitbucket Data Center / Server pull request data
+   * `owner` is the project key and `repo` the repository slug
+   * @private
+   */
+  async fetchBitbucketServerPR(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET_SERVER, prInfo);
+    const headers = this._getBitbucketServerHeaders(prInfo);
+
+    const prUrl = `${apiUrl}/projects/${owner}/repos/${repo}/pull-requests/${prNumber}`;
+
+    try {
+      const prResponse = await this.http.request(prUrl, { headers });
+
+      if (!prResponse.ok) {
+        throw new Error(`Bitbucket API error: ${prResponse.status}`);
+      }
+
+      const prData = await prResponse.json();
+
+      // Fetch changed files, following start/limit paging
+      const { items: changes, complete } = await this._fetchAllPages(
+        `${prUrl}/changes?limit=${PAGE_SIZE}`,
+        { headers },
+        {
+          errorPrefix: 'Bitbucket API error',
+          getItems: (body) => body.values || [],
+          getNextUrl: (response, body, currentUrl) => {
+            if (body.isLastPage !== false) return null;
+
+            const url = new URL(currentUrl);
+            url.searchParams.set('start', body.nextPageStart);
+            return url.toString();
+          }
+        }
+      );
+
+      const statusMap = {
+        ADD: 'added',
+        COPY: 'copied',
+        DELETE: 'removed',
+        MOVE: 'renamed',
+        RENAME: 'renamed'
+      };
+
+      const diffText = await this._fetchDiffText(`${prUrl}.diff`, headers);
+
+      const changedFiles = this._applyUnifiedDiff(
+        changes.map(change => this._buildChangedFile({
+          filename: change.path?.toString,
+          previousFilename: change.srcPath?.toString || null,
+          status: statusMap[change.type] || 'modified'
+        })),
+        diffText
+      );
+
+      return {
+        platform: PLATFORMS.BITBUCKET_SERVER,
+        number: prNumber,
+        title: prData.title,
+        description: prData.description,
+        author: prData.author?.user?.displayName || prData.author?.user?.name,
+        branch: prData.fromRef?.displayId,
+        baseBranch: prData.toRef?.displayId,
+        headSha: prData.fromRef?.latestCommit,
+        baseSha: prData.toRef?.latestCommit,
+        state: prData.state,
+        labels: [],
+        draft: Boolean(prData.draft),
+        changedFiles,
+        truncated: !complete,
+        totalChangedFiles: complete ? changes.length : null,
+        url: prData.links?.self?.[0]?.href,
+        repository: this._buildRepository(PLATFORMS.BITBUCKET_SERVER, prInfo)
+      };
+    } catch (error) {
+      logger.error('Error fetching Bitbucket Server PR:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build Bitbucket Data Center request headers
+   * Uses the Bitbucket username with an HTTP access token or password
+   * @private
+   */
+  _getBitbucketServerHeaders(prInfo) {
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+
+    if (!username || !appPassword) {
+      throw new Error('Bitbucket credentials are required');
+    }
+
+    return {
+      'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Fetch Azure DevOps pull request data
+   * `owner` is the organization; `project` and `repo` identify the repository.
+   * Changed files come from the latest PR iteration
+   * @private
+   */
+  async fetchAzureDevOpsPR(prInfo) {
+    const { prNumber } = prInfo;
+    const headers = this._getAzureDevOpsHeaders(prInfo);
+    const prUrl = `${this._getAzureDevOpsRepoUrl(prInfo)}/pullrequests/${prNumber}`;
+    const apiVersion = `api-version=${PLATFORM_CONFIG[PLATFORMS.AZURE_DEVOPS].apiVersion}`;
+
+    try {
+      const prResponse = await this.http.request(`${prUrl}?${apiVersion}`, { headers });
+
+      if (!prResponse.ok) {
+        throw new Error(`Azure DevOps API error: ${prResponse.status}`);
+      }
+
+      const prData = await prResponse.json();
+
+      const iterationsResponse = await this.http.request(`${prUrl}/iterations?${apiVersion}`, { headers });
+
+      if (!iterationsResponse.ok) {
+        throw new Error(`Azure DevOps API error: ${iterationsResponse.status}`);
+      }
+
+      const iterations = (await iterationsResponse.json()).value || [];
+      const latestIteration = iterations[iterations.length - 1];
+
+      let changes = [];
+      let complete = true;
+
+      if (latestIteration) {
+        // Changes are paged with $top/$skip; nextSkip is 0 on the last page
+        ({ items: changes, complete } = await this._fetchAllPages(
+          `${prUrl}/iterations/${latestIteration.id}/changes?$top=${PAGE_SIZE}&${apiVersion}`,
+          { headers },
+          {
+            errorPrefix: 'Azure DevOps API error',
+            getItems: (body) => body.changeEntries || [],
+            getNextUrl: (response, body, currentUrl) => {
+              if (!body.nextSkip) return null;
+
+              const url = new URL(currentUrl);
+              url.searchParams.set('$skip', body.nextSkip);
+              return url.toString();
+            }
+          }
+        ));
+      }
+
+      const files = changes.filter(change => !change.item?.isFolder && change.item?.path);
+
+      return {
+        platform: PLATFORMS.AZURE_DEVOPS,
+        number: prNumber,
+        title: prData.title,
+        description: prData.description,
+        author: prData.createdBy?.uniqueName || prData.createdBy?.displayName,
+        branch: prData.sourceRefName?.replace(/^refs\/heads\//, ''),
+        baseBranch: prData.targetRefName?.replace(/^refs\/heads\//, ''),
+        headSha: prData.lastMergeSourceCommit?.commitId,
+        baseSha: prData.lastMergeTargetCommit?.commitId,
+        state: prData.status,
+        labels: (prData.labels || []).filter(label => label.active !== false).map(label => label.name),
+        draft: Boolean(prData.isDraft),
+        changedFiles: files.map(change => this._buildChangedFile({
+          filename: change.item.path.replace(/^\//, ''),
+          previousFilename: change.originalPath?.replace(/^\//, '') || null,
+          status: this._mapAzureDevOpsChangeType(change.changeType)
+        })),
+        truncated: !complete,
+        totalChangedFiles: complete ? files.length : null,
+        url: `${prData.repository?.webUrl}/pullrequest/${prNumber}`,
+        repository: this._buildRepository(PLATFORMS.AZURE_DEVOPS, prInfo)
+      };
+    } catch (error) {
+      logger.error('Error fetching Azure DevOps PR:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map an Azure DevOps changeType ("edit", "add", "edit, rename", ...) to a file status
+   * @private
+   */
+  _mapAzureDevOpsChangeType(changeType = '') {
+    if (changeType.includes('add')) return 'added';
+    if (changeType.includes('delete')) return 'removed';
+    if (changeType.includes('rename')) return 'renamed';
+    return 'modified';
+  }
+
+  /**
+   * Build the Azure DevOps Git repository API URL
+   * @private
+   */
+  _getAzureDevOpsRepoUrl(prInfo) {
+    const { owner, project, repo } = prInfo;
+    const apiUrl = this._getApiUrl(PLATFORMS.AZURE_DEVOPS, prInfo);
+
+    if (!project) {
+      throw new Error('Azure DevOps project is required');
+    }
+
+    return `${apiUrl}/${encodeURIComponent(owner)}/${encodeURIComponent(project)}/_apis/git/repositories/${encodeURIComponent(repo)}`;
+  }
+
+  /**
+   * Build Azure DevOps request headers (PAT via Basic auth with an empty username)
+   * @private
+   */
+  _getAzureDevOpsHeaders(prInfo) {
+    const token = this._getToken(PLATFORMS.AZURE_DEVOPS, prInfo);
+
+    if (!token) {
+      throw new Error('Azure DevOps personal access token is required');
+    }
+
+    return {
+      'Authorization': `Basic ${btoa(`:${token}`)}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Fetch Gitea / Forgejo pull request data
+   * Instances are self-hosted only, so the API URL always comes from `config.hosts`
+   * @private
+   */
+  async fetchGiteaPR(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const headers = this._getGiteaHeaders(prInfo);
+    const repoUrl = `${this._getApiUrl(PLATFORMS.GITEA, prInfo)}/repos/${owner}/${repo}`;
+
+    try {
+      const prResponse = await this.http.request(`${repoUrl}/pulls/${prNumber}`, { headers });
+
+      if (!prResponse.ok) {
+        throw new Error(`Gitea API error: ${prResponse.status}`);
+      }
+
+      const prData = await prResponse.json();
+
+      // Fetch changed files; Gitea caps `limit` at its MAX_RESPONSE_ITEMS and sends Link headers
+      const { items: files, complete } = await this._fetchAllPages(
+        `${repoUrl}/pulls/${prNumber}/files?limit=${PAGE_SIZE}`,
+        { headers },
+        {
+          errorPrefix: 'Gitea API error',
+          getNextUrl: (response) => getNextLink(response.headers.get('Link'))
+        }
+      );
+
+      const totalChangedFiles = prData.changed_files ?? (complete ? files.length : null);
+      const truncated = !complete || (totalChangedFiles !== null && files.length < totalChangedFiles);
+      if (truncated) {
+        logger.warn(`Gitea returned ${files.length} of ${totalChangedFiles ?? 'unknown'} changed files`);
+      }
+
+      // The file listing carries no patches; hunks come from the raw diff
+      const diffText = await this._fetchDiffText(`${repoUrl}/pulls/${prNumber}.diff`, headers);
+
+      const changedFiles = this._applyUnifiedDiff(
+        files.map(file => this._buildChangedFile({
+          filename: file.filename,
+          previousFilename: file.previous_filename,
+          status: file.status === 'deleted' ? 'removed' : file.status,
+          additions: file.additions,
+          deletions: file.deletions
+        })),
+        diffText
+      );
+
+      return {
+        platform: PLATFORMS.GITEA,
+        number: prNumber,
+        title: prData.title,
+        description: prData.body,
+        author: prData.user?.login,
+        branch: prData.head?.ref,
+        baseBranch: prData.base?.ref,
+        headSha: prData.head?.sha,
+        baseSha: prData.base?.sha,
+        state: prData.state,
+        labels: (prData.labels || []).map(label => label.name),
+        // Gitea marks drafts with a title prefix (WORK_IN_PROGRESS_PREFIXES)
+        draft: Boolean(prData.draft) || /^\s*(?:WIP:|\[WIP\])/i.test(prData.title || ''),
+        changedFiles,
+        truncated,
+        totalChangedFiles,
+        url: prData.html_url,
+        repository: this._buildRepository(PLATFORMS.GITEA, prInfo)
+      };
+    } catch (error) {
+      logger.error('Error fetching Gitea PR:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a Gitea repository tree, following its page-based pagination
+   * @private
+   */
+  async _fetchGiteaTree(prInfo, sha) {
+    const { owner, repo } = prInfo;
+    const headers = this._getGiteaHeaders(prInfo);
+    const repoUrl = `${this._getApiUrl(PLATFORMS.GITEA, prInfo)}/repos/${owner}/${repo}`;
+
+    // `truncated` means more pages follow, not that entries were dropped
+    const { items, complete } = await this._fetchAllPages(
+      `${repoUrl}/git/trees/${encodeURIComponent(sha)}?recursive=true&per_page=${PAGE_SIZE * 10}&page=1`,
+      { headers },
+      {
+        errorPrefix: 'Gitea API error',
+        getItems: (body) => body.tree || [],
+        getNextUrl: (response, body, currentUrl) => {
+          if (!body.truncated) return null;
+
+          const url = new URL(currentUrl);
+          url.searchParams.set('page', (body.page || 1) + 1);
+          return url.toString();
+        }
+      }
+    );
+
+    return {
+      ref: sha,
+      files: items
+        .filter(entry => entry.type === 'blob')
+        .map(entry => ({ path: entry.path, sha: entry.sha, size: entry.size })),
+      truncated: !complete
+    };
+  }
+
+  /**
+   * Build Gitea / Forgejo request headers; anonymous access works for public repositories
+   * @private
+   */
+  _getGiteaHeaders(prInfo) {
+    const token = this._getToken(PLATFORMS.GITEA, prInfo);
+
+    if (!token) {
+      logger.warn('No Gitea token configured, attempting public access');
+    }
+
+    return {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      ...(token && { 'Authorization': `token ${token}` })
+    };
+  }
+
+  /**
+   * Build a changed file entry in the shape shared by all platforms
+   * Line counts reported by the API win; otherwise they come from the patch
+   * @private
+   */
+  _buildChangedFile({ filename, previousFilename = null, sha = null, status, patch, additions, deletions, binary = false }) {
+    const parsed = parsePatch(patch);
+    const added = additions ?? parsed.additions;
+    const deleted = deletions ?? parsed.deletions;
+
+    return {
+      filename,
+      // Path on the base side of renamed and copied files
+      previousFilename: previousFilename || null,
+      // Head blob SHA where the file listing reports it
+      sha,
+      status: FILE_STATUSES.includes(status) ? status : 'modified',
+      additions: added,
+      deletions: deleted,
+      changes: added + deleted,
+      patch: patch || '',
+      hunks: parsed.hunks,
+      binary
+    };
+  }
+
+  /**
+   * Merge a raw unified diff into changed file entries
+   * @private
+   */
+  _applyUnifiedDiff(changedFiles, diffText) {
+    const diffs = new Map(parseUnifiedDiff(diffText).map(diff => [diff.filename, diff]));
+
+    return changedFiles.map(file => {
+      const diff = diffs.get(file.filename);
+      if (!diff) return file;
+
+      return {
+        ...file,
+        previousFilename: file.previousFilename || diff.previousFilename,
+        additions: diff.additions,
+        deletions: diff.deletions,
+        changes: diff.changes,
+        patch: diff.patch,
+        hunks: diff.hunks,
+        binary: diff.binary
+      };
+    });
+  }
+
+  /**
+   * Fetch a raw diff, returning null when it is unavailable
+   * Callers fall back to the file listing's own line counts
+   * @private
+   */
+  async _fetchDiffText(url, headers) {
+    try {
+      const response = await this.http.request(url, { headers });
+
+      if (!response.ok) {
+        logger.warn(`Could not fetch diff: ${response.status}`, { url });
+        return null;
+      }
+
+      return await response.text();
+    } catch (error) {
+      logger.warn('Could not fetch diff:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch every page of a list endpoint
+   * @private
+   * @param {string} url - First page URL
+   * @param {Object} fetchOptions - Options passed to fetch
+   * @param {Object} pagination - {getNextUrl, getItems, errorPrefix}
+   * @returns {Promise<Object>} {items, pages, complete}
+   */
+  async _fetchAllPages(url, fetchOptions, { getNextUrl, getItems = (body) => body, errorPrefix = 'API error' }) {
+    const items = [];
+    let nextUrl = url;
+    let pages = 0;
+
+    while (nextUrl && pages < MAX_PAGES) {
+      const response = await this.http.request(nextUrl, fetchOptions);
+
+      if (!response.ok) {
+        const error = new Error(`${errorPrefix}: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const body = await response.json();
+      items.push(...getItems(body));
+      nextUrl = getNextUrl(response, body, nextUrl);
+      pages++;
+    }
+
+    if (nextUrl) {
+      logger.warn(`Stopped paginating after ${MAX_PAGES} pages`, { url });
+    }
+
+    return { items, pages, complete: !nextUrl };
+  }
+
+  /**
+   * Post comment to PR
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @param {string} comment - Comment text
+   * @returns {Promise<boolean>}
+   */
+  async postComment(platform, prInfo, comment) {
+    const target = this._resolvePlatform(platform, prInfo);
+
+    logger.info(`Posting comment to ${target} PR`, prInfo);
+
+    try {
+      switch (target) {
+        case PLATFORMS.GITHUB:
+          return await this._postGitHubComment(prInfo, comment);
+        case PLATFORMS.GITLAB:
+          return await this._postGitLabComment(prInfo, comment);
+        case PLATFORMS.BITBUCKET:
+          return await this._postBitbucketComment(prInfo, comment);
+        case PLATFORMS.BITBUCKET_SERVER:
+          return await this._postBitbucketServerComment(prInfo, comment);
+        case PLATFORMS.AZURE_DEVOPS:
+          return await this._postAzureDevOpsComment(prInfo, comment);
+        case PLATFORMS.GITEA:
+          return await this._postGiteaComment(prInfo, comment);
+        default:
+          throw new Error(`Unsupported platform: ${target}`);
+      }
+    } catch (error) {
+      logger.error('Error posting comment:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the current head commit SHA of a PR
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @returns {Promise<string>}
+   */
+  async getHeadSha(platform, prInfo) {
+    const target = this._resolvePlatform(platform, prInfo);
+
+    switch (target) {
+      case PLATFORMS.GITHUB: {
+        const { owner, repo, prNumber } = prInfo;
+        const token = await this._getGitHubToken(prInfo);
+        const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+        const response = await this.http.request(`${apiUrl}/repos/${owner}/${repo}/pulls/${prNumber}`, {
+          headers: {
+            'Accept': 'application/vnd.github.v3+json',
+            ...(token && { 'Authorization': `token ${token}` })
+          }
+        });
+
+        if (!response.ok) {
+          throw new Error(`GitHub API error: ${response.status}`);
+        }
+
+        return (await response.json()).head.sha;
+      }
+      case PLATFORMS.GITLAB: {
+        const { owner, repo, prNumber } = prInfo;
+        const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
+        const projectPath = encodeURIComponent(`${owner}/${repo}`);
+
+        const response = await this.http.request(`${apiUrl}/projects/${projectPath}/merge_requests/${prNumber}`, {
+          headers: { 'Authorization': `Bearer ${this._getToken(PLATFORMS.GITLAB, prInfo)}` }
+        });
+
+        if (!response.ok) {
+          throw new Error(`GitLab API error: ${response.status}`);
+        }
+
+        return (await response.json()).sha;
+      }
+      case PLATFORMS.BITBUCKET: {
+        const { owner, repo, prNumber } = prInfo;
+        const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+        const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET, prInfo);
+
+        const response = await this.http.request(`${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}`, {
+          headers: { 'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}` }
+        });
+
+        if (!response.ok) {
+          throw new Error(`Bitbucket API error: ${response.status}`);
+        }
+
+        return (await response.json()).source.commit.hash;
+      }
+      case PLATFORMS.GITEA: {
+        const { owner, repo, prNumber } = prInfo;
+        const apiUrl = this._getApiUrl(PLATFORMS.GITEA, prInfo);
+
+        const response = await this.http.request(`${apiUrl}/repos/${owner}/${repo}/pulls/${prNumber}`, {
+          headers: this._getGiteaHeaders(prInfo)
+        });
+
+        if (!response.ok) {
+          throw new Error(`Gitea API error: ${response.status}`);
+        }
+
+        return (await response.json()).head.sha;
+      }
+      default:
+        throw new Error(`Unsupported platform: ${target}`);
+    }
+  }
+
+  /**
+   * Get only the labels and draft state of a PR, which drive run policies
+   * One request, where fetchPRData also reads the files and the diff
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @returns {Promise<Object>} {labels, draft}
+   */
+  async fetchPRLabels(platform, prInfo) {
+    const target = this._resolvePlatform(platform, prInfo);
+    const { owner, repo, prNumber } = prInfo;
+
+    const get = async (url, headers, errorPrefix) => {
+      const response = await this.http.request(url, { headers });
+      if (!response.ok) {
+        throw new Error(`${errorPrefix}: ${response.status}`);
+      }
+      return response.json();
+    };
+
+    switch (target) {
+      case PLATFORMS.GITHUB: {
+        const token = await this._getGitHubToken(prInfo);
+        const pr = await get(`${this._getApiUrl(target, prInfo)}/repos/${owner}/${repo}/pulls/${prNumber}`, {
+          'Accept': 'application/vnd.github.v3+json',
+          ...(token && { 'Authorization': `token ${token}` })
+        }, 'GitHub API error');
+        return { labels: (pr.labels || []).map(label => label.name), draft: Boolean(pr.draft) };
+      }
+      case PLATFORMS.GITLAB: {
+        const projectPath = encodeURIComponent(`${owner}/${repo}`);
+        const mr = await get(`${this._getApiUrl(target, prInfo)}/projects/${projectPath}/merge_requests/${prNumber}`, {
+          'Authorization': `Bearer ${this._getToken(PLATFORMS.GITLAB, prInfo)}`
+        }, 'GitLab API error');
+        return { labels: mr.labels || [], draft: Boolean(mr.draft ?? mr.work_in_progress) };
+      }
+      case PLATFORMS.BITBUCKET: {
+        const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+        const pr = await get(`${this._getApiUrl(target, prInfo)}/repositories/${owner}/${repo}/pullrequests/${prNumber}`, {
+          'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}`
+        }, 'Bitbucket API error');
+        return { labels: [], draft: Boolean(pr.draft) };
+      }
+      case PLATFORMS.BITBUCKET_SERVER: {
+        const pr = await get(
+          `${this._getApiUrl(target, prInfo)}/projects/${owner}/repos/${repo}/pull-requests/${prNumber}`,
+          this._getBitbucketServerHeaders(prInfo),
+          'Bitbucket API error'
+        );
+        return { labels: [], draft: Boolean(pr.draft) };
+      }
+      case PLATFORMS.AZURE_DEVOPS: {
+        const apiVersion = PLATFORM_CONFIG[PLATFORMS.AZURE_DEVOPS].apiVersion;
+        const pr = await get(
+          `${this._getAzureDevOpsRepoUrl(prInfo)}/pullrequests/${prNumber}?api-version=${apiVersion}`,
+          this._getAzureDevOpsHeaders(prInfo),
+          'Azure DevOps API error'
+        );
+        return {
+          labels: (pr.labels || []).filter(label => label.active !== false).map(label => label.name),
+          draft: Boolean(pr.isDraft)
+        };
+      }
+      case PLATFORMS.GITEA: {
+        const pr = await get(
+          `${this._getApiUrl(target, prInfo)}/repos/${owner}/${repo}/pulls/${prNumber}`,
+          this._getGiteaHeaders(prInfo),
+          'Gitea API error'
+        );
+        return {
+          labels: (pr.labels || []).map(label => label.name),
+          draft: Boolean(pr.draft) || /^\s*(?:WIP:|\[WIP\])/i.test(pr.title || '')
+        };
+      }
+      default:
+        throw new Error(`Unsupported platform: ${target}`);
+    }
+  }
+
+  /**
+   * Publish build state on the PR head commit
+   * GitHub uses a Check Run, or a commit status when `config.checks.mode` is 'status';
+   * GitLab and Bitbucket use commit / build statuses
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @param {Object} check - {sha, name, status, conclusion, detailsUrl, title, summary, annotations, checkId}
+   *   status is queued, in_progress or completed; conclusion is set once completed
+   * @returns {Promise<Object|null>} {id} of the published check, or null on failure
+   */
+  async publishCheck(platform, prInfo, check) {
+    const target = this._resolvePlatform(platform, prInfo);
+
+    logger.info(`Publishing ${check.status} check to ${target}`, { sha: check.sha });
+
+    try {
+      switch (target) {
+        case PLATFORMS.GITHUB:
+          return this.config.checks?.mode === 'status'
+            ? await this._publishGitHubStatus(prInfo, check)
+            : await this._publishGitHubCheckRun(prInfo, check);
+        case PLATFORMS.GITLAB:
+          return await this._publishGitLabStatus(prInfo, check);
+        case PLATFORMS.BITBUCKET:
+          return await this._publishBitbucketStatus(prInfo, check);
+        default:
+          throw new Error(`Unsupported platform: ${target}`);
+      }
+    } catch (error) {
+      logger.error('Error publishing check:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create or update a GitHub Check Run (requires a GitHub App installation token)
+   * Annotations are only sent on creation since GitHub appends them on every update
+   * @private
+   */
+  async _publishGitHubCheckRun(prInfo, check) {
+    const { owner, repo } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    if (!token) {
+      throw new Error('GitHub token is required to publish checks');
+    }
+
+    const payload = {
+      status: check.status,
+      details_url: check.detailsUrl,
+      output: {
+        title: check.title,
+        summary: check.summary,
+        ...(!check.checkId && check.annotations?.length && { annotations: check.annotations })
+      }
+    };
+
+    if (check.status === 'in_progress') {
+      payload.started_at = new Date().toISOString();
+    }
+    if (check.status === 'completed') {
+      payload.conclusion = check.conclusion;
+      payload.completed_at = new Date().toISOString();
+    }
+
+    const url = check.checkId
+      ? `${apiUrl}/repos/${owner}/${repo}/check-runs/${check.checkId}`
+      : `${apiUrl}/repos/${owner}/${repo}/check-runs`;
+
+    const response = await this.http.request(url, {
+      method: check.checkId ? 'PATCH' : 'POST',
+      headers: {
+        'Accept': 'application/vnd.github+json',
+        'Authorization': `token ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(check.checkId ? payload : { ...payload, name: check.name, head_sha: check.sha })
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    return { id: (await response.json()).id };
+  }
+
+  /**
+   * Set a GitHub commit status; statuses with the same context replace each other
+   * @private
+   */
+  async _publishGitHubStatus(prInfo, check) {
+    const { owner, repo } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    if (!token) {
+      throw new Error('GitHub token is required to publish statuses');
+    }
+
+    const state = check.status !== 'completed' ? 'pending'
+      : check.conclusion === 'success' ? 'success'
+        : check.conclusion === 'failure' ? 'failure' : 'error';
+
+    const response = await this.http.request(`${apiUrl}/repos/${owner}/${repo}/statuses/${check.sha}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `token ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        state,
+        target_url: check.detailsUrl,
+        description: check.title?.slice(0, MAX_STATUS_DESCRIPTION),
+        context: check.name
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    return { id: (await response.json()).id };
+  }
+
+  /**
+   * Set a GitLab commit status; the pipeline moves pending -> running -> final state
+   * @private
+   */
+  async _publishGitLabStatus(prInfo, check) {
+    const { owner, repo } = prInfo;
+    const token = this._getToken(PLATFORMS.GITLAB, prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
+
+    const projectPath = encodeURIComponent(`${owner}/${repo}`);
+    const states = { queued: 'pending', in_progress: 'running' };
+    const state = states[check.status] ||
+      (check.conclusion === 'success' ? 'success'
+        : check.conclusion === 'cancelled' ? 'canceled' : 'failed');
+
+    const response = await this.http.request(`${apiUrl}/projects/${projectPath}/statuses/${check.sha}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        state,
+        name: check.name,
+        target_url: check.detailsUrl,
+        description: check.title?.slice(0, MAX_STATUS_DESCRIPTION)
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitLab API error: ${response.status}`);
+    }
+
+    return { id: (await response.json()).id };
+  }
+
+  /**
+   * Set a Bitbucket build status; statuses with the same key replace each other
+   * @private
+   */
+  async _publishBitbucketStatus(prInfo, check) {
+    const { owner, repo } = prInfo;
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET, prInfo);
+
+    const key = check.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40);
+    const state = check.status !== 'completed' ? 'INPROGRESS'
+      : check.conclusion === 'success' ? 'SUCCESSFUL'
+        : check.conclusion === 'cancelled' ? 'STOPPED' : 'FAILED';
+
+    const response = await this.http.request(`${apiUrl}/repositories/${owner}/${repo}/commit/${check.sha}/statuses/build`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        key,
+        state,
+        name: check.name,
+        url: check.detailsUrl,
+        description: check.title
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Bitbucket API error: ${response.status}`);
+    }
+
+    return { id: key };
+  }
+
+  /**
+   * Post line-anchored review comments as one batch
+   * Comments whose marker is already present on the PR are skipped
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @param {Array<Object>} comments - [{path, line, marker, body}], line on the new side
+   * @param {Object} options - {headSha, summary}
+   * @returns {Promise<Object>} {posted, skipped}
+   */
+  async postReviewComments(platform, prInfo, comments, { headSha, summary } = {}) {
+    const target = this._resolvePlatform(platform, prInfo);
+
+    try {
+      let existing;
+
+      switch (target) {
+        case PLATFORMS.GITHUB:
+          existing = await this._listGitHubReviewComments(prInfo);
+          break;
+        case PLATFORMS.GITLAB:
+          existing = await this._listGitLabComments(prInfo);
+          break;
+        case PLATFORMS.BITBUCKET:
+          existing = await this._listBitbucketComments(prInfo);
+          break;
+        default:
+          throw new Error(`Inline review comments are not supported for ${target}`);
+      }
+
+      const fresh = comments.filter(comment =>
+        !existing.some(existingComment => existingComment.body?.includes(comment.marker))
+      );
+      const skipped = comments.length - fresh.length;
+
+      if (fresh.length === 0) {
+        logger.info('No new review comments to post', { skipped });
+        return { posted: 0, skipped };
+      }
+
+      logger.info(`Posting ${fresh.length} review comments to ${target} PR`, prInfo);
+
+      switch (target) {
+        case PLATFORMS.GITHUB:
+          await this._postGitHubReview(prInfo, fresh, headSha, summary);
+          break;
+        case PLATFORMS.GITLAB:
+          await this._postGitLabReview(prInfo, fresh);
+          break;
+        case PLATFORMS.BITBUCKET:
+          await this._postBitbucketInlineComments(prInfo, fresh);
+          break;
+      }
+
+      return { posted: fresh.length, skipped };
+    } catch (error) {
+      logger.error('Error posting review comments:', error);
+      return { posted: 0, skipped: 0, error: error.message };
+    }
+  }
+
+  /**
+   * List GitHub review (diff) comments
+   * @private
+   */
+  async _listGitHubReviewComments(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    const { items } = await this._fetchAllPages(
+      `${apiUrl}/repos/${owner}/${repo}/pulls/${prNumber}/comments?per_page=${PAGE_SIZE}`,
+      {
+        headers: {
+          'Accept': 'application/vnd.github.v3+json',
+          ...(token && { 'Authorization': `token ${token}` })
+        }
+      },
+      {
+        errorPrefix: 'GitHub API error',
+        getNextUrl: (response) => getNextLink(response.headers.get('Link'))
+      }
+    );
+
+    return items.map(comment => ({ id: comment.id, body: comment.body }));
+  }
+
+  /**
+   * Submit all comments as a single GitHub review
+   * @private
+   */
+  async _postGitHubReview(prInfo, comments, headSha, summary) {
+    const { owner, repo, prNumber } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    if (!token) {
+      throw new Error('GitHub token is required to post reviews');
+    }
+
+    const response = await this.http.request(`${apiUrl}/repos/${owner}/${repo}/pulls/${prNumber}/reviews`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `token ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        ...(headSha && { commit_id: headSha }),
+        event: 'COMMENT',
+        body: summary || '',
+        comments: comments.map(comment => ({
+          path: comment.path,
+          line: comment.line,
+          side: 'RIGHT',
+          body: comment.body
+        }))
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status}`);
+    }
+  }
+
+  /**
+   * Start one GitLab diff discussion per comment
+   * Draft notes are not used: bulk_publish also publishes the user's own
+   * unrelated drafts, and drafts left by a failed run would be posted twice.
+   * A comment posted before a failure carries its marker, so a retry skips it
+   * @private
+   */
+  async _postGitLabReview(prInfo, comments) {
+    const { owner, repo, prNumber } = prInfo;
+    const token = this._getToken(PLATFORMS.GITLAB, prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
+
+    const projectPath = encodeURIComponent(`${owner}/${repo}`);
+    const mrUrl = `${apiUrl}/projects/${projectPath}/merge_requests/${prNumber}`;
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    };
+
+    const mrResponse = await this.http.request(mrUrl, { headers });
+
+    if (!mrResponse.ok) {
+      throw new Error(`GitLab API error: ${mrResponse.status}`);
+    }
+
+    const { diff_refs: diffRefs } = await mrResponse.json();
+
+    for (const comment of comments) {
+      const response = await this.http.request(`${mrUrl}/discussions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          body: comment.body,
+          position: {
+            position_type: 'text',
+            base_sha: diffRefs.base_sha,
+            start_sha: diffRefs.start_sha,
+            head_sha: diffRefs.head_sha,
+            old_path: comment.path,
+            new_path: comment.path,
+            new_line: comment.line
+          }
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`GitLab API error: ${response.status}`);
+      }
+    }
+  }
+
+  /**
+   * Post Bitbucket inline comments; the API has no review batching,
+   * so comments are posted one after another
+   * @private
+   */
+  async _postBitbucketInlineComments(prInfo, comments) {
+    const { owner, repo, prNumber } = prInfo;
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET, prInfo);
+
+    for (const comment of comments) {
+      const response = await this.http.request(
+        `${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}/comments`,
+        {
+          method: 'POST',
+          headers: {
+            'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            content: { raw: comment.body },
+            inline: { path: comment.path, to: comment.line }
+          })
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Bitbucket API error: ${response.status}`);
+      }
+    }
+  }
+
+  /**
+   * Find the first PR comment posted with the configured credentials whose body
+   * contains a marker; comments by anyone else are ignored, so copying the
+   * marker cannot take over the comment
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @param {string} marker - Text identifying the comment (e.g. a hidden HTML marker)
+   * @returns {Promise<Object|null>} {id, body, ...platform fields needed to edit it}
+   * @throws {Error} When comments cannot be listed; posting anyway would duplicate the comment
+   */
+  async findComment(platform, prInfo, marker) {
+    const target = this._resolvePlatform(platform, prInfo);
+    let comments;
+
+    switch (target) {
+      case PLATFORMS.GITHUB:
+        comments = await this._listGitHubComments(prInfo);
+        break;
+      case PLATFORMS.GITLAB:
+        comments = await this._listGitLabComments(prInfo);
+        break;
+      case PLATFORMS.BITBUCKET:
+        comments = await this._listBitbucketComments(prInfo);
+        break;
+      case PLATFORMS.BITBUCKET_SERVER:
+        comments = await this._listBitbucketServerComments(prInfo);
+        break;
+      case PLATFORMS.AZURE_DEVOPS:
+        comments = await this._listAzureDevOpsComments(prInfo);
+        break;
+      case PLATFORMS.GITEA:
+        comments = await this._listGiteaComments(prInfo);
+        break;
+      default:
+        throw new Error(`Unsupported platform: ${target}`);
+    }
+
+    return comments.find(comment => comment.mine && comment.body?.includes(marker)) || null;
+  }
+
+  /**
+   * Replace the body of an existing PR comment
+   * @param {string} platform - Platform name
+   * @param {Object} prInfo - PR information
+   * @param {Object} existing - Comment returned by findComment
+   * @param {string} comment - New comment text
+   * @returns {Promise<boolean>}
+   */
+  async updateComment(platform, prInfo, existing, comment) {
+    const target = this._resolvePlatform(platform, prInfo);
+
+    logger.info(`Updating comment ${existing.id} on ${target} PR`, prInfo);
+
+    try {
+      switch (target) {
+        case PLATFORMS.GITHUB:
+          return await this._updateGitHubComment(prInfo, existing, comment);
+        case PLATFORMS.GITLAB:
+          return await this._updateGitLabComment(prInfo, existing, comment);
+        case PLATFORMS.BITBUCKET:
+          return await this._updateBitbucketComment(prInfo, existing, comment);
+        case PLATFORMS.BITBUCKET_SERVER:
+          return await this._updateBitbucketServerComment(prInfo, existing, comment);
+        case PLATFORMS.AZURE_DEVOPS:
+          return await this._updateAzureDevOpsComment(prInfo, existing, comment);
+        case PLATFORMS.GITEA:
+          return await this._updateGiteaComment(prInfo, existing, comment);
+        default:
+          throw new Error(`Unsupported platform: ${target}`);
+      }
+    } catch (error) {
+      logger.error('Error updating comment:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Post GitHub comment
+   * @private
+   */
+  async _postGitHubComment(prInfo, comment) {
+    const { owner, repo, prNumber } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    if (!token) {
+      throw new Error('GitHub token is required to post comments');
+    }
+
+    const response = await this.http.request(
+      `${apiUrl}/repos/${owner}/${repo}/issues/${prNumber}/comments`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `token ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ body: comment })
+      }
+    );
+
+    this.commentCache.delete(this._getCommentCacheKey(prInfo));
+    return response.ok;
+  }
+
+  /**
+   * Post GitLab comment
+   * @private
+   */
+  async _postGitLabComment(prInfo, comment) {
+    const { owner, repo, prNumber } = prInfo;
+    const token = this._getToken(PLATFORMS.GITLAB, prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
+
+    const projectPath = encodeURIComponent(`${owner}/${repo}`);
+
+    const response = await this.http.request(
+      `${apiUrl}/projects/${projectPath}/merge_requests/${prNumber}/notes`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ body: comment })
+      }
+    );
+
+    return response.ok;
+  }
+
+  /**
+   * Post Bitbucket comment
+   * @private
+   */
+  async _postBitbucketComment(prInfo, comment) {
+    const { owner, repo, prNumber } = prInfo;
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET, prInfo);
+
+    const response = await this.http.request(
+      `${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}/comments`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          content: { raw: comment }
+        })
+      }
+    );
+
+    return response.ok;
+  }
+
+  /**
+   * Post Bitbucket Data Center / Server comment
+   * @private
+   */
+  async _postBitbucketServerComment(prInfo, comment) {
+    const { owner, repo, prNumber } = prInfo;
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET_SERVER, prInfo);
+
+    const response = await this.http.request(
+      `${apiUrl}/projects/${owner}/repos/${repo}/pull-requests/${prNumber}/comments`,
+      {
+        method: 'POST',
+        headers: this._getBitbucketServerHeaders(prInfo),
+        body: JSON.stringify({ text: comment })
+      }
+    );
+
+    return response.ok;
+  }
+
+  /**
+   * Post Azure DevOps comment as a new PR thread
+   * @private
+   */
+  async _postAzureDevOpsComment(prInfo, comment) {
+    const { prNumber } = prInfo;
+    const apiVersion = PLATFORM_CONFIG[PLATFORMS.AZURE_DEVOPS].apiVersion;
+
+    const response = await this.http.request(
+      `${this._getAzureDevOpsRepoUrl(prInfo)}/pullrequests/${prNumber}/threads?api-version=${apiVersion}`,
+      {
+        method: 'POST',
+        headers: this._getAzureDevOpsHeaders(prInfo),
+        body: JSON.stringify({
+          comments: [{ parentCommentId: 0, content: comment, commentType: 'text' }],
+          status: 'active'
+        })
+      }
+    );
+
+    return response.ok;
+  }
+
+  /**
+   * Post Gitea / Forgejo comment (PR comments live on the issue endpoint)
+   * @private
+   */
+  async _postGiteaComment(prInfo, comment) {
+    const { owner, repo, prNumber } = prInfo;
+    const apiUrl = this._getApiUrl(PLATFORMS.GITEA, prInfo);
+
+    if (!this._getToken(PLATFORMS.GITEA, prInfo)) {
+      throw new Error('Gitea token is required to post comments');
+    }
+
+    const response = await this.http.request(
+      `${apiUrl}/repos/${owner}/${repo}/issues/${prNumber}/comments`,
+      {
+        method: 'POST',
+        headers: this._getGiteaHeaders(prInfo),
+        body: JSON.stringify({ body: comment })
+      }
+    );
+
+    return response.ok;
+  }
+
+  /**
+   * Identify the account the configured credentials act as, in the form its
+   * comments carry: GitHub login, Bitbucket uuid, Bitbucket Server user name
+   * or the GitLab, Azure DevOps and Gitea user ID
+   * Looked up once per host and owner, since credentials can differ per owner
+   * @private
+   */
+  async _getViewerId(platform, prInfo) {
+    const key = [platform, this._getApiUrl(platform, prInfo), prInfo.owner].join('|');
+
+    if (!this.viewerIds.has(key)) {
+      this.viewerIds.set(key, this._fetchViewerId(platform, prInfo).catch(error => {
+        this.viewerIds.delete(key);
+        throw error;
+      }));
+    }
+
+    return this.viewerIds.get(key);
+  }
+
+  /**
+   * @private
+   */
+  async _fetchViewerId(platform, prInfo) {
+    const apiUrl = this._getApiUrl(platform, prInfo);
+    let response;
+
+    switch (platform) {
+      case PLATFORMS.GITHUB: {
+        const token = await this._getGitHubToken(prInfo);
+        response = await this.http.request(`${apiUrl}/user`, {
+          headers: {
+            'Accept': 'application/vnd.github.v3+json',
+            ...(token && { 'Authorization': `token ${token}` })
+          }
+        });
+
+        // Installation tokens cannot read /user; their comments are authored by the app
+        if (response.status === 403 && await this.appAuth.isConfigured()) {
+          return this.appAuth.getBotLogin(apiUrl);
+        }
+        if (!response.ok) break;
+        return (await response.json()).login;
+      }
+      case PLATFORMS.GITLAB:
+        response = await this.http.request(`${apiUrl}/user`, {
+          headers: { 'Authorization': `Bearer ${this._getToken(PLATFORMS.GITLAB, prInfo)}` }
+        });
+        if (!response.ok) break;
+        return (await response.json()).id;
+      case PLATFORMS.BITBUCKET: {
+        const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+        response = await this.http.request(`${apiUrl}/user`, {
+          headers: { 'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}` }
+        });
+        if (!response.ok) break;
+        return (await response.json()).uuid;
+      }
+      case PLATFORMS.BITBUCKET_SERVER:
+        // Requests are made with the user name, so no lookup is needed
+        return this._getBitbucketCredentials(prInfo).username.toLowerCase();
+      case PLATFORMS.AZURE_DEVOPS:
+        response = await this.http.request(`${apiUrl}/${encodeURIComponent(prInfo.owner)}/_apis/connectionData`, {
+          headers: this._getAzureDevOpsHeaders(prInfo)
+        });
+        if (!response.ok) break;
+        return (await response.json()).authenticatedUser?.id;
+      case PLATFORMS.GITEA:
+        response = await this.http.request(`${apiUrl}/user`, { headers: this._getGiteaHeaders(prInfo) });
+        if (!response.ok) break;
+        return (await response.json()).id;
+      default:
+        throw new Error(`Unsupported platform: ${platform}`);
+    }
+
+    throw new Error(`Could not identify the ${PLATFORM_CONFIG[platform]?.name || platform} user: ${response.status}`);
+  }
+
+  /**
+   * List GitHub PR conversation comments
+   * @private
+   */
+  async _listGitHubComments(prInfo) {
+    const cached = this.commentCache.get(this._getCommentCacheKey(prInfo));
+    if (cached && Date.now() - cached.fetchedAt < COMMENT_CACHE_TTL) {
+      return cached.comments;
+    }
+
+    const { owner, repo, prNumber } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    const { items } = await this._fetchAllPages(
+      `${apiUrl}/repos/${owner}/${repo}/issues/${prNumber}/comments?per_page=${PAGE_SIZE}`,
+      {
+        headers: {
+          'Accept': 'application/vnd.github.v3+json',
+          ...(token && { 'Authorization': `token ${token}` })
+        }
+      },
+      {
+        errorPrefix: 'GitHub API error',
+        getNextUrl: (response) => getNextLink(response.headers.get('Link'))
+      }
+    );
+
+    const viewer = await this._getViewerId(PLATFORMS.GITHUB, prInfo);
+
+    return items.map(comment => ({ id: comment.id, body: comment.body, mine: comment.user?.login === viewer }));
+  }
+
+  /**
+   * Update GitHub comment (PR comments are issue comments)
+   * @private
+   */
+  async _updateGitHubComment(prInfo, existing, comment) {
+    const { owner, repo } = prInfo;
+    const token = await this._getGitHubToken(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITHUB, prInfo);
+
+    if (!token) {
+      throw new Error('GitHub token is required to update comments');
+    }
+
+    const response = await this.http.request(
+      `${apiUrl}/repos/${owner}/${repo}/issues/comments/${existing.id}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `token ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ body: comment })
+      }
+    );
+
+    this.commentCache.delete(this._getCommentCacheKey(prInfo));
+    return response.ok;
+  }
+
+  /**
+   * List GitLab merge request notes, skipping system notes
+   * @private
+   */
+  async _listGitLabComments(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const token = this._getToken(PLATFORMS.GITLAB, prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
+
+    const projectPath = encodeURIComponent(`${owner}/${repo}`);
+
+    const { items } = await this._fetchAllPages(
+      `${apiUrl}/projects/${projectPath}/merge_requests/${prNumber}/notes?per_page=${PAGE_SIZE}&sort=asc`,
+      { headers: { 'Authorization': `Bearer ${token}` } },
+      {
+        errorPrefix: 'GitLab API error',
+        getNextUrl: (response, body, currentUrl) => {
+          const nextPage = response.headers.get('X-Next-Page');
+          if (!nextPage) return null;
+
+          const url = new URL(currentUrl);
+          url.searchParams.set('page', nextPage);
+          return url.toString();
+        }
+      }
+    );
+
+    const viewer = await this._getViewerId(PLATFORMS.GITLAB, prInfo);
+
+    return items
+      .filter(note => !note.system)
+      .map(note => ({ id: note.id, body: note.body, mine: note.author?.id === viewer }));
+  }
+
+  /**
+   * Update GitLab merge request note
+   * @private
+   */
+  async _updateGitLabComment(prInfo, existing, comment) {
+    const { owner, repo, prNumber } = prInfo;
+    const token = this._getToken(PLATFORMS.GITLAB, prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.GITLAB, prInfo);
+
+    const projectPath = encodeURIComponent(`${owner}/${repo}`);
+
+    const response = await this.http.request(
+      `${apiUrl}/projects/${projectPath}/merge_requests/${prNumber}/notes/${existing.id}`,
+      {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ body: comment })
+      }
+    );
+
+    return response.ok;
+  }
+
+  /**
+   * List Bitbucket pull request comments, skipping deleted ones
+   * @private
+   */
+  async _listBitbucketComments(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET, prInfo);
+
+    const { items } = await this._fetchAllPages(
+      `${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}/comments?pagelen=${PAGE_SIZE}`,
+      { headers: { 'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}` } },
+      {
+        errorPrefix: 'Bitbucket API error',
+        getItems: (body) => body.values || [],
+        getNextUrl: (response, body) => body.next || null
+      }
+    );
+
+    const viewer = await this._getViewerId(PLATFORMS.BITBUCKET, prInfo);
+
+    return items
+      .filter(comment => !comment.deleted)
+      .map(comment => ({ id: comment.id, body: comment.content?.raw, mine: comment.user?.uuid === viewer }));
+  }
+
+  /**
+   * Update Bitbucket pull request comment
+   * @private
+   */
+  async _updateBitbucketComment(prInfo, existing, comment) {
+    const { owner, repo, prNumber } = prInfo;
+    const { username, appPassword } = this._getBitbucketCredentials(prInfo);
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET, prInfo);
+
+    const response = await this.http.request(
+      `${apiUrl}/repositories/${owner}/${repo}/pullrequests/${prNumber}/comments/${existing.id}`,
+      {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Basic ${btoa(`${username}:${appPassword}`)}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          content: { raw: comment }
+        })
+      }
+    );
+
+    return response.ok;
+  }
+
+  /**
+   * List Bitbucket Data Center comments from the PR activity stream
+   * Edits need the comment version for optimistic locking
+   * @private
+   */
+  async _listBitbucketServerComments(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET_SERVER, prInfo);
+
+    const { items } = await this._fetchAllPages(
+      `${apiUrl}/projects/${owner}/repos/${repo}/pull-requests/${prNumber}/activities?limit=${PAGE_SIZE}`,
+      { headers: this._getBitbucketServerHeaders(prInfo) },
+      {
+        errorPrefix: 'Bitbucket API error',
+        getItems: (body) => body.values || [],
+        getNextUrl: (response, body, currentUrl) => {
+          if (body.isLastPage !== false) return null;
+
+          const url = new URL(currentUrl);
+          url.searchParams.set('start', body.nextPageStart);
+          return url.toString();
+        }
+      }
+    );
+
+    const viewer = await this._getViewerId(PLATFORMS.BITBUCKET_SERVER, prInfo);
+
+    // Activities are newest first
+    return items
+      .filter(activity => activity.action === 'COMMENTED' && activity.comment)
+      .reverse()
+      .map(({ comment }) => ({
+        id: comment.id,
+        body: comment.text,
+        version: comment.version,
+        mine: comment.author?.name?.toLowerCase() === viewer
+      }));
+  }
+
+  /**
+   * Update Bitbucket Data Center comment
+   * @private
+   */
+  async _updateBitbucketServerComment(prInfo, existing, comment) {
+    const { owner, repo, prNumber } = prInfo;
+    const apiUrl = this._getApiUrl(PLATFORMS.BITBUCKET_SERVER, prInfo);
+
+    const response = await this.http.request(
+      `${apiUrl}/projects/${owner}/repos/${repo}/pull-requests/${prNumber}/comments/${existing.id}`,
+      {
+        method: 'PUT',
+        headers: this._getBitbucketServerHeaders(prInfo),
+        body: JSON.stringify({ text: comment, version: existing.version })
+      }
+    );
+
+    return response.ok;
+  }
+
+  /**
+   * List the opening comment of each Azure DevOps PR thread
+   * @private
+   */
+  async _listAzureDevOpsComments(prInfo) {
+    const { prNumber } = prInfo;
+    const apiVersion = PLATFORM_CONFIG[PLATFORMS.AZURE_DEVOPS].apiVersion;
+
+    const response = await this.http.request(
+      `${this._getAzureDevOpsRepoUrl(prInfo)}/pullrequests/${prNumber}/threads?api-version=${apiVersion}`,
+      { headers: this._getAzureDevOpsHeaders(prInfo) }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Azure DevOps API error: ${response.status}`);
+    }
+
+    const threads = (await response.json()).value || [];
+    const viewer = await this._getViewerId(PLATFORMS.AZURE_DEVOPS, prInfo);
+
+    return threads
+      .filter(thread => !thread.isDeleted && thread.comments?.length)
+      .map(thread => ({
+        id: thread.comments[0].id,
+        threadId: thread.id,
+        body: thread.comments[0].content,
+        mine: thread.comments[0].author?.id === viewer
+      }));
+  }
+
+  /**
+   * Update Azure DevOps thread comment
+   * @private
+   */
+  async _updateAzureDevOpsComment(prInfo, existing, comment) {
+    const { prNumber } = prInfo;
+    const apiVersion = PLATFORM_CONFIG[PLATFORMS.AZURE_DEVOPS].apiVersion;
+
+    const response = await this.http.request(
+      `${this._getAzureDevOpsRepoUrl(prInfo)}/pullrequests/${prNumber}/threads/${existing.threadId}/comments/${existing.id}?api-version=${apiVersion}`,
+      {
+        method: 'PATCH',
+        headers: this._getAzureDevOpsHeaders(prInfo),
+        body: JSON.stringify({ content: comment })
+      }
+    );
+
+    return response.ok;
+  }
+
+  /**
+   * List Gitea / Forgejo PR comments
+   * @private
+   */
+  async _listGiteaComments(prInfo) {
+    const { owner, repo, prNumber } = prInfo;
+    const apiUrl = this._getApiUrl(PLATFORMS.GITEA, prInfo);
+
+    const { items } = await this._fetchAllPages(
+      `${apiUrl}/repos/${owner}/${repo}/issues/${prNumber}/comments?limit=${PAGE_SIZE}`,
+      { headers: this._getGiteaHeaders(prInfo) },
+      {
+        errorPrefix: 'Gitea API error',
+        getNextUrl: (response) => getNextLink(response.headers.get('Link'))
+      }
+    );
+
+    const viewer = await this._getViewerId(PLATFORMS.GITEA, prInfo);
+
+    return items.map(comment => ({ id: comment.id, body: comment.body, mine: comment.user?.id === viewer }));
+  }
+
+  /**
+   * Update Gitea / Forgejo comment
+   * @private
+   */
+  async _updateGiteaComment(prInfo, existing, comment) {
+    const { owner, repo } = prInfo;
+    const apiUrl = this._getApiUrl(PLATFORMS.GITEA, prInfo);
+
+    const response = await this.http.request(
+      `${apiUrl}/repos/${owner}/${repo}/issues/comments/${existing.id}`,
+      {
+        method: 'PATCH',
+        headers: this._getGiteaHeaders(prInfo),
+        body: JSON.stringify({ body: comment })
       }
     );
 
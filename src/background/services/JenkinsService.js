@@ -19,7 +19,9 @@ class JenkinsService {
    * @returns {Promise<Object>} Build information
    */
   async triggerPipeline(params) {
-    const { url, username, token, jobName } = this.config.jenkins || {};
+    const { url, username, token } = this.config.jenkins || {};
+    // A repository's .testrunner.yml may name its own job
+    const jobName = params.jobName || this.config.jenkins?.jobName;
 
     if (!url || !username || !token || !jobName) {
       throw new Error('Jenkins configuration is incomplete');
@@ -36,7 +38,9 @@ class JenkinsService {
       prNumber,
       testFiles,
       branch,
-      coverageThreshold = 80
+      coverageThreshold = 80,
+      testScope = 'selected',
+      testTags = []
     } = params;
 
     const buildParams = {
@@ -44,7 +48,10 @@ class JenkinsService {
       PR_NUMBER: String(prNumber),
       TEST_FILES: Array.isArray(testFiles) ? testFiles.join(',') : testFiles,
       BRANCH: branch,
-      COVERAGE_THRESHOLD: String(coverageThreshold)
+      COVERAGE_THRESHOLD: String(coverageThreshold),
+      // selected, full or smoke; see config.policies
+      TEST_SCOPE: testScope,
+      TEST_TAGS: testTags.join(',')
     };
 
     try {
@@ -137,6 +144,90 @@ class JenkinsService {
     }
   }
 
+  /**
+   * Get the state of a queued build
+   * @param {string} queueLocation - Queue item URL returned when triggering
+   * @returns {Promise<Object>} {cancelled, buildUrl, number, why}
+   */
+  async getQueueItem(queueLocation) {
+    const { username, token } = this.config.jenkins || {};
+
+    if (!username || !token) {
+      throw new Error('Jenkins credentials not configured');
+    }
+
+    const apiUrl = `${queueLocation.replace(/\/+$/, '')}/api/json`;
+    const headers = {
+      'Authorization': `Basic ${btoa(`${username}:${token}`)}`,
+      'Accept': 'application/json'
+    };
+
+    try {
+      const response = await fetch(apiUrl, { headers });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch queue item: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      return {
+        cancelled: Boolean(data.cancelled),
+        buildUrl: data.executable?.url?.replace(/\/+$/, '') || null,
+        number: data.executable?.number || null,
+        why: data.why || null
+      };
+    } catch (error) {
+      logger.error('Error fetching queue item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the names of failing suites from a build's JUnit test report
+   * @param {string} buildUrl - Build URL
+   * @returns {Promise<Array<string>|null>} Suite and class names with failed cases,
+   *   or null when the build published no test report
+   */
+  async getFailedSuites(buildUrl) {
+    const { username, token } = this.config.jenkins || {};
+
+    const apiUrl = `${buildUrl}/testReport/api/json?tree=suites[name,cases[className,status]]`;
+    const headers = {
+      'Authorization': `Basic ${btoa(`${username}:${token}`)}`,
+      'Accept': 'application/json'
+    };
+
+    try {
+      const response = await fetch(apiUrl, { headers });
+
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to fetch test report: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const failed = new Set();
+
+      for (const suite of data.suites || []) {
+        const failedCases = (suite.cases || []).filter(testCase =>
+          testCase.status === 'FAILED' || testCase.status === 'REGRESSION'
+        );
+        if (failedCases.length === 0) continue;
+
+        failed.add(suite.name);
+        failedCases.forEach(testCase => testCase.className && failed.add(testCase.className));
+      }
+
+      return [...failed];
+    } catch (error) {
+      logger.error('Error fetching test report:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get build console output
    * @param {string} buildUrl - Build URL
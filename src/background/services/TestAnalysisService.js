@@ -5,6 +5,19 @@
 
 import { TEST_PATTERNS } from '../../shared/constants/patterns.js';
 import { createLogger } from '../../shared/utils/logger.js';
+import {
+  extractImports,
+  extractFunctions,
+  extractTestCases,
+  findChangedFunctions,
+  resolveRelativeImport
+} from '../../shared/utils/codeParser.js';
+import { findOwners, groupByOwner } from '../../shared/utils/codeowners.js';
+import { findPackageForPath, findDependents } from '../../shared/utils/workspaces.js';
+import { applyRepoConfig, getMappedTestPatterns } from '../../shared/utils/repoConfig.js';
+import { isJsModule, getJsResolverConfigPaths, createJsResolver, findImportChains } from '../../shared/utils/importGraph.js';
+import { isPythonModule, isConftest, createPythonResolver } from '../../shared/utils/pythonImports.js';
+import { DEFAULT_CONFIG } from '../../shared/config/defaults.js';
 
 const logger = createLogger('TestAnalysisService');
 
@@ -14,12 +27,27 @@ class TestAnalysisService {
     this.testPatterns = config.testPatterns || TEST_PATTERNS;
   }
 
+  /**
+   * Get a service using a repository's .testrunner.yml settings
+   * @param {Object|null} repoConfig - Validated configuration from parseRepoConfig
+   * @returns {TestAnalysisService}
+   */
+  withRepoConfig(repoConfig) {
+    return repoConfig ? new TestAnalysisService(applyRepoConfig(this.config, repoConfig)) : this;
+  }
+
   /**
    * Identify test files from changed files
    * @param {Object} prData - PR data with changed files
+   * @param {Object} context - Optional repository context
+   * @param {Object} context.tree - Repository tree at the PR head {ref, files}
+   * @param {Array<Object>} context.contents - Base/head contents from GitService.fetchFileContents
+   * @param {Array<Object>} context.codeowners - CODEOWNERS rules from parseCodeowners
+   * @param {Object} context.workspaces - Monorepo package graph from buildWorkspaceGraph
+   * @param {Object} context.importGraph - Result of buildImportGraph
    * @returns {Promise<Object>} Analysis results
    */
-  async identifyTests(prData) {
+  async identifyTests(prData, { tree = null, contents = [], codeowners = null, workspaces = null, importGraph = null } = {}) {
     logger.info('Analyzing PR for test files', {
       platform: prData.platform,
       changedFiles: prData.changedFiles?.length
@@ -41,36 +69,140 @@ class TestAnalysisService {
     
     // Identify source files that need tests
     const sourceFiles = this._identifySourceFiles(changedFiles);
+
+    // Parse functions, imports and test cases where file contents are available
+    this._applyCodeInsights(sourceFiles, existingTests, changedFiles, contents);
     
     // Find related tests for source files
-    const relatedTests = this._findRelatedTests(sourceFiles, changedFiles);
+    const relatedTests = this._findRelatedTests(sourceFiles, changedFiles, tree?.files || []);
+    relatedTests.push(...this._findMappedTests(sourceFiles, changedFiles, tree?.files || [], relatedTests));
+
+    // Tests importing a changed file, directly or through other modules
+    if (importGraph) {
+      relatedTests.push(...this._findImportedTests(changedFiles, importGraph, [...existingTests, ...relatedTests]));
+    }
+
+    // Run the tests of changed monorepo packages and of the packages depending on them
+    const workspaceTests = workspaces
+      ? this._findWorkspaceTests(changedFiles, workspaces, tree?.files || [], [...existingTests, ...relatedTests])
+      : [];
     
     // Calculate coverage
     const coverage = this._calculateCoverage(sourceFiles, relatedTests);
     
     // Generate recommendations
-    const recommendations = this._generateRecommendations(sourceFiles, relatedTests);
+    const recommendations = [
+      ...this._generateRecommendations(sourceFiles, relatedTests),
+      ...this._findBrokenImports([...existingTests, ...relatedTests], changedFiles, contents, tree?.files || [])
+    ];
+
+    if (prData.truncated) {
+      recommendations.unshift(this._createTruncationWarning(prData));
+    }
     
     // Calculate risk scores
     const riskAnalysis = this._analyzeRisk(changedFiles);
 
+    const identifiedTests = [...new Set([...existingTests, ...relatedTests, ...workspaceTests])];
+    const testsByOwner = codeowners
+      ? this._applyOwnership(identifiedTests, recommendations, codeowners)
+      : null;
+
     return {
-      identifiedTests: [...new Set([...existingTests, ...relatedTests])],
+      identifiedTests,
       existingTests,
       relatedTests,
+      workspaceTests,
       sourceFiles,
       coverage,
       recommendations,
       riskAnalysis,
+      testsByOwner,
       statistics: {
         totalFiles: changedFiles.length,
         sourceFiles: sourceFiles.length,
         testFiles: existingTests.length,
-        relatedTests: relatedTests.length
+        relatedTests: relatedTests.length,
+        workspaceTests: workspaceTests.length,
+        importedTests: relatedTests.filter(test => test.importChain).length,
+        importGraph: importGraph ? { files: Object.keys(importGraph.imports).length, truncated: importGraph.truncated } : null,
+        parsedFiles: contents.filter(entry => entry.head?.content !== undefined || entry.base?.content !== undefined).length,
+        truncated: Boolean(prData.truncated)
       }
     };
   }
 
+  /**
+   * Build the import graph between test files and the modules they reach
+   * Files are read outward from the test files, nearest to the changed files first.
+   * Only languages with changed files are followed: JavaScript / TypeScript and Python
+   * @param {Object} tree - Repository tree at the PR head {ref, files}
+   * @param {Array<Object>} changedFiles - Changed files of the PR
+   * @param {Function} readFiles - async (paths) => map of path to content at the PR head
+   * @returns {Promise<Object>} {imports, truncated} where imports maps each read
+   *   file to the repository files it imports
+   */
+  async buildImportGraph(tree, changedFiles, readFiles) {
+    const paths = tree.files.map(file => file.path);
+    const maxFiles = this.config.analysis?.maxImportGraphFiles || DEFAULT_CONFIG.analysis.maxImportGraphFiles;
+
+    const changedPaths = changedFiles.map(file => file.filename || file.path);
+
+    const resolvers = [];
+    if (changedPaths.some(isJsModule)) {
+      resolvers.push(createJsResolver(paths, await readFiles(getJsResolverConfigPaths(paths).slice(0, maxFiles))));
+    }
+    if (changedPaths.some(isPythonModule)) {
+      resolvers.push(createPythonResolver(paths));
+    }
+    const resolverFor = (path) => resolvers.find(resolver => resolver.isModule(path));
+
+    // Tests sharing the longest directory prefix with a changed file are read first
+    const changedDirs = changedPaths.map(path => path.split('/').slice(0, -1));
+    const proximity = (path) => Math.max(0, ...changedDirs.map(dir => {
+      const segments = path.split('/');
+      let shared = 0;
+      while (shared < dir.length && dir[shared] === segments[shared]) shared++;
+      return shared;
+    }));
+
+    const imports = {};
+    let queue = paths
+      .filter(path => resolverFor(path) && this._isTestFile(path) && !isConftest(path))
+      .sort((a, b) => proximity(b) - proximity(a));
+    let budget = maxFiles;
+    let truncated = false;
+
+    while (queue.length > 0) {
+      if (budget <= 0) {
+        truncated = true;
+        break;
+      }
+
+      const batch = queue.slice(0, budget);
+      truncated = batch.length < queue.length;
+      budget -= batch.length;
+
+      const contents = await readFiles(batch);
+      const next = new Set();
+
+      for (const path of batch) {
+        imports[path] = resolverFor(path).resolveImports(path, contents[path] || '');
+        imports[path]
+          .filter(dependency => !(dependency in imports) && resolverFor(dependency))
+          .forEach(dependency => next.add(dependency));
+      }
+
+      queue = [...next].filter(path => !(path in imports));
+    }
+
+    if (truncated) {
+      logger.warn(`Import graph limited to ${maxFiles} files; some tests may be missed`);
+    }
+
+    return { imports, truncated };
+  }
+
   /**
    * Identify existing test files from changed files
    * @private
@@ -111,23 +243,92 @@ class TestAnalysisService {
         language: this._detectLanguage(file.filename || file.path),
         additions: file.additions || 0,
         deletions: file.deletions || 0,
-        changes: file.changes || 0
+        changes: file.changes || 0,
+        status: file.status,
+        previousPath: file.previousFilename || null,
+        firstChangedLine: file.hunks?.[0]?.firstChangedLine || null
       }));
   }
 
+  /**
+   * Annotate source files with the functions their hunks touch and their imports,
+   * and changed test files with their test cases
+   * @private
+   */
+  _applyCodeInsights(sourceFiles, existingTests, changedFiles, contents) {
+    if (contents.length === 0) return;
+
+    const byPath = new Map(contents.map(entry => [entry.filename, entry]));
+    const hunksByPath = new Map(changedFiles.map(file => [file.filename || file.path, file.hunks || []]));
+
+    for (const sourceFile of sourceFiles) {
+      const entry = byPath.get(sourceFile.path);
+      const deleted = entry?.head === null;
+      const content = deleted ? entry.base?.content : entry?.head?.content;
+      if (content === undefined) continue;
+
+      const functions = extractFunctions(content, sourceFile.language);
+
+      sourceFile.imports = extractImports(content, sourceFile.language);
+      // A deleted file removes every function it had
+      sourceFile.modifiedFunctions = deleted
+        ? functions.map(fn => fn.name)
+        : findChangedFunctions(functions, hunksByPath.get(sourceFile.path));
+    }
+
+    for (const test of existingTests) {
+      const entry = byPath.get(test.path);
+      if (entry?.head?.content === undefined) continue;
+
+      test.testCases = extractTestCases(entry.head.content, test.language);
+
+      if (entry.base?.content !== undefined) {
+        const current = new Set(test.testCases.map(testCase => testCase.name));
+        test.removedTestCases = extractTestCases(entry.base.content, test.language)
+          .map(testCase => testCase.name)
+          .filter(name => !current.has(name));
+      }
+    }
+  }
+
+  /**
+   * Attribute tests and missing_test recommendations to their CODEOWNERS
+   * A missing test belongs to the owners of the untested source file
+   * @private
+   * @returns {Array<Object>} Selected tests grouped by owner [{owner, tests}]
+   */
+  _applyOwnership(tests, recommendations, rules) {
+    for (const test of tests) {
+      test.owners = findOwners(rules, test.path);
+    }
+
+    for (const recommendation of recommendations) {
+      if (recommendation.type === 'missing_test') {
+        recommendation.owners = findOwners(rules, recommendation.file);
+      }
+    }
+
+    const selected = tests.filter(test => test.type !== 'suggested');
+
+    return groupByOwner(selected, test => test.owners)
+      .map(({ owner, items }) => ({ owner, tests: items.map(test => test.path) }));
+  }
+
   /**
    * Find related test files for source files
    * @private
    */
-  _findRelatedTests(sourceFiles, allFiles) {
+  _findRelatedTests(sourceFiles, allFiles, repositoryFiles = []) {
     const relatedTests = [];
+    const changedPaths = new Set(allFiles.map(f => f.filename || f.path));
+    const repositoryPaths = new Set(repositoryFiles.map(f => f.path));
 
     for (const sourceFile of sourceFiles) {
       const possibleTestPaths = this._generateTestPaths(sourceFile.path);
       
-      // Check if any of the possible test paths exist in changed files
+      // Check if any of the possible test paths exist in changed files or the repository
       for (const testPath of possibleTestPaths) {
-        if (allFiles.some(f => (f.filename || f.path) === testPath)) {
+        if (changedPaths.has(testPath)) {
           relatedTests.push({
             path: testPath,
             type: 'related',
@@ -136,6 +337,34 @@ class TestAnalysisService {
             confidence: 0.9,
             reason: 'Test file for modified source'
           });
+        } else if (repositoryPaths.has(testPath)) {
+          relatedTests.push({
+            path: testPath,
+            type: 'related',
+            sourceFile: sourceFile.path,
+            language: sourceFile.language,
+            confidence: 0.85,
+            reason: 'Existing test file for modified source'
+          });
+        }
+      }
+
+      // Tests often stay behind when their source file is moved
+      if (sourceFile.previousPath && sourceFile.previousPath !== sourceFile.path) {
+        const found = new Set(relatedTests.map(test => test.path));
+
+        for (const testPath of this._generateTestPaths(sourceFile.previousPath)) {
+          if (found.has(testPath) || (!changedPaths.has(testPath) && !repositoryPaths.has(testPath))) continue;
+
+          relatedTests.push({
+            path: testPath,
+            type: 'related',
+            sourceFile: sourceFile.path,
+            previousSourceFile: sourceFile.previousPath,
+            language: sourceFile.language,
+            confidence: 0.8,
+            reason: `Test file next to the previous location ${sourceFile.previousPath}`
+          });
         }
       }
 
@@ -156,6 +385,223 @@ class TestAnalysisService {
     return relatedTests;
   }
 
+  /**
+   * Find tests assigned to source files by the configured path mappings
+   * @private
+   */
+  _findMappedTests(sourceFiles, allFiles, repositoryFiles, relatedTests) {
+    const mappings = this.config.mappings || [];
+    if (mappings.length === 0) return [];
+
+    const candidates = [...new Set([
+      ...allFiles.filter(file => file.status !== 'removed').map(file => file.filename || file.path),
+      ...repositoryFiles.map(file => file.path)
+    ])];
+    const mappedTests = [];
+
+    for (const sourceFile of sourceFiles) {
+      const found = new Set(relatedTests
+        .filter(test => test.sourceFile === sourceFile.path && test.type !== 'suggested')
+        .map(test => test.path));
+
+      for (const mapping of mappings) {
+        for (const { pattern, regex } of getMappedTestPatterns(mapping, sourceFile.path)) {
+          for (const path of candidates) {
+            if (found.has(path) || !regex.test(path)) continue;
+            found.add(path);
+
+            mappedTests.push({
+              path,
+              type: 'related',
+              sourceFile: sourceFile.path,
+              language: this._detectLanguage(path),
+              confidence: 0.9,
+              reason: `Mapped from ${mapping.source} to ${pattern} in the repository configuration`
+            });
+          }
+        }
+      }
+    }
+
+    logger.debug(`Found ${mappedTests.length} tests from path mappings`);
+    return mappedTests;
+  }
+
+  /**
+   * Find tests that transitively import a changed file
+   * Tests already selected keep their entry and gain the import chain as evidence
+   * @private
+   */
+  _findImportedTests(changedFiles, importGraph, selectedTests) {
+    const changedPaths = changedFiles
+      .filter(file => file.status !== 'removed')
+      .map(file => file.filename || file.path);
+    const chains = findImportChains(importGraph.imports, changedPaths);
+
+    const selected = new Map();
+    selectedTests
+      .filter(test => test.type !== 'suggested')
+      .forEach(test => selected.set(test.path, [...(selected.get(test.path) || []), test]));
+
+    const importedTests = [];
+
+    for (const [path, chain] of chains) {
+      if (chain.length < 2 || !this._isTestFile(path) || isConftest(path)) continue;
+
+      if (selected.has(path)) {
+        selected.get(path).forEach(test => { test.importChain = test.importChain || chain; });
+        continue;
+      }
+
+      const sourceFile = chain[chain.length - 1];
+      // pytest loads conftest.py implicitly, so the test depends on its fixtures
+      const usesFixtures = isConftest(chain[1]);
+
+      importedTests.push({
+        path,
+        type: 'related',
+        sourceFile,
+        language: this._detectLanguage(path),
+        confidence: Math.max(0.7, 0.95 - 0.05 * (chain.length - 2)),
+        reason: chain.length === 2
+          ? (usesFixtures ? `Uses fixtures from changed ${sourceFile}` : `Imports changed file ${sourceFile}`)
+          : `${usesFixtures ? `Uses fixtures from ${chain[1]}, which imports` : 'Imports'} changed file ${sourceFile} through ${chain.join(' → ')}`,
+        importChain: chain
+      });
+    }
+
+    logger.debug(`Found ${importedTests.length} tests through the import graph`);
+    return importedTests;
+  }
+
+  /**
+   * Find the tests of changed workspace packages and of every package depending on them
+   * A package changes when any of its non-test files does, including its manifests.
+   * Each test records the dependency chain that selected it
+   * @private
+   */
+  _findWorkspaceTests(changedFiles, workspaces, repositoryFiles, selectedTests) {
+    const changedPackages = new Map();
+
+    for (const file of changedFiles) {
+      const path = file.filename || file.path || '';
+      if (this._isTestFile(path)) continue;
+
+      const pkg = findPackageForPath(workspaces, path);
+      if (pkg) changedPackages.set(pkg.name, pkg);
+    }
+
+    // Package name -> chain from that package down to the changed package, shortest first
+    const targets = new Map();
+    for (const name of changedPackages.keys()) {
+      targets.set(name, [name]);
+    }
+    for (const name of changedPackages.keys()) {
+      for (const { package: dependent, chain } of findDependents(workspaces, name)) {
+        const known = targets.get(dependent.name);
+        if (!known || known.length > chain.length) {
+          targets.set(dependent.name, chain);
+        }
+      }
+    }
+
+    const selected = new Set(selectedTests.filter(test => test.type !== 'suggested').map(test => test.path));
+    const workspaceTests = [];
+
+    for (const { path } of repositoryFiles) {
+      if (selected.has(path) || !this._isTestFile(path) || !this._isCodeFile(path)) continue;
+
+      // Tests belong to the deepest package containing them
+      const pkg = findPackageForPath(workspaces, path);
+      const chain = pkg && targets.get(pkg.name);
+      if (!chain) continue;
+
+      const changedPackage = chain[chain.length - 1];
+      workspaceTests.push({
+        path,
+        type: 'workspace',
+        language: this._detectLanguage(path),
+        confidence: chain.length === 1 ? 0.75 : 0.65,
+        reason: chain.length === 1
+          ? `Test of changed package ${changedPackage}`
+          : `Test of ${pkg.name}, which depends on changed package ${changedPackage} (${chain.join(' → ')})`,
+        workspace: { package: pkg.name, changedPackage, chain }
+      });
+    }
+
+    logger.debug(`Found ${workspaceTests.length} tests in ${targets.size} affected workspace packages`);
+    return workspaceTests;
+  }
+
+  /**
+   * Flag tests whose relative imports no longer resolve after files were moved
+   * Tests with head contents are checked against their imports; tests left next to
+   * a moved source without being changed are flagged as likely broken
+   * @private
+   */
+  _findBrokenImports(tests, changedFiles, contents, repositoryFiles = []) {
+    const renamed = changedFiles.filter(file => file.status === 'renamed' && file.previousFilename);
+    if (renamed.length === 0) return [];
+
+    const movedFrom = new Map(renamed.map(file => [file.previousFilename, file.filename]));
+    const byPath = new Map(contents.map(entry => [entry.filename, entry]));
+    const changedByPath = new Map(changedFiles.map(file => [file.filename || file.path, file]));
+    const repositoryPaths = new Set(repositoryFiles.map(file => file.path));
+    const exists = (path) => repositoryPaths.has(path) || (changedByPath.has(path) && changedByPath.get(path).status !== 'removed');
+    const dirname = (path) => path.split('/').slice(0, -1).join('/');
+    const recommendations = [];
+    const checked = new Set();
+
+    for (const test of tests) {
+      if (test.type === 'suggested' || checked.has(test.path)) continue;
+      checked.add(test.path);
+
+      const content = byPath.get(test.path)?.head?.content;
+
+      if (content === undefined) {
+        const unchanged = !changedByPath.has(test.path);
+
+        if (unchanged && test.previousSourceFile && dirname(test.previousSourceFile) !== dirname(test.sourceFile)) {
+          recommendations.push({
+            type: 'broken_import',
+            severity: 'medium',
+            file: test.path,
+            line: null,
+            message: `${test.path} was not updated after ${test.previousSourceFile} moved to ${test.sourceFile}`,
+            suggestion: 'Check that its relative imports still resolve, or move the test next to the source'
+          });
+        }
+        continue;
+      }
+
+      // A moved test resolves its imports from its new directory
+      const previousTestPath = changedByPath.get(test.path)?.previousFilename;
+      const broken = extractImports(content, test.language).filter(specifier => {
+        const candidates = resolveRelativeImport(test.path, specifier, test.language);
+        if (candidates.length === 0) return false;
+        if (candidates.some(candidate => movedFrom.has(candidate) && !exists(candidate))) return true;
+
+        return Boolean(previousTestPath) && repositoryPaths.size > 0 &&
+          !candidates.some(exists) &&
+          resolveRelativeImport(previousTestPath, specifier, test.language).some(exists);
+      });
+
+      if (broken.length > 0) {
+        test.brokenImports = broken;
+        recommendations.push({
+          type: 'broken_import',
+          severity: 'high',
+          file: test.path,
+          line: null,
+          message: `Relative imports in ${test.path} no longer resolve after the move: ${broken.join(', ')}`,
+          suggestion: 'Update the relative imports to the new locations'
+        });
+      }
+    }
+
+    return recommendations;
+  }
+
   /**
    * Check if file is a test file
    * @private
@@ -287,6 +733,7 @@ class TestAnalysisService {
           type: 'missing_test',
           severity: sourceFile.changes > 50 ? 'high' : 'medium',
           file: sourceFile.path,
+          line: sourceFile.firstChangedLine,
           message: `No test file found for ${sourceFile.path}`,
           suggestion: `Create test at: ${this._generateTestPaths(sourceFile.path)[0]}`
         });
@@ -296,6 +743,25 @@ class TestAnalysisService {
     return recommendations;
   }
 
+  /**
+   * Build the warning shown when the platform did not list every changed file
+   * @private
+   */
+  _createTruncationWarning(prData) {
+    const analyzed = prData.changedFiles.length;
+    const total = prData.totalChangedFiles;
+
+    return {
+      type: 'truncated_diff',
+      severity: 'high',
+      file: null,
+      message: total
+        ? `Only ${analyzed} of ${total} changed files were returned by ${prData.platform}`
+        : `The ${prData.platform} file listing was truncated after ${analyzed} files`,
+      suggestion: 'Tests for the remaining files were not selected; consider splitting the PR or running the full suite'
+    };
+  }
+
   /**
    * Analyze risk of changes
    * @private
@@ -0,0 +1,385 @@
+/**
+ * API Client
+ * Request layer for Git platform APIs: rate-limit tracking, retry with
+ * exponential backoff, and conditional requests backed by persisted ETags
+ */
+
+import { createLogger } from '../../shared/utils/logger.js';
+import { storage } from '../../shared/utils/storage.js';
+import { STORAGE_KEYS } from '../../shared/config/defaults.js';
+
+const logger = createLogger('ApiClient');
+
+// Total size of the responses kept in STORAGE_KEYS.CACHE; chrome.storage.local
+// allows 10 MB shared with file contents and history
+const MAX_CACHE_BYTES = 2 * 1024 * 1024;
+
+// Larger bodies are not worth the storage quota
+const MAX_CACHED_BODY_LENGTH = 256 * 1024;
+
+// Writes to storage are batched: one write per snapshot within this delay
+const PERSIST_DELAY = 2000;
+
+// Response headers replayed when serving a cached body
+const CACHED_HEADERS = ['content-type', 'link', 'x-next-page', 'x-total', 'x-total-pages'];
+
+const DEFAULT_OPTIONS = {
+  retryAttempts: 3,
+  baseDelay: 1000,
+  maxDelay: 60000
+};
+
+// Server errors worth retrying only when repeating the request has no side effects
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Key of a rate-limit snapshot; GitHub counts search and GraphQL requests
+ * against separate quotas from the core REST API
+ * @param {string} host - API host
+ * @param {string} resource - Rate-limit resource
+ * @returns {string}
+ */
+const rateLimitKey = (host, resource) => `${host}|${resource}`;
+
+/**
+ * Guess the rate-limit resource a request counts against before its response
+ * reports it in X-RateLimit-Resource
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+const getRequestResource = (url) => {
+  try {
+    const { pathname } = new URL(url);
+    if (/\/graphql$/.test(pathname)) return 'graphql';
+    if (/^(\/api\/v3)?\/search\//.test(pathname)) return 'search';
+  } catch {
+    // Unparseable URLs count against the core quota
+  }
+  return 'core';
+};
+
+/**
+ * Read rate-limit headers from any of the supported platforms
+ * GitHub and Bitbucket use X-RateLimit-*, GitLab uses RateLimit-*
+ * @param {Headers} headers - Response headers
+ * @returns {Object|null} {limit, remaining, reset, resource}
+ */
+export const parseRateLimit = (headers) => {
+  const read = (name) => headers.get(`x-ratelimit-${name}`) ?? headers.get(`ratelimit-${name}`);
+
+  const limit = read('limit');
+  const remaining = read('remaining');
+
+  if (limit === null && remaining === null) {
+    return null;
+  }
+
+  const reset = read('reset');
+
+  return {
+    limit: limit !== null ? parseInt(limit, 10) : null,
+    remaining: remaining !== null ? parseInt(remaining, 10) : null,
+    // Reset is a Unix timestamp in seconds on all three platforms
+    reset: reset !== null ? parseInt(reset, 10) * 1000 : null,
+    resource: headers.get('x-ratelimit-resource') || 'core'
+  };
+};
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} value - Header value
+ * @returns {number|null}
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+class ApiClient {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.cache = null;
+    this.rateLimits = null;
+    this.persistTimers = {};
+  }
+
+  /**
+   * Perform a request with rate-limit handling, retries and ETag caching
+   * Accepts the same arguments as fetch and resolves to a Response
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options, plus `etagCache: false` for responses
+   *   cached elsewhere (file contents live in ContentCache)
+   * @returns {Promise<Response>}
+   */
+  async request(url, { etagCache = true, ...options } = {}) {
+    await this._loadRateLimits();
+
+    const method = (options.method || 'GET').toUpperCase();
+    const cacheKey = method === 'GET' && etagCache ? await this._getCacheKey(url, options.headers) : null;
+    const cached = cacheKey ? await this._getCached(cacheKey) : null;
+
+    const requestOptions = cached
+      ? { ...options, headers: { ...options.headers, 'If-None-Match': cached.etag } }
+      : options;
+
+    for (let attempt = 0; ; attempt++) {
+      await this._waitForQuota(url);
+
+      const response = await fetch(url, requestOptions);
+      this._recordRateLimit(url, response.headers);
+
+      if (response.status === 304 && cached) {
+        logger.debug('Served from ETag cache', { url });
+        return new Response(cached.body, {
+          status: 200,
+          statusText: 'OK',
+          headers: cached.headers
+        });
+      }
+
+      const delay = await this._getRetryDelay(response, attempt, method);
+
+      if (delay === null) {
+        if (cacheKey && response.ok) {
+          await this._storeCached(cacheKey, response);
+        }
+        return response;
+      }
+
+      logger.warn(`Rate limited (${response.status}), retrying in ${Math.round(delay / 1000)}s`, {
+        url,
+        attempt: attempt + 1
+      });
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Get the latest rate-limit snapshot per API host and resource
+   * @returns {Promise<Object>} Map of `host|resource` to {host, limit, remaining, reset, resource, updatedAt}
+   */
+  async getRateLimits() {
+    return { ...await this._loadRateLimits() };
+  }
+
+  /**
+   * Load the last persisted rate-limit snapshot once
+   * @private
+   */
+  async _loadRateLimits() {
+    if (!this.rateLimits) {
+      this.rateLimits = await storage.getLocal(STORAGE_KEYS.RATE_LIMITS, {}) || {};
+    }
+    return this.rateLimits;
+  }
+
+  /**
+   * Decide whether a response should be retried and after how long
+   * Rate-limited requests were not processed and are always retried; a 503 may
+   * come after the server acted on the request, so only GET and HEAD retry it
+   * @private
+   * @returns {Promise<number|null>} Delay in ms, or null to return the response
+   */
+  async _getRetryDelay(response, attempt, method) {
+    if (attempt >= this.options.retryAttempts) {
+      return null;
+    }
+
+    const isRateLimited = response.status === 429 ||
+      (response.status === 403 && await this._isSecondaryRateLimit(response));
+    const isUnavailable = response.status === 503 && IDEMPOTENT_METHODS.includes(method);
+
+    if (!isRateLimited && !isUnavailable) {
+      return null;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.options.maxDelay);
+    }
+
+    const rateLimit = parseRateLimit(response.headers);
+    if (rateLimit?.remaining === 0 && rateLimit.reset) {
+      return Math.min(Math.max(rateLimit.reset - Date.now(), 0), this.options.maxDelay);
+    }
+
+    const backoff = this.options.baseDelay * 2 ** attempt;
+    const jitter = Math.random() * this.options.baseDelay;
+    return Math.min(backoff + jitter, this.options.maxDelay);
+  }
+
+  /**
+   * Detect GitHub primary/secondary rate limits reported as 403
+   * @private
+   */
+  async _isSecondaryRateLimit(response) {
+    if (response.headers.get('retry-after') || response.headers.get('x-ratelimit-remaining') === '0') {
+      return true;
+    }
+
+    try {
+      const body = await response.clone().text();
+      return /rate limit/i.test(body);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Wait for the quota to reset when the host's quota for this request's
+   * resource is known to be exhausted
+   * Fails fast when the reset is further away than maxDelay
+   * @private
+   */
+  async _waitForQuota(url) {
+    const resource = getRequestResource(url);
+    const rateLimit = this.rateLimits[rateLimitKey(this._getHost(url), resource)];
+
+    if (!rateLimit || rateLimit.remaining !== 0 || !rateLimit.reset) {
+      return;
+    }
+
+    const wait = rateLimit.reset - Date.now();
+    if (wait <= 0) {
+      return;
+    }
+
+    if (wait > this.options.maxDelay) {
+      throw new Error(
+        `API rate limit (${resource}) exhausted for ${this._getHost(url)}; resets at ${new Date(rateLimit.reset).toLocaleTimeString()}`
+      );
+    }
+
+    logger.warn(`Rate limit exhausted, waiting ${Math.round(wait / 1000)}s for reset`);
+    await sleep(wait);
+  }
+
+  /**
+   * Record rate-limit headers for a host and resource and persist the snapshot
+   * @private
+   */
+  _recordRateLimit(url, headers) {
+    const rateLimit = parseRateLimit(headers);
+    if (!rateLimit) return;
+
+    const host = this._getHost(url);
+    this.rateLimits[rateLimitKey(host, rateLimit.resource)] = { ...rateLimit, host, updatedAt: Date.now() };
+
+    this._schedulePersist(STORAGE_KEYS.RATE_LIMITS, this.rateLimits);
+  }
+
+  /**
+   * Write a snapshot to local storage once per PERSIST_DELAY instead of once
+   * per response; the snapshot is mutated in place, so the write has the latest state
+   * @private
+   */
+  _schedulePersist(key, value) {
+    if (this.persistTimers[key]) return;
+
+    this.persistTimers[key] = setTimeout(() => {
+      delete this.persistTimers[key];
+      storage.setLocal(key, value);
+    }, PERSIST_DELAY);
+  }
+
+  /**
+   * @private
+   */
+  _getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Cache key for a GET request; Accept is included because the same URL
+   * returns JSON or a raw diff depending on it, and a hash of the credentials
+   * because tokens with different access get different responses. The token
+   * itself is never written to storage
+   * @private
+   */
+  async _getCacheKey(url, headers = {}) {
+    const accept = headers.Accept || headers.accept || '';
+    const auth = headers.Authorization || headers.authorization || '';
+    return `${url}|${accept}|${auth ? await this._hashCredentials(auth) : 'anonymous'}`;
+  }
+
+  /**
+   * Short SHA-256 digest identifying a credential in cache keys
+   * @private
+   */
+  async _hashCredentials(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Load the ETag cache from local storage once
+   * @private
+   */
+  async _loadCache() {
+    if (!this.cache) {
+      this.cache = await storage.getLocal(STORAGE_KEYS.CACHE, {}) || {};
+    }
+    return this.cache;
+  }
+
+  /**
+   * @private
+   */
+  async _getCached(cacheKey) {
+    const cache = await this._loadCache();
+    return cache[cacheKey] || null;
+  }
+
+  /**
+   * Store a response body under its ETag, evicting the oldest entries once
+   * the cached bodies exceed MAX_CACHE_BYTES
+   * @private
+   */
+  async _storeCached(cacheKey, response) {
+    const etag = response.headers.get('etag');
+    if (!etag) return;
+
+    try {
+      const body = await response.clone().text();
+      if (body.length > MAX_CACHED_BODY_LENGTH) return;
+
+      const headers = {};
+      for (const name of CACHED_HEADERS) {
+        const value = response.headers.get(name);
+        if (value !== null) headers[name] = value;
+      }
+
+      const cache = await this._loadCache();
+      cache[cacheKey] = { etag, body, headers, storedAt: Date.now() };
+
+      // Bodies are counted in UTF-16 code units, which bounds their serialized size closely enough
+      let total = Object.values(cache).reduce((sum, entry) => sum + entry.body.length, 0);
+      const oldestFirst = Object.keys(cache).sort((a, b) => cache[a].storedAt - cache[b].storedAt);
+
+      for (const key of oldestFirst) {
+        if (total <= MAX_CACHE_BYTES) break;
+        total -= cache[key].body.length;
+        delete cache[key];
+      }
+
+      this._schedulePersist(STORAGE_KEYS.CACHE, cache);
+    } catch (error) {
+      logger.warn('Failed to cache response:', error.message);
+    }
+  }
+}
+
+export default ApiClient;
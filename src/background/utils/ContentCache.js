@@ -0,0 +1,121 @@
+/**
+ * Content Cache
+ * Persistent cache of file contents keyed by blob SHA. Platforms without
+ * blob SHAs use the commit SHA and path, which are just as immutable
+ */
+
+import { createLogger } from '../../shared/utils/logger.js';
+import { storage } from '../../shared/utils/storage.js';
+import { STORAGE_KEYS } from '../../shared/config/defaults.js';
+
+const logger = createLogger('ContentCache');
+
+// Total characters kept in STORAGE_KEYS.CONTENTS; local storage is limited to 10 MB
+// and the ETag cache shares it
+const MAX_CACHE_CHARS = 4 * 1024 * 1024;
+
+/**
+ * Build the cache key for a blob
+ * @param {string} sha - Blob SHA
+ * @returns {string}
+ */
+export const blobKey = (sha) => `blob:${sha}`;
+
+/**
+ * Build the cache key for a file at a commit
+ * @param {string} ref - Commit SHA
+ * @param {string} path - File path
+ * @returns {string}
+ */
+export const refKey = (ref, path) => `ref:${ref}:${path}`;
+
+class ContentCache {
+  constructor() {
+    this.entries = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Get cached content
+   * @param {string} key - Key from blobKey or refKey
+   * @returns {Promise<Object|null>} {content, sha, size}
+   */
+  async get(key) {
+    const entries = await this._load();
+    const alias = entries[key]?.alias;
+    const entry = alias ? entries[alias] : entries[key];
+    if (!entry) return null;
+
+    entry.usedAt = Date.now();
+    if (alias) entries[key].usedAt = entry.usedAt;
+    this.dirty = true;
+    return { content: entry.content, sha: entry.sha, size: entry.size };
+  }
+
+  /**
+   * Store content once, reachable through every given key
+   * The blob key holds the content when the SHA is known; other keys point to it
+   * @param {Array<string>} keys - Keys from refKey (and blobKey)
+   * @param {Object} value - {content, sha, size}
+   */
+  async set(keys, { content, sha = null, size = null }) {
+    if (content.length > MAX_CACHE_CHARS / 4) return;
+
+    const entries = await this._load();
+    const primary = sha ? blobKey(sha) : keys[0];
+    const usedAt = Date.now();
+
+    entries[primary] = { content, sha, size, usedAt };
+    for (const key of keys) {
+      if (key !== primary) {
+        entries[key] = { alias: primary, usedAt };
+      }
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Persist pending changes, evicting the least recently used entries
+   * Aliases count their key against the limit and go with the content they point to
+   */
+  async flush() {
+    if (!this.dirty || !this.entries) return;
+
+    let total = 0;
+    const keys = Object.keys(this.entries).sort((a, b) => this.entries[b].usedAt - this.entries[a].usedAt);
+
+    for (const key of keys) {
+      total += key.length + (this.entries[key].content?.length || 0);
+      if (total > MAX_CACHE_CHARS) {
+        delete this.entries[key];
+      }
+    }
+
+    for (const key of Object.keys(this.entries)) {
+      const alias = this.entries[key].alias;
+      if (alias && !this.entries[alias]) {
+        delete this.entries[key];
+      }
+    }
+
+    try {
+      await storage.setLocal(STORAGE_KEYS.CONTENTS, this.entries);
+      this.dirty = false;
+    } catch (error) {
+      logger.warn('Failed to persist content cache:', error.message);
+    }
+  }
+
+  /**
+   * Load the cache from local storage once
+   * @private
+   */
+  async _load() {
+    if (!this.entries) {
+      this.entries = await storage.getLocal(STORAGE_KEYS.CONTENTS, {}) || {};
+    }
+    return this.entries;
+  }
+}
+
+export default ContentCache;
@@ -0,0 +1,277 @@
+/**
+ * GitHub App Auth
+ * Authenticates as a GitHub App: signs a JWT with the app private key using
+ * WebCrypto and exchanges it for installation access tokens, one per
+ * repository owner, which are cached and rotated before they expire
+ * The private key is kept in local storage (STORAGE_KEYS.APP_KEY), never in the synced configuration
+ */
+
+import { createLogger } from '../../shared/utils/logger.js';
+import { storage } from '../../shared/utils/storage.js';
+import { STORAGE_KEYS } from '../../shared/config/defaults.js';
+
+const logger = createLogger('GitHubAppAuth');
+
+// Installation tokens live for an hour; rotate them this long before they expire
+const ROTATE_MARGIN = 5 * 60 * 1000;
+
+// GitHub rejects app JWTs valid for more than 10 minutes; iat is backdated for clock drift
+const JWT_LIFETIME = 9 * 60;
+const CLOCK_DRIFT = 60;
+
+// AlgorithmIdentifier for rsaEncryption, used to wrap PKCS#1 keys as PKCS#8
+const RSA_ALGORITHM_IDENTIFIER = [0x30, 0x0d, 0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01, 0x05, 0x00];
+
+/**
+ * Encode bytes or a string as base64url without padding
+ * @param {Uint8Array|string} value - Bytes or text
+ * @returns {string}
+ */
+const base64Url = (value) => {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Encode a DER element
+ * @param {number} tag - ASN.1 tag
+ * @param {Array<number>|Uint8Array} content - Element content
+ * @returns {Array<number>}
+ */
+const derElement = (tag, content) => {
+  const length = content.length;
+  const lengthBytes = [];
+
+  if (length < 0x80) {
+    lengthBytes.push(length);
+  } else {
+    for (let remaining = length; remaining > 0; remaining >>= 8) {
+      lengthBytes.unshift(remaining & 0xff);
+    }
+    lengthBytes.unshift(0x80 | lengthBytes.length);
+  }
+
+  return [tag, ...lengthBytes, ...content];
+};
+
+/**
+ * Import a PEM private key for RS256 signing
+ * GitHub issues PKCS#1 (`BEGIN RSA PRIVATE KEY`) keys, which WebCrypto only
+ * accepts once wrapped in a PKCS#8 envelope
+ * @param {string} pem - PEM encoded private key
+ * @returns {Promise<CryptoKey>}
+ */
+const importPrivateKey = async (pem) => {
+  const pkcs1 = /BEGIN RSA PRIVATE KEY/.test(pem);
+  const base64 = pem.replace(/-----(BEGIN|END)[^-]+-----/g, '').replace(/\s+/g, '');
+  const der = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+  const pkcs8 = pkcs1
+    ? new Uint8Array(derElement(0x30, [0x02, 0x01, 0x00, ...RSA_ALGORITHM_IDENTIFIER, ...derElement(0x04, der)]))
+    : der;
+
+  return crypto.subtle.importKey(
+    'pkcs8',
+    pkcs8,
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+};
+
+class GitHubAppAuth {
+  /**
+   * @param {Object} app - config.github.app {appId}
+   * @param {ApiClient} http - Client used for GitHub requests
+   */
+  constructor(app = {}, http) {
+    this.appId = String(app.appId || '').trim();
+    this.privateKey = null;
+    this.http = http;
+    this.key = null;
+    this.pending = new Map();
+    // Owners without the app installed, looked up again once services are reinitialized
+    this.notInstalled = new Set();
+  }
+
+  /**
+   * Whether an app ID and private key are configured
+   * The app ID syncs between browsers but the key does not, so either may be missing
+   * @returns {Promise<boolean>}
+   */
+  async isConfigured() {
+    return Boolean(this.appId && await this._loadPrivateKey());
+  }
+
+  /**
+   * Get an installation token for a repository owner
+   * Concurrent calls for the same owner share one request
+   * @param {string} apiUrl - GitHub or GHES API URL
+   * @param {string} owner - Organization or user the app is installed on
+   * @returns {Promise<string|null>} Token, or null when the app is not installed for the owner
+   */
+  async getInstallationToken(apiUrl, owner) {
+    const cacheKey = `${this.appId}@${apiUrl}/${owner.toLowerCase()}`;
+
+    if (!this.pending.has(cacheKey)) {
+      this.pending.set(cacheKey, this._getInstallationToken(cacheKey, apiUrl, owner)
+        .finally(() => this.pending.delete(cacheKey)));
+    }
+
+    return this.pending.get(cacheKey);
+  }
+
+  /**
+   * Get the login the app's comments are authored by
+   * @param {string} apiUrl - GitHub or GHES API URL
+   * @returns {Promise<string>} `<app slug>[bot]`
+   */
+  async getBotLogin(apiUrl) {
+    const response = await this.http.request(`${apiUrl}/app`, { headers: await this._getAppHeaders() });
+
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    const { slug } = await response.json();
+    return `${slug}[bot]`;
+  }
+
+  /**
+   * Return the cached token or create a new one
+   * @private
+   */
+  async _getInstallationToken(cacheKey, apiUrl, owner) {
+    const tokens = await this._loadTokens();
+    const cached = tokens[cacheKey];
+
+    if (cached?.token && cached.expiresAt - ROTATE_MARGIN > Date.now()) {
+      return cached.token;
+    }
+
+    if (this.notInstalled.has(cacheKey)) {
+      return null;
+    }
+
+    const installationId = cached?.installationId || await this._findInstallation(apiUrl, owner);
+    if (!installationId) {
+      this.notInstalled.add(cacheKey);
+      return null;
+    }
+
+    const response = await this.http.request(`${apiUrl}/app/installations/${installationId}/access_tokens`, {
+      method: 'POST',
+      headers: await this._getAppHeaders()
+    });
+
+    // The installation was removed since its ID was cached
+    if (response.status === 404 && cached?.installationId) {
+      delete tokens[cacheKey];
+      await storage.setLocal(STORAGE_KEYS.APP_TOKENS, tokens);
+      return this._getInstallationToken(cacheKey, apiUrl, owner);
+    }
+
+    if (!response.ok) {
+      throw new Error(`GitHub App token error: ${response.status}`);
+    }
+
+    const { token, expires_at: expiresAt } = await response.json();
+
+    // Reload so tokens stored meanwhile for other owners are kept
+    await storage.setLocal(STORAGE_KEYS.APP_TOKENS, {
+      ...this._pruneExpired(await this._loadTokens()),
+      [cacheKey]: { installationId, token, expiresAt: Date.parse(expiresAt) }
+    });
+    logger.info('Created GitHub App installation token', { owner, installationId });
+
+    return token;
+  }
+
+  /**
+   * Find the installation ID for an organization or user account
+   * @private
+   */
+  async _findInstallation(apiUrl, owner) {
+    const headers = await this._getAppHeaders();
+
+    for (const accountType of ['orgs', 'users']) {
+      const response = await this.http.request(`${apiUrl}/${accountType}/${encodeURIComponent(owner)}/installation`, { headers });
+
+      if (response.ok) {
+        const installation = await response.json();
+        return installation.id;
+      }
+      if (response.status !== 404) {
+        throw new Error(`GitHub App installation lookup error: ${response.status}`);
+      }
+    }
+
+    logger.warn(`GitHub App ${this.appId} is not installed for ${owner}`);
+    return null;
+  }
+
+  /**
+   * Build headers authenticating as the app itself
+   * @private
+   */
+  async _getAppHeaders() {
+    return {
+      'Accept': 'application/vnd.github.v3+json',
+      'Authorization': `Bearer ${await this._createJwt()}`
+    };
+  }
+
+  /**
+   * Sign a short-lived RS256 JWT identifying the app
+   * @private
+   */
+  async _createJwt() {
+    if (!this.key) {
+      try {
+        this.key = await importPrivateKey(await this._loadPrivateKey());
+      } catch (error) {
+        throw new Error(`Invalid GitHub App private key: ${error.message}`);
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = [
+      base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' })),
+      base64Url(JSON.stringify({ iat: now - CLOCK_DRIFT, exp: now + JWT_LIFETIME, iss: this.appId }))
+    ].join('.');
+
+    const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', this.key, new TextEncoder().encode(unsigned));
+
+    return `${unsigned}.${base64Url(new Uint8Array(signature))}`;
+  }
+
+  /**
+   * Drop tokens past their expiry
+   * @private
+   */
+  _pruneExpired(tokens) {
+    return Object.fromEntries(Object.entries(tokens).filter(([, entry]) => entry.expiresAt > Date.now()));
+  }
+
+  /**
+   * Read the private key from local storage once
+   * @private
+   */
+  async _loadPrivateKey() {
+    if (this.privateKey === null) {
+      this.privateKey = await storage.getLocal(STORAGE_KEYS.APP_KEY, '') || '';
+    }
+    return this.privateKey;
+  }
+
+  /**
+   * @private
+   */
+  async _loadTokens() {
+    return await storage.getLocal(STORAGE_KEYS.APP_TOKENS, {}) || {};
+  }
+}
+
+export default GitHubAppAuth;
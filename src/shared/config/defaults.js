@@ -17,7 +17,20 @@ export const DEFAULT_CONFIG = {
   },
   github: {
     token: '',
-    apiUrl: 'https://api.github.com'
+    apiUrl: 'https://api.github.com',
+    // Web URL of GitHub or GitHub Enterprise Server, used for OAuth sign-in
+    baseUrl: 'https://github.com',
+    // OAuth / GitHub App client with device flow enabled; empty hides sign-in
+    oauthClientId: '',
+    // Defaults to PLATFORM_CONFIG.github.requiredScopes
+    oauthScopes: '',
+    // Fetch PRs with one paginated GraphQL query; REST is the fallback
+    graphql: true,
+    // GitHub App used instead of the token for owners it is installed on;
+    // its private key is stored under STORAGE_KEYS.APP_KEY
+    app: {
+      appId: ''
+    }
   },
   gitlab: {
     token: '',
@@ -28,12 +41,64 @@ export const DEFAULT_CONFIG = {
     appPassword: '',
     apiUrl: 'https://api.bitbucket.org/2.0'
   },
+  azureDevOps: {
+    token: '',
+    apiUrl: 'https://dev.azure.com'
+  },
+  // Git platform request layer (retry/backoff on rate limits)
+  api: {
+    retryAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 60000
+  },
+  // PR labels that change what a triggered build runs: full, skip or smoke
+  policies: {
+    labels: {
+      'run-full-regression': 'full',
+      'skip-tests': 'skip',
+      'smoke-only': 'smoke'
+    },
+    // Policy for draft PRs without a matching label, e.g. 'skip'
+    draft: null,
+    smokeTag: 'smoke',
+    smokePatterns: ['**/smoke/**', '**/*.smoke.*', '**/*_smoke.*', '**/smoke_*']
+  },
+  // Build state published on the PR head commit (GitHub, GitLab, Bitbucket)
+  checks: {
+    enabled: false,
+    // 'check-run' needs a GitHub App token; 'status' works with any token
+    mode: 'check-run',
+    name: 'Dynamic Test Runner'
+  },
+  // Self-hosted instances: [{ hostname, platform, apiUrl, token }], token for Gitea / Forgejo
+  hosts: [],
+  // Per-organization tokens: [{ label, hostname, owner, username, token }]
+  // `owner` may use * wildcards; unmatched owners use the platform token above
+  credentials: [],
   testPatterns: TEST_PATTERNS,
+  // Source to test path mappings [{ source, tests }], usually set in a repository's .testrunner.yml
+  mappings: [],
   analysis: {
     coverageThreshold: 80,
     maxTestsToRun: 50,
     complexityThreshold: 10,
-    riskScoreThreshold: 70
+    riskScoreThreshold: 70,
+    // List the repository at the PR head to find unchanged related tests
+    scanRepositoryTree: true,
+    // Base/head contents of changed files, used to parse functions, imports and test cases
+    // Opt-in: up to two requests per changed file, on top of the PR's own
+    fetchContents: false,
+    maxFileSize: 256 * 1024,
+    maxContentFiles: 50,
+    contentConcurrency: 4,
+    // Also select tests for the commits pushed since the PR's previous analysis
+    incremental: true,
+    // Select tests of changed monorepo packages and the packages depending on them
+    workspaces: true,
+    maxWorkspacePackages: 200,
+    // Select tests importing a changed file, following imports from the test files
+    importGraph: true,
+    maxImportGraphFiles: 300
   },
   ui: {
     autoTrigger: false,
@@ -44,7 +109,15 @@ export const DEFAULT_CONFIG = {
   features: {
     codeAnalysis: true,
     testGeneration: true,
-    reporting: true
+    reporting: true,
+    // Edit one marked PR comment per PR instead of posting a new one per run
+    stickyComments: true,
+    // Post missing_test recommendations as review comments on the changed lines
+    inlineReviewComments: false,
+    // Attribute tests to their owners from CODEOWNERS
+    codeowners: true,
+    // Mention the owners of failing suites once a reported build fails
+    mentionOwners: false
   }
 };
 
@@ -52,15 +125,25 @@ export const STORAGE_KEYS = {
   CONFIG: 'testRunnerConfig',
   STATS: 'testRunnerStats',
   HISTORY: 'testRunnerHistory',
-  CACHE: 'testRunnerCache'
+  CACHE: 'testRunnerCache',
+  RATE_LIMITS: 'testRunnerRateLimits',
+  BUILDS: 'testRunnerBuilds',
+  CONTENTS: 'testRunnerContents',
+  AUTH: 'testRunnerAuth',
+  APP_TOKENS: 'testRunnerAppTokens',
+  APP_KEY: 'testRunnerAppKey'
 };
 
 export const MESSAGE_TYPES = {
   ANALYZE_PR: 'analyzePR',
+  RESOLVE_PR: 'resolvePR',
   GET_CONFIG: 'getConfig',
   SAVE_CONFIG: 'saveConfig',
   TRIGGER_JENKINS: 'triggerJenkins',
   GET_STATS: 'getStats',
   CLEAR_HISTORY: 'clearHistory',
-  TEST_CONNECTION: 'testConnection'
+  TEST_CONNECTION: 'testConnection',
+  GITHUB_SIGN_IN: 'githubSignIn',
+  GITHUB_AUTH_STATUS: 'githubAuthStatus',
+  GITHUB_SIGN_OUT: 'githubSignOut'
 };
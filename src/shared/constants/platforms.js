@@ -7,33 +7,125 @@ export const PLATFORMS = {
   GITHUB: 'github',
   GITLAB: 'gitlab',
   BITBUCKET: 'bitbucket',
+  BITBUCKET_SERVER: 'bitbucket-server',
+  AZURE_DEVOPS: 'azure-devops',
+  GITEA: 'gitea',
   UNKNOWN: 'unknown'
 };
 
 export const PLATFORM_CONFIG = {
   [PLATFORMS.GITHUB]: {
     name: 'GitHub',
+    configKey: 'github',
     hostname: 'github.com',
     apiUrl: 'https://api.github.com',
     urlPattern: /github\.com\/([^/]+)\/([^/]+)\/pull\/(\d+)/,
-    requiredScopes: ['repo', 'read:org']
+    pathPattern: /^\/([^/]+)\/([^/]+)\/pull\/(\d+)/,
+    prPathPatterns: ['/*/pull/*'],
+    selfHostedApiPath: '/api/v3',
+    requiredScopes: ['repo', 'read:org'],
+    // Features that stop working without a scope, used by Test Connection
+    featureScopes: {
+      'read private pull requests': ['repo'],
+      'post comments': ['repo'],
+      'publish commit statuses': ['repo'],
+      'resolve team code owners': ['read:org']
+    },
+    impliedScopes: {
+      'admin:org': ['write:org', 'read:org'],
+      'write:org': ['read:org']
+    }
   },
   [PLATFORMS.GITLAB]: {
     name: 'GitLab',
+    configKey: 'gitlab',
     hostname: 'gitlab.com',
     apiUrl: 'https://gitlab.com/api/v4',
     urlPattern: /gitlab\.com\/([^/]+)\/([^/]+)\/-\/merge_requests\/(\d+)/,
-    requiredScopes: ['api', 'read_repository']
+    pathPattern: /^\/(.+)\/([^/]+)\/-\/merge_requests\/(\d+)/,
+    prPathPatterns: ['/*/merge_requests/*'],
+    selfHostedApiPath: '/api/v4',
+    requiredScopes: ['api', 'read_repository'],
+    featureScopes: {
+      'read merge requests': ['api'],
+      'post comments': ['api'],
+      'publish commit statuses': ['api'],
+      'read repository files': ['read_repository']
+    },
+    // The API scope covers every repository endpoint the extension reads
+    impliedScopes: {
+      api: ['read_api', 'read_repository']
+    }
   },
   [PLATFORMS.BITBUCKET]: {
     name: 'Bitbucket',
+    configKey: 'bitbucket',
     hostname: 'bitbucket.org',
     apiUrl: 'https://api.bitbucket.org/2.0',
     urlPattern: /bitbucket\.org\/([^/]+)\/([^/]+)\/pull-requests\/(\d+)/,
-    requiredScopes: ['repository:read', 'pullrequest:read']
+    pathPattern: /^\/([^/]+)\/([^/]+)\/pull-requests\/(\d+)/,
+    prPathPatterns: ['/*/pull-requests/*'],
+    requiredScopes: ['repository:read', 'pullrequest:read', 'pullrequest:write', 'repository:write'],
+    featureScopes: {
+      'read pull requests': ['pullrequest:read'],
+      'read repository files': ['repository:read'],
+      'post comments': ['pullrequest:write'],
+      'publish build statuses': ['repository:write']
+    },
+    // Bitbucket reports read access without a suffix, and pull request access includes the repository
+    impliedScopes: {
+      repository: ['repository:read'],
+      'repository:write': ['repository:read'],
+      'repository:admin': ['repository:write', 'repository:read'],
+      pullrequest: ['pullrequest:read', 'repository:read'],
+      'pullrequest:write': ['pullrequest:read', 'repository:write', 'repository:read']
+    }
+  },
+  [PLATFORMS.BITBUCKET_SERVER]: {
+    name: 'Bitbucket Data Center',
+    configKey: 'bitbucket',
+    hostname: null,
+    apiUrl: null,
+    urlPattern: /\/projects\/([^/]+)\/repos\/([^/]+)\/pull-requests\/(\d+)/,
+    pathPattern: /^(?:\/.*)?\/projects\/([^/]+)\/repos\/([^/]+)\/pull-requests\/(\d+)/,
+    prPathPatterns: ['/*/pull-requests/*'],
+    selfHostedApiPath: '/rest/api/1.0',
+    requiredScopes: ['REPO_READ']
+  },
+  [PLATFORMS.AZURE_DEVOPS]: {
+    name: 'Azure DevOps',
+    configKey: 'azureDevOps',
+    hostname: 'dev.azure.com',
+    apiUrl: 'https://dev.azure.com',
+    apiVersion: '7.1',
+    urlPattern: /dev\.azure\.com\/([^/]+)\/([^/]+)\/_git\/([^/]+)\/pullrequest\/(\d+)/,
+    pathPattern: /^\/([^/]+)\/([^/]+)\/_git\/([^/]+)\/pullrequest\/(\d+)/,
+    // Azure DevOps PRs are addressed by organization, project and repository
+    pathGroups: ['owner', 'project', 'repo', 'prNumber'],
+    prPathPatterns: ['/*/_git/*/pullrequest/*'],
+    requiredScopes: ['vso.code', 'vso.threads_full']
+  },
+  [PLATFORMS.GITEA]: {
+    name: 'Gitea / Forgejo',
+    configKey: 'gitea',
+    hostname: null,
+    apiUrl: null,
+    urlPattern: /\/([^/]+)\/([^/]+)\/pulls\/(\d+)/,
+    pathPattern: /^\/([^/]+)\/([^/]+)\/pulls\/(\d+)/,
+    prPathPatterns: ['/*/pulls/*'],
+    selfHostedApiPath: '/api/v1',
+    requiredScopes: ['read:repository', 'write:issue']
   }
 };
 
+// Platforms that can run on a user-defined host
+export const SELF_HOSTED_PLATFORMS = [
+  PLATFORMS.GITHUB,
+  PLATFORMS.GITLAB,
+  PLATFORMS.BITBUCKET_SERVER,
+  PLATFORMS.GITEA
+];
+
 export const URL_PATTERNS = {
   [PLATFORMS.GITHUB]: [
     'https://github.com/*/pull/*'
@@ -44,5 +136,8 @@ export const URL_PATTERNS = {
   ],
   [PLATFORMS.BITBUCKET]: [
     'https://bitbucket.org/*/pull-requests/*'
+  ],
+  [PLATFORMS.AZURE_DEVOPS]: [
+    'https://dev.azure.com/*/_git/*/pullrequest/*'
   ]
 };
@@ -0,0 +1,98 @@
+/**
+ * Check Report Utility
+ * Turns an analysis into the title, summary and annotations published as a
+ * GitHub Check Run or commit status, and maps Jenkins results to conclusions
+ */
+
+// GitHub accepts at most 50 annotations per Check Run request
+export const MAX_ANNOTATIONS = 50;
+
+// Commit status descriptions are limited to 140 characters
+export const MAX_STATUS_DESCRIPTION = 140;
+
+const ANNOTATION_LEVELS = {
+  high: 'warning',
+  medium: 'notice',
+  low: 'notice'
+};
+
+const CONCLUSIONS = {
+  SUCCESS: 'success',
+  UNSTABLE: 'failure',
+  FAILURE: 'failure',
+  ABORTED: 'cancelled',
+  NOT_BUILT: 'skipped'
+};
+
+/**
+ * Map a Jenkins build result to a Check Run conclusion
+ * @param {string|null} result - SUCCESS, UNSTABLE, FAILURE, ABORTED, NOT_BUILT
+ * @returns {string}
+ */
+export const getCheckConclusion = (result) => CONCLUSIONS[result] || 'neutral';
+
+/**
+ * Build Check Run annotations from file-level recommendations
+ * @param {Array<Object>} recommendations - Analysis recommendations
+ * @returns {Array<Object>}
+ */
+export const buildAnnotations = (recommendations = []) => recommendations
+  .filter(recommendation => recommendation.file)
+  .slice(0, MAX_ANNOTATIONS)
+  .map(recommendation => {
+    const line = recommendation.line || 1;
+
+    return {
+      path: recommendation.file,
+      start_line: line,
+      end_line: line,
+      annotation_level: ANNOTATION_LEVELS[recommendation.severity] || 'notice',
+      title: recommendation.type,
+      message: recommendation.suggestion
+        ? `${recommendation.message}\n${recommendation.suggestion}`
+        : recommendation.message
+    };
+  });
+
+/**
+ * Build the check output for an analysis
+ * @param {Object|null} analysis - Result of TestAnalysisService.identifyTests
+ * @param {number} testCount - Number of tests sent to Jenkins
+ * @returns {Object} {title, summary, annotations}
+ */
+export const buildCheckOutput = (analysis, testCount) => {
+  const riskScore = analysis?.riskAnalysis?.totalRisk;
+  const recommendations = analysis?.recommendations || [];
+  const tests = `${testCount} test${testCount === 1 ? '' : 's'} selected`;
+  const title = riskScore === undefined ? tests : `${tests}, risk score ${riskScore}`;
+
+  const lines = [
+    `**Selected tests:** ${testCount}`,
+    `**Risk score:** ${riskScore ?? 'n/a'}`,
+    `**Coverage estimate:** ${analysis?.coverage ?? 'n/a'}%`
+  ];
+
+  // Recommendations without a file cannot be annotated
+  const general = recommendations.filter(recommendation => !recommendation.file);
+  if (general.length > 0) {
+    lines.push('', ...general.map(recommendation => `- ${recommendation.message}`));
+  }
+
+  if (recommendations.length > MAX_ANNOTATIONS) {
+    lines.push('', `Showing ${MAX_ANNOTATIONS} of ${recommendations.length} recommendations.`);
+  }
+
+  return {
+    title,
+    summary: lines.join('\n'),
+    annotations: buildAnnotations(recommendations)
+  };
+};
+
+export default {
+  MAX_ANNOTATIONS,
+  MAX_STATUS_DESCRIPTION,
+  getCheckConclusion,
+  buildAnnotations,
+  buildCheckOutput
+};
@@ -0,0 +1,339 @@
+/**
+ * Code Parser Utility
+ * Lightweight, regex-based extraction of imports, function boundaries and
+ * test cases from source files. Languages are the keys of TEST_PATTERNS
+ */
+
+const BRACE_LANGUAGES = ['javascript', 'typescript', 'java', 'csharp', 'go', 'php', 'kotlin', 'rust', 'cpp', 'c'];
+
+const IMPORT_PATTERNS = {
+  javascript: [
+    /\bimport\s+(?:[\w*${}\s,]+\s+from\s+)?['"]([^'"]+)['"]/g,
+    /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s+from\s+['"]([^'"]+)['"]/g,
+    /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g
+  ],
+  python: [
+    /^\s*from\s+(\.*[\w.]*)\s+import\s/gm,
+    /^\s*import\s+([\w.]+(?:\s*,\s*[\w.]+)*)/gm
+  ],
+  java: [/^\s*import\s+(?:static\s+)?([\w.*]+)\s*;/gm],
+  csharp: [/^\s*using\s+(?:static\s+)?([\w.]+)\s*;/gm],
+  go: [/^\s*import\s+(?:\w+\s+)?"([^"]+)"/gm, /^\s+(?:\w+\s+)?"([^"]+)"\s*$/gm],
+  php: [/^\s*use\s+([\w\\]+)/gm, /\b(?:require|include)(?:_once)?\s*\(?\s*['"]([^'"]+)['"]/g],
+  ruby: [/^\s*require(?:_relative)?\s+['"]([^'"]+)['"]/gm]
+};
+IMPORT_PATTERNS.typescript = IMPORT_PATTERNS.javascript;
+
+const FUNCTION_PATTERNS = {
+  javascript: [
+    /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)\s*\(/,
+    /^\s*(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/,
+    /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([\w$]+)/,
+    /^\s*(?:static\s+|async\s+|get\s+|set\s+|public\s+|private\s+|protected\s+)*(?!if\b|for\b|while\b|switch\b|catch\b)([\w$]+)\s*\([^)]*\)\s*(?::\s*[^{]+)?\{\s*$/
+  ],
+  python: [/^(\s*)(?:async\s+)?def\s+(\w+)\s*\(/, /^(\s*)class\s+(\w+)/],
+  java: [
+    /^\s*(?:public|private|protected|static|final|abstract|synchronized|\s)*[\w<>[\],\s]+\s+(?!(?:if|for|while|switch|catch|return|new)\b)(\w+)\s*\([^)]*\)\s*(?:throws\s+[\w.,\s]+)?\{?\s*$/,
+    /^\s*(?:public|private|protected|static|final|abstract|\s)*(?:class|interface|enum|record)\s+(\w+)/
+  ],
+  csharp: [
+    /^\s*(?:public|private|protected|internal|static|virtual|override|async|\s)*[\w<>[\],\s]+\s+(?!(?:if|for|while|switch|catch|return|new)\b)(\w+)\s*\([^)]*\)\s*\{?\s*$/,
+    /^\s*(?:public|private|protected|internal|static|abstract|sealed|partial|\s)*(?:class|interface|struct|record)\s+(\w+)/
+  ],
+  go: [/^func\s+(?:\([^)]*\)\s*)?(\w+)\s*\(/],
+  php: [/^\s*(?:public|private|protected|static|\s)*function\s+(\w+)\s*\(/, /^\s*(?:abstract\s+|final\s+)?class\s+(\w+)/],
+  ruby: [/^(\s*)def\s+(?:self\.)?([\w?!]+)/, /^(\s*)(?:class|module)\s+([\w:]+)/]
+};
+FUNCTION_PATTERNS.typescript = FUNCTION_PATTERNS.javascript;
+
+const TEST_CASE_PATTERNS = {
+  javascript: [/\b(?:it|test)(?:\.(?:only|skip|each\([^)]*\)))?\s*\(\s*(['"`])(.+?)\1/],
+  python: [/^\s*(?:async\s+)?def\s+(test\w*)\s*\(/],
+  go: [/^func\s+(Test\w+)\s*\(/],
+  ruby: [/^\s*(?:it|specify|test)\s+(['"])(.+?)\1/],
+  php: [/^\s*(?:public\s+)?function\s+(test\w+)\s*\(/, /^\s*(?:it|test)\s*\(\s*(['"])(.+?)\1/]
+};
+TEST_CASE_PATTERNS.typescript = TEST_CASE_PATTERNS.javascript;
+
+// Files a relative module specifier may refer to, tried in order
+const RESOLVE_SUFFIXES = {
+  javascript: ['', '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '/index.js', '/index.jsx', '/index.ts', '/index.tsx'],
+  python: ['.py', '/__init__.py'],
+  ruby: ['.rb', '']
+};
+RESOLVE_SUFFIXES.typescript = RESOLVE_SUFFIXES.javascript;
+
+// Annotation-driven frameworks: the test is the next method after the attribute
+const TEST_ANNOTATIONS = {
+  java: /^\s*@(?:Test|ParameterizedTest|RepeatedTest)\b/,
+  csharp: /^\s*\[(?:Test|Fact|Theory|TestMethod|TestCase)\b/
+};
+
+/**
+ * Remove line and block comments (and `#` comments in PHP) outside string literals
+ * Line breaks are kept, so line-anchored patterns still apply
+ * @param {string} content - File content
+ * @param {string} language - Language key
+ * @returns {string}
+ */
+const stripComments = (content, language) => {
+  if (!BRACE_LANGUAGES.includes(language)) return content;
+
+  let stripped = '';
+  let quote = null;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quote) {
+      stripped += char;
+      if (char === '\\') stripped += content[++i] || '';
+      // Only template literals span lines; this also ends an unbalanced quote
+      else if (char === quote || (char === '\n' && quote !== '`')) quote = null;
+    } else if (char === '"' || char === '\'' || char === '`') {
+      quote = char;
+      stripped += char;
+    } else if ((char === '/' && content[i + 1] === '/') || (char === '#' && language === 'php')) {
+      while (i + 1 < content.length && content[i + 1] !== '\n') i++;
+    } else if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const comment = content.slice(i, end === -1 ? content.length : end + 2);
+      stripped += comment.replace(/[^\n]/g, '');
+      i = end === -1 ? content.length : end + 1;
+    } else {
+      stripped += char;
+    }
+  }
+
+  return stripped;
+};
+
+/**
+ * Extract imported module specifiers
+ * Commented-out imports are ignored
+ * @param {string} content - File content
+ * @param {string} language - Language key
+ * @returns {Array<string>}
+ */
+export const extractImports = (content, language) => {
+  const patterns = IMPORT_PATTERNS[language];
+  if (!content || !patterns) return [];
+
+  const source = stripComments(content, language);
+  const imports = new Set();
+
+  for (const pattern of patterns) {
+    for (const match of source.matchAll(pattern)) {
+      // `import a, b.c` lists several modules
+      match[1].split(',').map(name => name.trim()).filter(Boolean).forEach(name => imports.add(name));
+    }
+  }
+
+  return [...imports];
+};
+
+/**
+ * Resolve a relative import to the repository paths it may refer to
+ * Handles `./` and `../` specifiers and Python's leading-dot relative imports;
+ * package imports resolve to nothing
+ * @param {string} fromPath - Path of the importing file
+ * @param {string} specifier - Specifier returned by extractImports
+ * @param {string} language - Language key
+ * @returns {Array<string>} Candidate paths
+ */
+export const resolveRelativeImport = (fromPath, specifier, language) => {
+  const suffixes = RESOLVE_SUFFIXES[language];
+  if (!suffixes) return [];
+
+  let relative = specifier;
+
+  if (language === 'python') {
+    const match = specifier.match(/^(\.+)(.*)$/);
+    if (!match) return [];
+    // One dot is the importing file's own package
+    relative = `${match[1].length === 1 ? '.' : Array(match[1].length - 1).fill('..').join('/')}/${match[2].replace(/\./g, '/')}`;
+  } else if (!/^\.\.?(\/|$)/.test(specifier)) {
+    return [];
+  }
+
+  const segments = fromPath.split('/').slice(0, -1);
+  for (const segment of relative.split('/')) {
+    if (segment === '..') segments.pop();
+    else if (segment && segment !== '.') segments.push(segment);
+  }
+
+  const base = segments.join('/');
+  return suffixes.map(suffix => `${base}${suffix}`.replace(/^\//, ''));
+};
+
+/**
+ * Find the closing line of a brace-delimited block starting at a line
+ * Braces inside strings and comments are not excluded, which is good enough
+ * for locating boundaries
+ * @param {Array<string>} lines - File lines
+ * @param {number} start - 0-based start line
+ * @returns {number} 0-based end line
+ */
+const findBlockEnd = (lines, start) => {
+  let depth = 0;
+  let opened = false;
+
+  for (let i = start; i < lines.length; i++) {
+    for (const char of lines[i]) {
+      if (char === '{') {
+        depth++;
+        opened = true;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+
+    if (opened && depth <= 0) return i;
+    // Declarations without a body (abstract methods, interfaces)
+    if (!opened && /;\s*$/.test(lines[i])) return i;
+  }
+
+  return lines.length - 1;
+};
+
+/**
+ * Find the last line of an indentation-delimited block (Python, Ruby)
+ * @param {Array<string>} lines - File lines
+ * @param {number} start - 0-based start line
+ * @param {number} indent - Indentation of the declaration
+ * @returns {number} 0-based end line
+ */
+const findIndentedBlockEnd = (lines, start, indent) => {
+  let end = start;
+
+  for (let i = start + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    if (lines[i].match(/^\s*/)[0].length <= indent) break;
+    end = i;
+  }
+
+  return end;
+};
+
+/**
+ * Find the `end` line closing a Ruby block
+ * @param {Array<string>} lines - File lines
+ * @param {number} start - 0-based start line
+ * @param {number} indent - Indentation of the declaration
+ * @returns {number} 0-based end line
+ */
+const findRubyBlockEnd = (lines, start, indent) => {
+  for (let i = start + 1; i < lines.length; i++) {
+    const match = lines[i].match(/^(\s*)end\b/);
+    if (match && match[1].length === indent) return i;
+  }
+  return lines.length - 1;
+};
+
+/**
+ * Extract functions, methods and classes with their line ranges
+ * @param {string} content - File content
+ * @param {string} language - Language key
+ * @returns {Array<Object>} [{name, startLine, endLine}] with 1-based lines
+ */
+export const extractFunctions = (content, language) => {
+  const patterns = FUNCTION_PATTERNS[language];
+  if (!content || !patterns) return [];
+
+  const lines = content.split('\n');
+  const indented = language === 'python' || language === 'ruby';
+  const functions = [];
+
+  lines.forEach((line, index) => {
+    for (const pattern of patterns) {
+      const match = line.match(pattern);
+      if (!match) continue;
+
+      const name = indented ? match[2] : match[1];
+      const end = indented
+        ? (language === 'ruby'
+          ? findRubyBlockEnd(lines, index, match[1].length)
+          : findIndentedBlockEnd(lines, index, match[1].length))
+        : BRACE_LANGUAGES.includes(language) ? findBlockEnd(lines, index) : index;
+
+      functions.push({ name, startLine: index + 1, endLine: end + 1 });
+      break;
+    }
+  });
+
+  return functions;
+};
+
+/**
+ * Extract test case names with their line numbers
+ * @param {string} content - Test file content
+ * @param {string} language - Language key
+ * @returns {Array<Object>} [{name, line}]
+ */
+export const extractTestCases = (content, language) => {
+  if (!content) return [];
+
+  const lines = content.split('\n');
+  const testCases = [];
+  const annotation = TEST_ANNOTATIONS[language];
+
+  if (annotation) {
+    const functions = extractFunctions(content, language);
+
+    lines.forEach((line, index) => {
+      if (!annotation.test(line)) return;
+      const method = functions.find(fn => fn.startLine > index + 1);
+      if (method) testCases.push({ name: method.name, line: method.startLine });
+    });
+
+    return testCases;
+  }
+
+  const patterns = TEST_CASE_PATTERNS[language] || [];
+
+  lines.forEach((line, index) => {
+    for (const pattern of patterns) {
+      const match = line.match(pattern);
+      if (match) {
+        testCases.push({ name: match[2] ?? match[1], line: index + 1 });
+        break;
+      }
+    }
+  });
+
+  return testCases;
+};
+
+/**
+ * Find the innermost functions touched by diff hunks
+ * @param {Array<Object>} functions - Result of extractFunctions
+ * @param {Array<Object>} hunks - Diff hunks with new-side ranges
+ * @returns {Array<string>} Function names
+ */
+export const findChangedFunctions = (functions, hunks = []) => {
+  const changed = new Set();
+
+  for (const hunk of hunks) {
+    const start = hunk.newStart;
+    const end = hunk.newStart + Math.max(hunk.newLines - 1, 0);
+
+    const touched = functions.filter(fn => fn.startLine <= end && fn.endLine >= start);
+    // Prefer methods over the classes that contain them
+    const innermost = touched.filter(fn =>
+      !touched.some(other => other !== fn && other.startLine >= fn.startLine && other.endLine <= fn.endLine)
+    );
+
+    innermost.forEach(fn => changed.add(fn.name));
+  }
+
+  return [...changed];
+};
+
+export default {
+  extractImports,
+  resolveRelativeImport,
+  extractFunctions,
+  extractTestCases,
+  findChangedFunctions
+};
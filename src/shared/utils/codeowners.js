@@ -0,0 +1,153 @@
+/**
+ * CODEOWNERS Utility
+ * Parses GitHub / GitLab CODEOWNERS files (including GitLab `[Section]` headers)
+ * and resolves the owners of repository paths
+ */
+
+import { PLATFORMS } from '../constants/platforms.js';
+
+// Locations each platform reads CODEOWNERS from, in order of precedence
+const CODEOWNERS_LOCATIONS = {
+  [PLATFORMS.GITHUB]: ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'],
+  [PLATFORMS.GITLAB]: ['CODEOWNERS', 'docs/CODEOWNERS', '.gitlab/CODEOWNERS'],
+  [PLATFORMS.GITEA]: ['CODEOWNERS', 'docs/CODEOWNERS', '.gitea/CODEOWNERS']
+};
+
+// `[Section]`, `^[Optional section]` or `[Section][2]`, optionally followed by default owners
+const SECTION_PATTERN = /^\^?\[([^\]]+)\](?:\[\d+\])?\s*(.*)$/;
+
+/**
+ * List the CODEOWNERS locations to try for a platform
+ * @param {string} platform - Platform name
+ * @returns {Array<string>}
+ */
+export const getCodeownersPaths = (platform) =>
+  CODEOWNERS_LOCATIONS[platform] || CODEOWNERS_LOCATIONS[PLATFORMS.GITHUB];
+
+/**
+ * Convert a CODEOWNERS pattern to a regular expression
+ * Follows gitignore rules: a leading or inner slash anchors the pattern to the
+ * repository root, a trailing slash matches a directory, and a pattern naming a
+ * directory owns everything below it
+ * @param {string} pattern - CODEOWNERS pattern
+ * @returns {RegExp}
+ */
+const patternToRegex = (pattern) => {
+  const directory = pattern.endsWith('/');
+  const trimmed = pattern.replace(/^\//, '').replace(/\/$/, '');
+  const anchored = pattern.startsWith('/') || trimmed.includes('/');
+  const lastSegment = trimmed.split('/').pop();
+
+  const body = trimmed
+    .split(/(\*\*\/|\/\*\*|\*\*|\*|\?)/)
+    .map(part => {
+      switch (part) {
+        case '**/': return '(?:.*/)?';
+        case '/**': return '(?:/.*)?';
+        case '**': return '.*';
+        case '*': return '[^/]*';
+        case '?': return '[^/]';
+        default: return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    })
+    .join('');
+
+  // `docs/*` owns direct children only, as documented by GitHub
+  const suffix = directory ? '/.*' : /[*?]/.test(lastSegment) ? '' : '(?:/.*)?';
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}${suffix}$`);
+};
+
+/**
+ * Parse a CODEOWNERS file
+ * @param {string} content - File content
+ * @returns {Array<Object>} Rules [{pattern, owners, section, defaultOwners, line, regex}]
+ */
+export const parseCodeowners = (content = '') => {
+  const rules = [];
+  let section = null;
+  let defaultOwners = [];
+
+  content.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const sectionMatch = line.match(SECTION_PATTERN);
+    if (sectionMatch) {
+      section = sectionMatch[1].trim();
+      defaultOwners = sectionMatch[2].split(/\s+/).filter(owner => owner && !owner.startsWith('#'));
+      return;
+    }
+
+    // Escaped spaces belong to the pattern; an unescaped `#` starts a comment
+    const [pattern, ...rest] = line.split(/(?<!\\)\s+/);
+    const ownersEnd = rest.findIndex(token => token.startsWith('#'));
+    const owners = ownersEnd === -1 ? rest : rest.slice(0, ownersEnd);
+    const unescaped = pattern.replace(/\\(.)/g, '$1');
+
+    rules.push({
+      pattern: unescaped,
+      owners,
+      section,
+      defaultOwners,
+      line: index + 1,
+      regex: patternToRegex(unescaped)
+    });
+  });
+
+  return rules;
+};
+
+/**
+ * Find the owners of a path
+ * The last matching rule wins; with GitLab sections every section contributes
+ * its own last match, and entries without owners use the section's default owners
+ * @param {Array<Object>} rules - Result of parseCodeowners
+ * @param {string} path - Repository path
+ * @returns {Array<string>}
+ */
+export const findOwners = (rules = [], path) => {
+  const lastMatches = new Map();
+
+  for (const rule of rules) {
+    if (rule.regex.test(path)) {
+      lastMatches.set(rule.section, rule);
+    }
+  }
+
+  const owners = new Set();
+  for (const rule of lastMatches.values()) {
+    (rule.owners.length > 0 ? rule.owners : rule.defaultOwners).forEach(owner => owners.add(owner));
+  }
+
+  return [...owners];
+};
+
+/**
+ * Group items by owner; items with several owners appear in each group
+ * @param {Array} items - Items to group
+ * @param {Function} getOwners - Returns an item's owners
+ * @returns {Array<Object>} [{owner, items}] sorted by owner, unowned items last with owner null
+ */
+export const groupByOwner = (items = [], getOwners) => {
+  const groups = new Map();
+
+  for (const item of items) {
+    const owners = getOwners(item);
+    for (const owner of owners.length > 0 ? owners : [null]) {
+      if (!groups.has(owner)) groups.set(owner, []);
+      groups.get(owner).push(item);
+    }
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b)))
+    .map(([owner, groupItems]) => ({ owner, items: groupItems }));
+};
+
+export default {
+  getCodeownersPaths,
+  parseCodeowners,
+  findOwners,
+  groupByOwner
+};
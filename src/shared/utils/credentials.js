@@ -0,0 +1,66 @@
+/**
+ * Credential Utility
+ * Selects per-organization credentials by host and owner pattern, so that
+ * repositories of different orgs (or a personal account) use their own tokens
+ */
+
+/**
+ * Normalize a user-defined credential entry
+ * @param {Object} entry - {label, hostname, owner, token, username}
+ * @returns {Object} Entry with lowercased hostname and owner pattern
+ */
+export const normalizeCredentialEntry = (entry) => ({
+  label: String(entry.label || '').trim(),
+  hostname: String(entry.hostname || '').trim().toLowerCase(),
+  owner: String(entry.owner || '*').trim().toLowerCase() || '*',
+  token: String(entry.token || '').trim(),
+  username: String(entry.username || '').trim()
+});
+
+/**
+ * Get all usable credential entries from configuration
+ * @param {Object} config - Extension configuration
+ * @returns {Array<Object>}
+ */
+export const getCredentialEntries = (config) => {
+  const credentials = Array.isArray(config?.credentials) ? config.credentials : [];
+  return credentials.map(normalizeCredentialEntry).filter(entry => entry.hostname && entry.token);
+};
+
+/**
+ * Test an owner against a pattern where `*` matches any characters
+ * @param {string} pattern - Lowercased owner pattern, e.g. `acme-*`
+ * @param {string} owner - Repository owner
+ * @returns {boolean}
+ */
+const matchesOwner = (pattern, owner) => {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(owner.toLowerCase());
+};
+
+/**
+ * Find the credential for a repository owner on a host
+ * The most specific pattern wins: exact owners before wildcards, then the
+ * pattern with the most literal characters, then the first entry
+ * @param {Object} config - Extension configuration
+ * @param {string} hostname - Host the repository lives on
+ * @param {string} owner - Repository owner (organization, user or Azure DevOps organization)
+ * @returns {Object|null} Matching entry
+ */
+export const findCredential = (config, hostname, owner) => {
+  if (!hostname || !owner) return null;
+
+  const host = hostname.toLowerCase();
+  const specificity = (entry) => entry.owner.replace(/\*/g, '').length + (entry.owner.includes('*') ? 0 : 1000);
+
+  const matches = getCredentialEntries(config)
+    .filter(entry => entry.hostname === host && matchesOwner(entry.owner, owner));
+
+  return matches.reduce((best, entry) => (!best || specificity(entry) > specificity(best) ? entry : best), null);
+};
+
+export default {
+  normalizeCredentialEntry,
+  getCredentialEntries,
+  findCredential
+};
@@ -0,0 +1,253 @@
+/**
+ * Diff Parser Utility
+ * Parses unified diffs (git format) into per-file change data so every
+ * platform reports the same shape: status, additions, deletions and hunks
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+/**
+ * Strip the a/ or b/ prefix and git's C-style quoting from a diff path
+ * @param {string} rawPath - Path as written in the diff
+ * @returns {string|null} Path, or null for /dev/null
+ */
+const cleanPath = (rawPath) => {
+  let path = rawPath.trim();
+
+  if (path.startsWith('"') && path.endsWith('"')) {
+    path = path
+      .slice(1, -1)
+      .replace(/\\t/g, '\t')
+      .replace(/\\n/g, '\n')
+      .replace(/\\(["\\])/g, '$1');
+  }
+
+  // `--- a/file` lines may carry a trailing tab and timestamp
+  path = path.split('\t')[0];
+
+  if (path === '/dev/null') return null;
+
+  return path.replace(/^[ab]\//, '');
+};
+
+/**
+ * Guess both paths from a `diff --git a/x b/y` header
+ * Only reliable when the names are equal, which covers everything but
+ * renames (and those carry explicit `rename from/to` lines)
+ * @param {string} header - Header without the `diff --git ` prefix
+ * @returns {Object} {oldPath, newPath}
+ */
+const parseGitHeader = (header) => {
+  const quoted = header.match(/^("(?:[^"\\]|\\.)*")\s+("(?:[^"\\]|\\.)*")$/);
+  if (quoted) {
+    return { oldPath: cleanPath(quoted[1]), newPath: cleanPath(quoted[2]) };
+  }
+
+  // "a/<name> b/<name>": split in the middle when both halves match
+  const half = (header.length - 1) / 2;
+  if (Number.isInteger(half) && header.slice(2, half) === header.slice(half + 3)) {
+    const path = header.slice(2, half);
+    return { oldPath: path, newPath: path };
+  }
+
+  const match = header.match(/^a\/(.+?) b\/(.+)$/);
+  return match
+    ? { oldPath: match[1], newPath: match[2] }
+    : { oldPath: null, newPath: null };
+};
+
+/**
+ * Create an empty per-file change record
+ * @returns {Object}
+ */
+const createFile = () => ({
+  filename: null,
+  previousFilename: null,
+  status: 'modified',
+  binary: false,
+  additions: 0,
+  deletions: 0,
+  changes: 0,
+  hunks: [],
+  patch: ''
+});
+
+/**
+ * Parse hunk lines into hunk ranges and line counts
+ * Shared by full diffs and hunk-only patches (GitHub `patch`, GitLab `diff`)
+ * @param {Array<string>} lines - Diff lines starting at a hunk header
+ * @returns {Object} {hunks, additions, deletions}
+ */
+const parseHunks = (lines) => {
+  const hunks = [];
+  let additions = 0;
+  let deletions = 0;
+  let current = null;
+  let newLine = 0;
+
+  for (const line of lines) {
+    const header = line.match(HUNK_HEADER);
+
+    if (header) {
+      current = {
+        oldStart: parseInt(header[1], 10),
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newStart: parseInt(header[3], 10),
+        newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        header: header[5] || '',
+        additions: 0,
+        deletions: 0,
+        // First added line on the new side, or the hunk start for pure deletions
+        firstChangedLine: null
+      };
+      hunks.push(current);
+      newLine = current.newStart;
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (line.startsWith('+')) {
+      current.additions++;
+      additions++;
+      current.firstChangedLine ??= newLine;
+      newLine++;
+    } else if (line.startsWith('-')) {
+      current.deletions++;
+      deletions++;
+    } else if (!line.startsWith('\\')) {
+      newLine++;
+    }
+  }
+
+  for (const hunk of hunks) {
+    hunk.firstChangedLine ??= hunk.newStart || null;
+  }
+
+  return { hunks, additions, deletions };
+};
+
+/**
+ * Finalize a file record once all of its lines were collected
+ * @param {Object} file - File record
+ * @param {Array<string>} bodyLines - Lines from the first hunk header on
+ * @returns {Object}
+ */
+const finalizeFile = (file, bodyLines) => {
+  const { hunks, additions, deletions } = parseHunks(bodyLines);
+
+  file.hunks = hunks;
+  file.additions = additions;
+  file.deletions = deletions;
+  file.changes = additions + deletions;
+  file.patch = bodyLines.join('\n');
+
+  if (!file.filename) {
+    file.filename = file.previousFilename;
+  }
+  if (file.status !== 'renamed' && file.status !== 'copied') {
+    file.previousFilename = null;
+  }
+
+  return file;
+};
+
+/**
+ * Parse a multi-file unified diff in git format
+ * @param {string} diffText - Raw diff text
+ * @returns {Array<Object>} Per-file changes
+ * {filename, previousFilename, status, binary, additions, deletions, changes, hunks, patch}
+ */
+export const parseUnifiedDiff = (diffText) => {
+  if (!diffText || typeof diffText !== 'string') return [];
+
+  const files = [];
+  let file = null;
+  let bodyLines = null;
+
+  const flush = () => {
+    if (file) files.push(finalizeFile(file, bodyLines || []));
+  };
+
+  for (const rawLine of diffText.split('\n')) {
+    const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+
+    if (line.startsWith('diff --git ')) {
+      flush();
+      const { oldPath, newPath } = parseGitHeader(line.slice('diff --git '.length));
+      file = createFile();
+      file.previousFilename = oldPath;
+      file.filename = newPath;
+      bodyLines = null;
+      continue;
+    }
+
+    if (!file) continue;
+
+    // Hunk content
+    if (bodyLines) {
+      bodyLines.push(line);
+      continue;
+    }
+
+    // Extended header lines
+    if (line.startsWith('@@')) {
+      bodyLines = [line];
+    } else if (line.startsWith('new file mode')) {
+      file.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      file.status = 'removed';
+    } else if (line.startsWith('rename from ')) {
+      file.status = 'renamed';
+      file.previousFilename = cleanPath(line.slice('rename from '.length));
+    } else if (line.startsWith('rename to ')) {
+      file.status = 'renamed';
+      file.filename = cleanPath(line.slice('rename to '.length));
+    } else if (line.startsWith('copy from ')) {
+      file.status = 'copied';
+      file.previousFilename = cleanPath(line.slice('copy from '.length));
+    } else if (line.startsWith('copy to ')) {
+      file.status = 'copied';
+      file.filename = cleanPath(line.slice('copy to '.length));
+    } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+      file.binary = true;
+    } else if (line.startsWith('--- ')) {
+      const path = cleanPath(line.slice(4));
+      if (path === null) file.status = 'added';
+      else file.previousFilename = path;
+    } else if (line.startsWith('+++ ')) {
+      const path = cleanPath(line.slice(4));
+      if (path === null) file.status = 'removed';
+      else file.filename = path;
+    }
+  }
+
+  flush();
+
+  // Trailing newline of the whole diff leaves an empty last line in the patch
+  for (const parsed of files) {
+    parsed.patch = parsed.patch.replace(/\n$/, '');
+  }
+
+  return files;
+};
+
+/**
+ * Parse a single-file, hunk-only patch (GitHub `patch`, GitLab `diff`)
+ * @param {string} patch - Patch text starting at the first hunk header
+ * @returns {Object} {hunks, additions, deletions, changes}
+ */
+export const parsePatch = (patch) => {
+  if (!patch || typeof patch !== 'string') {
+    return { hunks: [], additions: 0, deletions: 0, changes: 0 };
+  }
+
+  const { hunks, additions, deletions } = parseHunks(patch.split('\n'));
+
+  return { hunks, additions, deletions, changes: additions + deletions };
+};
+
+export default {
+  parseUnifiedDiff,
+  parsePatch
+};
@@ -0,0 +1,143 @@
+/**
+ * Host Utility
+ * Maps page hostnames to Git platforms, including self-hosted instances
+ * (GitHub Enterprise Server, self-managed GitLab, Bitbucket Data Center, Gitea/Forgejo)
+ */
+
+import { PLATFORMS, PLATFORM_CONFIG, URL_PATTERNS } from '../constants/platforms.js';
+
+/**
+ * Build the default API base URL for a self-hosted instance
+ * @param {string} hostname - Instance hostname
+ * @param {string} platform - Platform type
+ * @returns {string|null}
+ */
+export const getDefaultApiUrl = (hostname, platform) => {
+  const apiPath = PLATFORM_CONFIG[platform]?.selfHostedApiPath;
+  return apiPath ? `https://${hostname}${apiPath}` : null;
+};
+
+/**
+ * Normalize a user-defined host entry
+ * @param {Object} entry - {hostname, platform, apiUrl, token}
+ * @returns {Object} Entry with lowercased hostname and resolved API URL
+ */
+export const normalizeHostEntry = (entry) => {
+  const hostname = String(entry.hostname || '').trim().toLowerCase();
+  const apiUrl = String(entry.apiUrl || '').trim().replace(/\/+$/, '');
+
+  return {
+    hostname,
+    platform: entry.platform,
+    apiUrl: apiUrl || getDefaultApiUrl(hostname, entry.platform),
+    token: String(entry.token || '').trim()
+  };
+};
+
+/**
+ * Get all user-defined host entries from configuration
+ * @param {Object} config - Extension configuration
+ * @returns {Array<Object>}
+ */
+export const getHostEntries = (config) => {
+  const hosts = Array.isArray(config?.hosts) ? config.hosts : [];
+  return hosts.map(normalizeHostEntry).filter(entry => entry.hostname && entry.platform);
+};
+
+/**
+ * Resolve a hostname to its platform and API base URL
+ * User-defined entries take precedence over the built-in platforms
+ * @param {string} hostname - Page or API hostname
+ * @param {Object} config - Extension configuration
+ * @returns {Object|null} {hostname, platform, apiUrl, selfHosted}
+ */
+export const resolveHost = (hostname, config) => {
+  if (!hostname) return null;
+
+  const normalized = hostname.toLowerCase();
+  const entry = getHostEntries(config).find(host => host.hostname === normalized);
+
+  if (entry) {
+    return { ...entry, selfHosted: true };
+  }
+
+  for (const [platform, platformConfig] of Object.entries(PLATFORM_CONFIG)) {
+    if (platformConfig.hostname && platformConfig.hostname === normalized) {
+      return {
+        hostname: normalized,
+        platform,
+        apiUrl: config?.[platformConfig.configKey]?.apiUrl || platformConfig.apiUrl,
+        selfHosted: false
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build content script match patterns for host entries
+ * @param {Array<Object>} entries - Normalized host entries
+ * @returns {Array<string>}
+ */
+export const getMatchPatterns = (entries) => {
+  const patterns = entries.flatMap(entry =>
+    (PLATFORM_CONFIG[entry.platform]?.prPathPatterns || [])
+      .map(path => `https://${entry.hostname}${path}`)
+  );
+
+  return [...new Set(patterns)];
+};
+
+/**
+ * Get match patterns for every PR page the extension handles
+ * @param {Object} config - Extension configuration
+ * @returns {Array<string>}
+ */
+export const getAllPRUrlPatterns = (config) => {
+  const builtIn = Object.values(URL_PATTERNS).flat();
+  return [...new Set([...builtIn, ...getMatchPatterns(getHostEntries(config))])];
+};
+
+/**
+ * Parse a PR page URL into platform and PR information
+ * @param {string} url - PR page URL
+ * @param {Object} config - Extension configuration
+ * @returns {Object|null} {platform, prInfo}
+ */
+export const parsePRUrl = (url, config) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const host = resolveHost(parsed.hostname, config);
+  if (!host || host.platform === PLATFORMS.UNKNOWN) return null;
+
+  const { pathPattern, pathGroups = ['owner', 'repo', 'prNumber'] } = PLATFORM_CONFIG[host.platform];
+  const match = parsed.pathname.match(pathPattern);
+  if (!match) return null;
+
+  const prInfo = { host: host.hostname };
+  pathGroups.forEach((group, index) => {
+    prInfo[group] = decodeURIComponent(match[index + 1]);
+  });
+  prInfo.prNumber = parseInt(prInfo.prNumber, 10);
+
+  return {
+    platform: host.platform,
+    prInfo
+  };
+};
+
+export default {
+  getDefaultApiUrl,
+  normalizeHostEntry,
+  getHostEntries,
+  resolveHost,
+  getMatchPatterns,
+  getAllPRUrlPatterns,
+  parsePRUrl
+};
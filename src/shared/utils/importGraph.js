@@ -0,0 +1,374 @@
+/**
+ * Import Graph Utility
+ * Resolves JavaScript / TypeScript module specifiers (ES modules, CommonJS,
+ * tsconfig `paths` / `baseUrl`, index files and workspace package `exports`)
+ * to repository files, and searches the reverse dependency graph for the
+ * files that transitively import a changed file
+ */
+
+import { extractImports } from './codeParser.js';
+
+// Extensions tried, in order, for specifiers written without one
+const JS_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.d.ts'];
+
+// TypeScript ESM sources import the emitted file name: './a.js' is written as a.ts
+const EMITTED_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+// Export conditions tried in order when a package maps one entry to several targets
+const EXPORT_CONDITIONS = ['source', 'types', 'import', 'module', 'require', 'node', 'browser', 'default'];
+
+const TSCONFIG_PATTERN = /(^|\/)[tj]sconfig(\.[\w-]+)?\.json$/;
+
+/**
+ * Whether a path is a JavaScript / TypeScript module
+ * @param {string} path - Repository path
+ * @returns {boolean}
+ */
+export const isJsModule = (path) => /\.(c|m)?[jt]sx?$/.test(path) && !path.includes('node_modules/');
+
+/**
+ * List the configuration files the resolver reads: tsconfig / jsconfig files and package manifests
+ * @param {Array<string>} paths - Repository file paths
+ * @returns {Array<string>}
+ */
+export const getJsResolverConfigPaths = (paths) => paths.filter(path =>
+  !path.includes('node_modules/') && (TSCONFIG_PATTERN.test(path) || path === 'package.json' || path.endsWith('/package.json'))
+);
+
+/**
+ * Join path segments, resolving `.` and `..`
+ * @param {...string} parts - Path parts
+ * @returns {string|null} Normalized path, or null when it leaves the repository
+ */
+const joinPath = (...parts) => {
+  const segments = [];
+
+  for (const segment of parts.join('/').split('/')) {
+    if (segment === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  }
+
+  return segments.join('/');
+};
+
+const dirname = (path) => path.split('/').slice(0, -1).join('/');
+
+/**
+ * Parse JSON that may contain comments and trailing commas, as tsconfig files do
+ * @param {string} content - File content
+ * @returns {Object|null}
+ */
+const parseJsonWithComments = (content) => {
+  if (typeof content !== 'string') return null;
+
+  let stripped = '';
+  let quote = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quote) {
+      stripped += char;
+      if (char === '\\') stripped += content[++i] || '';
+      else if (char === '"') quote = false;
+    } else if (char === '"') {
+      quote = true;
+      stripped += char;
+    } else if (char === '/' && content[i + 1] === '/') {
+      while (i < content.length && content[i] !== '\n') i++;
+      stripped += '\n';
+    } else if (char === '/' && content[i + 1] === '*') {
+      i = content.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      stripped += char;
+    }
+  }
+
+  try {
+    return JSON.parse(stripped.replace(/,(\s*[}\]])/g, '$1'));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Match a specifier against a `paths` or `exports` pattern with at most one `*`
+ * @param {string} pattern - Pattern such as `@app/*`
+ * @param {string} specifier - Module specifier
+ * @returns {string|null} Text matched by `*` ('' for exact patterns), or null
+ */
+const matchStar = (pattern, specifier) => {
+  const star = pattern.indexOf('*');
+  if (star === -1) return pattern === specifier ? '' : null;
+
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+
+  return specifier.length >= prefix.length + suffix.length && specifier.startsWith(prefix) && specifier.endsWith(suffix)
+    ? specifier.slice(prefix.length, specifier.length - suffix.length)
+    : null;
+};
+
+/**
+ * Find the best matching key of a pattern map: exact keys first, then the longest prefix
+ * @param {Array<string>} patterns - Keys of `paths` or `exports`
+ * @param {string} specifier - Module specifier or export subpath
+ * @returns {Object|null} {pattern, capture}
+ */
+const findPattern = (patterns, specifier) => {
+  let best = null;
+
+  for (const pattern of patterns) {
+    const capture = matchStar(pattern, specifier);
+    if (capture === null) continue;
+    if (!pattern.includes('*')) return { pattern, capture };
+
+    const prefixLength = pattern.indexOf('*');
+    if (!best || prefixLength > best.pattern.indexOf('*')) {
+      best = { pattern, capture };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Flatten an `exports` target (string, array or conditions object) into candidate paths
+ * @param {*} target - Export target
+ * @returns {Array<string>}
+ */
+const getExportTargets = (target) => {
+  if (typeof target === 'string') return [target];
+  if (Array.isArray(target)) return target.flatMap(getExportTargets);
+  if (!target || typeof target !== 'object') return [];
+
+  const conditions = [
+    ...EXPORT_CONDITIONS.filter(condition => condition in target),
+    ...Object.keys(target).filter(condition => !EXPORT_CONDITIONS.includes(condition))
+  ];
+
+  return conditions.flatMap(condition => getExportTargets(target[condition]));
+};
+
+/**
+ * Create a resolver for JavaScript / TypeScript imports within a repository
+ * @param {Array<string>} paths - Repository file paths
+ * @param {Object} configFiles - Map of path to content for getJsResolverConfigPaths
+ * @returns {Object} {isModule, resolve, resolveImports}
+ */
+export const createJsResolver = (paths, configFiles = {}) => {
+  const files = new Set(paths);
+  const compilerOptions = new Map();
+
+  const packages = new Map();
+  Object.entries(configFiles)
+    .filter(([path]) => path === 'package.json' || path.endsWith('/package.json'))
+    .forEach(([path, content]) => {
+      const manifest = parseJsonWithComments(content);
+      if (manifest?.name) {
+        packages.set(manifest.name, { dir: dirname(path), manifest });
+      }
+    });
+
+  /**
+   * Read baseUrl and paths from a tsconfig, following relative `extends`
+   * Both are resolved against the tsconfig that declares them
+   */
+  const readCompilerOptions = (configPath, seen = new Set()) => {
+    if (compilerOptions.has(configPath)) return compilerOptions.get(configPath);
+    if (seen.has(configPath)) return {};
+    seen.add(configPath);
+
+    const config = parseJsonWithComments(configFiles[configPath]) || {};
+    let options = {};
+
+    for (const parent of [].concat(config.extends || [])) {
+      if (typeof parent !== 'string' || !parent.startsWith('.')) continue;
+      const parentPath = joinPath(dirname(configPath), parent.endsWith('.json') ? parent : `${parent}.json`);
+      if (parentPath !== null && parentPath in configFiles) {
+        options = { ...options, ...readCompilerOptions(parentPath, seen) };
+      }
+    }
+
+    const { baseUrl, paths: pathMappings } = config.compilerOptions || {};
+    if (typeof baseUrl === 'string') {
+      options.baseDir = joinPath(dirname(configPath), baseUrl);
+    }
+    if (pathMappings && typeof pathMappings === 'object') {
+      options.paths = pathMappings;
+      // Without baseUrl, paths are relative to the tsconfig itself
+      options.pathsDir = options.baseDir ?? dirname(configPath);
+    }
+
+    compilerOptions.set(configPath, options);
+    return options;
+  };
+
+  // The nearest tsconfig.json / jsconfig.json governs a file
+  const findCompilerOptions = (fromPath) => {
+    for (let dir = dirname(fromPath); ; dir = dirname(dir)) {
+      const prefix = dir ? `${dir}/` : '';
+      const configPath = [`${prefix}tsconfig.json`, `${prefix}jsconfig.json`].find(path => path in configFiles);
+      if (configPath) return readCompilerOptions(configPath);
+      if (!dir) return {};
+    }
+  };
+
+  const resolveFile = (base, seen = new Set()) => {
+    if (base === null || seen.has(base)) return null;
+    seen.add(base);
+
+    if (files.has(base)) return base;
+
+    const extension = base.match(/\.[cm]?jsx?$/)?.[0];
+    for (const emitted of EMITTED_EXTENSIONS[extension] || []) {
+      const source = base.slice(0, -extension.length) + emitted;
+      if (files.has(source)) return source;
+    }
+
+    for (const candidate of JS_EXTENSIONS) {
+      if (files.has(`${base}${candidate}`)) return `${base}${candidate}`;
+    }
+
+    // A directory: its package.json entry, then its index file
+    const manifest = parseJsonWithComments(configFiles[joinPath(base, 'package.json')]);
+    for (const field of ['source', 'module', 'main']) {
+      const entry = typeof manifest?.[field] === 'string' && resolveFile(joinPath(base, manifest[field]), seen);
+      if (entry) return entry;
+    }
+
+    for (const candidate of JS_EXTENSIONS) {
+      if (files.has(`${base}/index${candidate}`)) return `${base}/index${candidate}`;
+    }
+
+    return null;
+  };
+
+  const resolvePackage = ({ dir, manifest }, subpath) => {
+    const { exports } = manifest;
+
+    if (exports !== undefined && exports !== null) {
+      const subpathMap = typeof exports === 'object' && !Array.isArray(exports) &&
+        Object.keys(exports).some(key => key.startsWith('.'))
+        ? exports
+        : { '.': exports };
+
+      const match = findPattern(Object.keys(subpathMap), subpath);
+      if (match) {
+        for (const target of getExportTargets(subpathMap[match.pattern])) {
+          const resolved = resolveFile(joinPath(dir, target.replace(/\*/g, match.capture)));
+          if (resolved) return resolved;
+        }
+      }
+    }
+
+    // Exports usually point at build output missing from the repository; fall back to the sources
+    if (subpath === '.') {
+      return resolveFile(dir) || resolveFile(joinPath(dir, 'src'));
+    }
+
+    return resolveFile(joinPath(dir, subpath)) || resolveFile(joinPath(dir, 'src', subpath));
+  };
+
+  const resolve = (fromPath, rawSpecifier) => {
+    // Bundler queries and hashes (`./a.svg?raw`) are not part of the path
+    const specifier = rawSpecifier.replace(/[?#].*$/, '');
+    if (!specifier || specifier.startsWith('/') || /^[\w+-]+:/.test(specifier)) return null;
+
+    if (/^\.\.?(\/|$)/.test(specifier)) {
+      return resolveFile(joinPath(dirname(fromPath), specifier));
+    }
+
+    const { baseDir, paths: pathMappings, pathsDir } = findCompilerOptions(fromPath);
+
+    if (pathMappings && typeof pathsDir === 'string') {
+      const match = findPattern(Object.keys(pathMappings), specifier);
+      for (const target of match ? [].concat(pathMappings[match.pattern]) : []) {
+        const resolved = typeof target === 'string' && resolveFile(joinPath(pathsDir, target.replace('*', match.capture)));
+        if (resolved) return resolved;
+      }
+    }
+
+    if (typeof baseDir === 'string') {
+      const resolved = resolveFile(joinPath(baseDir, specifier));
+      if (resolved) return resolved;
+    }
+
+    // Workspace packages: `name`, `@scope/name` and their subpaths
+    const parts = specifier.split('/');
+    const nameLength = specifier.startsWith('@') ? 2 : 1;
+    const pkg = packages.get(parts.slice(0, nameLength).join('/'));
+    if (pkg) {
+      const subpath = parts.length > nameLength ? `./${parts.slice(nameLength).join('/')}` : '.';
+      return resolvePackage(pkg, subpath);
+    }
+
+    return null;
+  };
+
+  return {
+    isModule: isJsModule,
+    resolve,
+    /**
+     * Resolve every import of a file to the repository files it refers to
+     * @param {string} path - Importing file
+     * @param {string} content - File content
+     * @returns {Array<string>}
+     */
+    resolveImports: (path, content) => [...new Set(extractImports(content, 'javascript')
+      .map(specifier => resolve(path, specifier))
+      .filter(resolved => resolved && resolved !== path))]
+  };
+};
+
+/**
+ * Find, for every file reaching a changed file through imports, the shortest import chain
+ * @param {Object} imports - Map of file path to the repository files it imports
+ * @param {Array<string>} changedPaths - Changed files
+ * @returns {Map<string, Array<string>>} File -> chain from that file to the changed file it imports
+ */
+export const findImportChains = (imports, changedPaths) => {
+  const importers = new Map();
+  Object.entries(imports).forEach(([path, dependencies]) => dependencies.forEach(dependency => {
+    if (!importers.has(dependency)) importers.set(dependency, []);
+    importers.get(dependency).push(path);
+  }));
+
+  const chains = new Map(changedPaths.map(path => [path, [path]]));
+  let queue = [...changedPaths];
+
+  while (queue.length > 0) {
+    const next = [];
+
+    for (const path of queue) {
+      for (const importer of importers.get(path) || []) {
+        if (chains.has(importer)) continue;
+
+        chains.set(importer, [importer, ...chains.get(path)]);
+        next.push(importer);
+      }
+    }
+
+    queue = next;
+  }
+
+  return chains;
+};
+
+export default {
+  isJsModule,
+  getJsResolverConfigPaths,
+  createJsResolver,
+  findImportChains
+};
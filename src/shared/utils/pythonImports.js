@@ -0,0 +1,265 @@
+/**
+ * Python Import Utility
+ * Resolves Python imports (`import x.y`, `from x import y`, relative
+ * `from .a import b`) to repository modules from their package roots, and
+ * links pytest files to the conftest.py fixtures they can use
+ */
+
+// Files marking a directory as a project root from which absolute imports resolve
+const ROOT_MARKERS = ['setup.py', 'setup.cfg', 'pyproject.toml', 'manage.py'];
+
+const CONFTEST = 'conftest.py';
+
+/**
+ * Whether a path is a Python module
+ * @param {string} path - Repository path
+ * @returns {boolean}
+ */
+export const isPythonModule = (path) => path.endsWith('.py') &&
+  !/(^|\/)(\.?venv|site-packages|node_modules)\//.test(path);
+
+/**
+ * Whether a path is a conftest.py fixture module
+ * @param {string} path - Repository path
+ * @returns {boolean}
+ */
+export const isConftest = (path) => path === CONFTEST || path.endsWith(`/${CONFTEST}`);
+
+// Files pytest collects, which see the conftest.py files of their directory and its parents
+const isPytestFile = (path) => /(^|\/)(test_[^/]*|[^/]*_test|conftest)\.py$/.test(path);
+
+const dirname = (path) => path.split('/').slice(0, -1).join('/');
+
+/**
+ * Split Python source into lines of code, dropping `#` comments outside string
+ * literals and the contents of triple-quoted strings such as docstrings
+ * @param {string} content - File content
+ * @returns {Array<string>}
+ */
+const codeLines = (content) => {
+  const lines = [];
+  let line = '';
+  let quote = null;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (char === '\n') {
+      lines.push(line);
+      line = '';
+      // Single-quoted strings cannot span lines
+      if (quote?.length === 1) quote = null;
+    } else if (quote?.length === 3) {
+      if (char === '\\' && content[i + 1] !== '\n') {
+        i++;
+      } else if (content.startsWith(quote, i)) {
+        quote = null;
+        i += 2;
+      }
+    } else if (quote) {
+      line += char;
+      if (char === '\\' && i + 1 < content.length && content[i + 1] !== '\n') {
+        line += content[++i];
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '#') {
+      const end = content.indexOf('\n', i);
+      i = (end === -1 ? content.length : end) - 1;
+    } else if (char === '"' || char === '\'') {
+      if (content.startsWith(char.repeat(3), i)) {
+        quote = char.repeat(3);
+        i += 2;
+      } else {
+        quote = char;
+        line += char;
+      }
+    } else {
+      line += char;
+    }
+  }
+
+  lines.push(line);
+  return lines;
+};
+
+/**
+ * Extract imports from Python source
+ * Handles parenthesized and backslash-continued imports and `pytest_plugins`
+ * @param {string} content - File content
+ * @returns {Array<Object>} [{module, names, level}] where level counts leading dots
+ */
+export const extractPythonImports = (content = '') => {
+  const statements = [];
+  let current = '';
+  let depth = 0;
+
+  for (const rawLine of codeLines(content)) {
+    const line = rawLine.trim();
+    // Only import statements are joined, so brackets in other code cannot swallow them
+    if (!current && !/^(from|import|pytest_plugins)\b/.test(line)) continue;
+
+    current += ` ${line}`;
+    depth += (line.match(/[([]/g) || []).length - (line.match(/[)\]]/g) || []).length;
+
+    if (depth <= 0 && !line.endsWith('\\')) {
+      statements.push(current.replace(/\\(\s|$)/g, ' ').trim());
+      current = '';
+      depth = 0;
+    }
+  }
+  if (current) statements.push(current.trim());
+
+  const imports = [];
+  const names = (list) => list.replace(/[()]/g, '').split(',')
+    .map(name => name.trim().split(/\s+as\s+/)[0].trim())
+    .filter(name => name && name !== '*');
+
+  for (const statement of statements) {
+    const from = statement.match(/^from\s+(\.*)([\w.]*)\s+import\s+(.+)$/);
+    if (from) {
+      imports.push({ module: from[2], names: names(from[3]), level: from[1].length });
+      continue;
+    }
+
+    const plain = statement.match(/^import\s+(.+)$/);
+    if (plain) {
+      names(plain[1]).forEach(module => imports.push({ module, names: [], level: 0 }));
+      continue;
+    }
+
+    // pytest_plugins = ['app.fixtures', ...] loads fixture modules by dotted path
+    const plugins = statement.match(/^pytest_plugins\s*=\s*(.+)$/);
+    if (plugins) {
+      for (const match of plugins[1].matchAll(/['"]([\w.]+)['"]/g)) {
+        imports.push({ module: match[1], names: [], level: 0 });
+      }
+    }
+  }
+
+  return imports;
+};
+
+/**
+ * Find the directories absolute imports resolve from: the repository root,
+ * `src/`, directories holding top-level packages and project roots
+ * @param {Array<string>} paths - Repository file paths
+ * @returns {Array<string>} Root directories ('' is the repository root)
+ */
+export const findPackageRoots = (paths) => {
+  const files = new Set(paths);
+  const roots = new Set(['', 'src']);
+
+  for (const path of paths) {
+    const file = path.split('/').pop();
+
+    if (ROOT_MARKERS.includes(file)) {
+      roots.add(dirname(path));
+    } else if (file === '__init__.py') {
+      // The parent of the outermost package directory
+      let dir = dirname(path);
+      while (dir && files.has(`${dirname(dir) ? `${dirname(dir)}/` : ''}__init__.py`)) {
+        dir = dirname(dir);
+      }
+      roots.add(dirname(dir));
+    }
+  }
+
+  return [...roots];
+};
+
+/**
+ * Create a resolver for Python imports within a repository
+ * @param {Array<string>} paths - Repository file paths
+ * @returns {Object} {isModule, resolve, resolveImports}
+ */
+export const createPythonResolver = (paths) => {
+  const files = new Set(paths);
+  const roots = findPackageRoots(paths);
+
+  const join = (dir, relative) => (dir ? `${dir}/${relative}` : relative);
+
+  // A module is a .py file or a package's __init__.py
+  const findModule = (dir) => [`${dir}.py`, `${dir}/__init__.py`].find(path => files.has(path)) || null;
+
+  // Importing a.b.c runs the __init__.py of a and a.b first
+  const withParentPackages = (base, parts) => parts.slice(0, -1)
+    .map((_, index) => `${join(base, parts.slice(0, index + 1).join('/'))}/__init__.py`)
+    .filter(path => files.has(path));
+
+  // Roots containing the importing file come first, nearest first
+  const orderRoots = (fromPath) => [...roots].sort((a, b) => {
+    const containsA = a === '' || fromPath.startsWith(`${a}/`);
+    const containsB = b === '' || fromPath.startsWith(`${b}/`);
+    if (containsA !== containsB) return containsA ? -1 : 1;
+    return b.length - a.length;
+  });
+
+  /**
+   * Resolve one import statement to the modules it loads
+   * `from a import b` may name a submodule b or an attribute of a
+   */
+  const resolve = (fromPath, { module, names, level }) => {
+    const parts = module ? module.split('.') : [];
+
+    let bases;
+    if (level > 0) {
+      // One dot is the importing file's own package
+      let base = dirname(fromPath);
+      for (let i = 1; i < level; i++) {
+        if (!base) return [];
+        base = dirname(base);
+      }
+      bases = [base];
+    } else {
+      bases = orderRoots(fromPath);
+    }
+
+    for (const base of bases) {
+      const target = parts.length > 0 ? findModule(join(base, parts.join('/'))) : findModule(base);
+      const submodules = names
+        .map(name => findModule(join(base, [...parts, name].join('/'))))
+        .filter(Boolean);
+
+      if (target || submodules.length > 0) {
+        return [...withParentPackages(base, parts), target, ...submodules].filter(Boolean);
+      }
+    }
+
+    return [];
+  };
+
+  // conftest.py files of the file's directory and every parent directory
+  const findConftests = (fromPath) => {
+    const conftests = [];
+
+    for (let dir = dirname(fromPath); ; dir = dirname(dir)) {
+      const conftest = join(dir, CONFTEST);
+      if (conftest !== fromPath && files.has(conftest)) conftests.push(conftest);
+      if (!dir) return conftests;
+    }
+  };
+
+  return {
+    isModule: isPythonModule,
+    resolve,
+    /**
+     * Resolve every import of a file, plus the conftest.py files pytest loads for it
+     * @param {string} path - Importing file
+     * @param {string} content - File content
+     * @returns {Array<string>}
+     */
+    resolveImports: (path, content) => [...new Set([
+      ...(isPytestFile(path) ? findConftests(path) : []),
+      ...extractPythonImports(content).flatMap(statement => resolve(path, statement))
+    ].filter(resolved => resolved !== path))]
+  };
+};
+
+export default {
+  isPythonModule,
+  isConftest,
+  extractPythonImports,
+  findPackageRoots,
+  createPythonResolver
+};
@@ -0,0 +1,333 @@
+/**
+ * Repository Configuration Utility
+ * Reads the optional `.testrunner.yml` / `.testrunner.json` committed to a
+ * repository, so test patterns, thresholds, the Jenkins job and path mappings
+ * are shared by everyone analyzing its PRs instead of set per user
+ */
+
+import { TEST_PATTERNS } from '../constants/patterns.js';
+import { validateRepoConfig } from './validator.js';
+
+// Locations tried in order; the first file found is used
+export const REPO_CONFIG_PATHS = ['.testrunner.yml', '.testrunner.yaml', '.testrunner.json'];
+
+/**
+ * Remove a trailing `# comment` outside quotes
+ * @param {string} line - YAML line
+ * @returns {string}
+ */
+const stripComment = (line) => {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+
+  return line;
+};
+
+/**
+ * Split the items of a flow sequence, keeping commas inside quotes and braces
+ * @param {string} inner - Text between the brackets
+ * @returns {Array<string>}
+ */
+const splitFlowItems = (inner) => {
+  const items = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+
+  for (const char of inner) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) items.push(current);
+  return items;
+};
+
+/**
+ * Parse a YAML scalar or flow sequence
+ * @param {string} raw - Value text
+ * @param {number} line - Line number for errors
+ * @returns {*}
+ */
+const parseYamlValue = (raw, line) => {
+  const value = raw.trim();
+
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) {
+      throw new Error(`line ${line}: unterminated list`);
+    }
+    return splitFlowItems(value.slice(1, -1)).map(item => parseYamlValue(item, line));
+  }
+
+  if (value.startsWith('\'')) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) {
+      throw new Error(`line ${line}: unterminated string`);
+    }
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new Error(`line ${line}: invalid double-quoted string`);
+    }
+  }
+
+  if (/^[{|>&*!]/.test(value)) {
+    throw new Error(`line ${line}: flow mappings, block scalars, anchors and tags are not supported`);
+  }
+
+  return value;
+};
+
+// `key: value` or `key:`, where the key may be quoted
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#:-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/;
+
+const isSequenceItem = (text) => text === '-' || text.startsWith('- ');
+
+/**
+ * Parse the block-style YAML subset used by configuration files: nested
+ * mappings, sequences, flow sequences and scalars
+ * @param {string} content - YAML document
+ * @returns {*} Parsed document
+ */
+const parseYaml = (content) => {
+  const lines = [];
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const text = stripComment(rawLine).trimEnd();
+    if (!text.trim() || text.trim() === '---') return;
+
+    const indentation = text.match(/^\s*/)[0];
+    if (indentation.includes('\t')) {
+      throw new Error(`line ${index + 1}: indent with spaces, not tabs`);
+    }
+
+    lines.push({ number: index + 1, indent: indentation.length, text: text.trim() });
+  });
+
+  if (lines.length === 0) return null;
+
+  const parseNode = (start, indent) => (isSequenceItem(lines[start].text)
+    ? parseSequence(start, indent)
+    : parseMapping(start, indent));
+
+  // A nested block starts on the next line, deeper or (for sequences) at the same indent
+  const parseChild = (index, indent) => {
+    const next = lines[index + 1];
+    if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next.text)))) {
+      return parseNode(index + 1, next.indent);
+    }
+    return [null, index + 1];
+  };
+
+  const parseSequence = (start, indent) => {
+    const items = [];
+    let index = start;
+
+    while (index < lines.length && lines[index].indent === indent && isSequenceItem(lines[index].text)) {
+      const line = lines[index];
+      const rest = line.text.slice(1).trim();
+      let value;
+
+      if (!rest) {
+        [value, index] = parseChild(index, indent);
+      } else if (KEY_PATTERN.test(rest)) {
+        // `- key: value` starts a mapping aligned with the text after the dash
+        const offset = line.text.length - rest.length;
+        lines[index] = { ...line, indent: indent + offset, text: rest };
+        [value, index] = parseMapping(index, indent + offset);
+      } else {
+        value = parseYamlValue(rest, line.number);
+        index++;
+      }
+
+      items.push(value);
+    }
+
+    return [items, index];
+  };
+
+  const parseMapping = (start, indent) => {
+    const mapping = {};
+    let index = start;
+
+    while (index < lines.length && lines[index].indent === indent) {
+      const line = lines[index];
+      if (isSequenceItem(line.text)) {
+        throw new Error(`line ${line.number}: unexpected list item`);
+      }
+
+      const match = line.text.match(KEY_PATTERN);
+      if (!match) {
+        throw new Error(`line ${line.number}: expected "key: value"`);
+      }
+
+      const key = /^["']/.test(match[1]) ? parseYamlValue(match[1], line.number) : match[1];
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw new Error(`line ${line.number}: duplicate key "${key}"`);
+      }
+
+      if (match[2] !== undefined && match[2].trim() !== '') {
+        mapping[key] = parseYamlValue(match[2], line.number);
+        index++;
+      } else {
+        [mapping[key], index] = parseChild(index, indent);
+      }
+    }
+
+    if (index < lines.length && lines[index].indent > indent) {
+      throw new Error(`line ${lines[index].number}: unexpected indentation`);
+    }
+
+    return [mapping, index];
+  };
+
+  const [document, end] = parseNode(0, lines[0].indent);
+  if (end < lines.length) {
+    throw new Error(`line ${lines[end].number}: unexpected indentation`);
+  }
+
+  return document;
+};
+
+/**
+ * Parse and validate a repository configuration file
+ * A file with any error is ignored as a whole, so a typo never applies half a configuration
+ * @param {string} path - File path, which selects YAML or JSON parsing
+ * @param {string} content - File content
+ * @returns {Object} {path, config, errors} where config is null when errors were found
+ */
+export const parseRepoConfig = (path, content) => {
+  let config;
+
+  try {
+    config = path.endsWith('.json') ? JSON.parse(content) : parseYaml(content);
+  } catch (error) {
+    return { path, config: null, errors: [`${path}: ${error.message}`] };
+  }
+
+  // An empty file configures nothing
+  if (config === null) {
+    return { path, config: {}, errors: [] };
+  }
+
+  const { isValid, errors } = validateRepoConfig(config);
+
+  return {
+    path,
+    config: isValid ? config : null,
+    errors: errors.map(error => `${path}: ${error}`)
+  };
+};
+
+/**
+ * Apply repository settings over the extension configuration
+ * Languages listed under testPatterns replace the user's patterns for that language
+ * @param {Object} config - Extension configuration
+ * @param {Object} repoConfig - Validated configuration from parseRepoConfig
+ * @returns {Object} Effective configuration
+ */
+export const applyRepoConfig = (config, repoConfig = {}) => {
+  const testPatterns = { ...(config.testPatterns || TEST_PATTERNS) };
+
+  Object.entries(repoConfig.testPatterns || {}).forEach(([language, settings]) => {
+    testPatterns[language] = {
+      ...testPatterns[language],
+      ...settings,
+      extensions: settings.extensions || testPatterns[language]?.extensions || []
+    };
+  });
+
+  return {
+    ...config,
+    testPatterns,
+    analysis: { ...config.analysis, ...repoConfig.analysis },
+    jenkins: repoConfig.jenkins?.jobName
+      ? { ...config.jenkins, jobName: repoConfig.jenkins.jobName }
+      : config.jenkins,
+    mappings: repoConfig.mappings || config.mappings || []
+  };
+};
+
+/**
+ * Convert a mapping glob (`*`, `**`, `?`) to an anchored regular expression
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+const mappingGlobToRegex = (glob) => new RegExp(`^${glob
+  .replace(/^\.?\//, '')
+  .split(/(\*\*\/|\*\*|\*|\?)/)
+  .map(part => {
+    switch (part) {
+      case '**/': return '(?:.*/)?';
+      case '**': return '.*';
+      case '*': return '[^/]*';
+      case '?': return '[^/]';
+      default: return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  })
+  .join('')}$`);
+
+/**
+ * Get the test path patterns a mapping assigns to a source file
+ * `{dir}`, `{name}` and `{ext}` in test patterns are replaced by the source's
+ * directory, file name without extension and extension
+ * @param {Object} mapping - {source, tests}
+ * @param {string} path - Changed source path
+ * @returns {Array<Object>} [{pattern, regex}], empty when the source does not match
+ */
+export const getMappedTestPatterns = (mapping, path) => {
+  if (!mappingGlobToRegex(mapping.source).test(path)) return [];
+
+  const slash = path.lastIndexOf('/');
+  const file = path.slice(slash + 1);
+  const dot = file.lastIndexOf('.');
+  const placeholders = {
+    dir: slash === -1 ? '' : path.slice(0, slash),
+    name: dot > 0 ? file.slice(0, dot) : file,
+    ext: dot > 0 ? file.slice(dot + 1) : ''
+  };
+
+  return [].concat(mapping.tests).map(test => {
+    const pattern = test
+      .replace(/\{(dir|name|ext)\}/g, (_, key) => placeholders[key])
+      .replace(/^\/+/, '');
+    return { pattern, regex: mappingGlobToRegex(pattern) };
+  });
+};
+
+export default {
+  REPO_CONFIG_PATHS,
+  parseRepoConfig,
+  applyRepoConfig,
+  getMappedTestPatterns
+};
@@ -0,0 +1,54 @@
+/**
+ * Review Comment Utility
+ * Turns `missing_test` recommendations into line-anchored review comments.
+ * Each comment carries a hidden marker so later runs can skip files that
+ * were already commented on
+ */
+
+const MARKER_PREFIX = 'dynamic-test-runner:missing-test';
+
+/**
+ * Build the hidden marker identifying the comment for a file
+ * Hyphens are encoded because HTML comments must not contain `--`
+ * @param {string} path - File path
+ * @returns {string}
+ */
+export const getReviewMarker = (path) =>
+  `<!-- ${MARKER_PREFIX} ${encodeURIComponent(path).replace(/-/g, '%2D')} -->`;
+
+/**
+ * Build review comments for files that have no related tests
+ * Files without a changed line on the new side (e.g. deleted files) are skipped
+ * @param {Array<Object>} recommendations - Analysis recommendations
+ * @param {Array<Object>} changedFiles - PR changed files
+ * @returns {Array<Object>} [{path, line, marker, body}]
+ */
+export const buildMissingTestComments = (recommendations = [], changedFiles = []) => {
+  const files = new Map(changedFiles.map(file => [file.filename, file]));
+
+  return recommendations
+    .filter(recommendation => recommendation.type === 'missing_test' && recommendation.line)
+    .filter(recommendation => {
+      const file = files.get(recommendation.file);
+      return file && file.status !== 'removed' && !file.binary;
+    })
+    .map(recommendation => {
+      const marker = getReviewMarker(recommendation.file);
+
+      return {
+        path: recommendation.file,
+        line: recommendation.line,
+        marker,
+        body: `${marker}
+**🧪 Missing test** (${recommendation.severity} severity)
+
+${recommendation.message}.
+${recommendation.suggestion || ''}`.trim()
+      };
+    });
+};
+
+export default {
+  getReviewMarker,
+  buildMissingTestComments
+};
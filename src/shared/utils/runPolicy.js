@@ -0,0 +1,95 @@
+/**
+ * Run Policy Utility
+ * Maps PR labels and draft state to a run policy and applies it to the
+ * selected test files before the Jenkins build is triggered
+ */
+
+export const RUN_POLICIES = {
+  FULL: 'full',
+  SKIP: 'skip',
+  SMOKE: 'smoke'
+};
+
+// When several labels match, the first policy in this list wins
+const POLICY_PRECEDENCE = [RUN_POLICIES.SKIP, RUN_POLICIES.FULL, RUN_POLICIES.SMOKE];
+
+/**
+ * Convert a path glob (`*`, `**`, `?`) to an anchored regular expression
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+const globToRegex = (glob) => new RegExp(`^${glob
+  .split(/(\*\*\/|\*\*|\*|\?)/)
+  .map(part => {
+    switch (part) {
+      case '**/': return '(?:.*/)?';
+      case '**': return '.*';
+      case '*': return '[^/]*';
+      case '?': return '[^/]';
+      default: return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  })
+  .join('')}$`, 'i');
+
+/**
+ * Find the run policy for a PR
+ * @param {Object} pr - {labels, draft} from GitService.fetchPRData
+ * @param {Object} policies - config.policies {labels, draft}
+ * @returns {Object|null} {policy, reason} or null to run the selected tests
+ */
+export const resolveRunPolicy = ({ labels = [], draft = false } = {}, policies = {}) => {
+  const mapping = policies.labels || {};
+  const normalized = new Map(Object.entries(mapping).map(([label, policy]) => [label.toLowerCase(), policy]));
+
+  const matches = labels
+    .map(label => ({ label, policy: normalized.get(label.toLowerCase()) }))
+    .filter(match => POLICY_PRECEDENCE.includes(match.policy));
+
+  if (matches.length > 0) {
+    const [match] = matches.sort((a, b) =>
+      POLICY_PRECEDENCE.indexOf(a.policy) - POLICY_PRECEDENCE.indexOf(b.policy)
+    );
+    return { policy: match.policy, reason: `label "${match.label}"` };
+  }
+
+  if (draft && POLICY_PRECEDENCE.includes(policies.draft)) {
+    return { policy: policies.draft, reason: 'draft pull request' };
+  }
+
+  return null;
+};
+
+/**
+ * Apply a run policy to the selected test files
+ * A full run sends no test files, which the pipeline treats as the whole suite.
+ * A smoke run keeps the selected files matching `policies.smokePatterns` and sets
+ * the `smoke` tag; with no match the pipeline runs every tagged smoke test
+ * @param {string|null} policy - Policy from resolveRunPolicy
+ * @param {Array<string>} testFiles - Selected test files
+ * @param {Object} policies - config.policies
+ * @returns {Object} {testFiles, scope, tags}
+ */
+export const applyRunPolicy = (policy, testFiles = [], policies = {}) => {
+  const files = Array.isArray(testFiles) ? testFiles : String(testFiles).split(',').filter(Boolean);
+
+  switch (policy) {
+    case RUN_POLICIES.FULL:
+      return { testFiles: [], scope: RUN_POLICIES.FULL, tags: [] };
+    case RUN_POLICIES.SMOKE: {
+      const patterns = (policies.smokePatterns || []).map(globToRegex);
+      return {
+        testFiles: files.filter(file => patterns.some(pattern => pattern.test(file))),
+        scope: RUN_POLICIES.SMOKE,
+        tags: [policies.smokeTag || 'smoke']
+      };
+    }
+    default:
+      return { testFiles: files, scope: 'selected', tags: [] };
+  }
+};
+
+export default {
+  RUN_POLICIES,
+  resolveRunPolicy,
+  applyRunPolicy
+};
@@ -0,0 +1,63 @@
+/**
+ * Token Scope Utility
+ * Compares the scopes granted to a token with PLATFORM_CONFIG.requiredScopes
+ * and explains which features the missing ones break
+ */
+
+import { PLATFORM_CONFIG } from '../constants/platforms.js';
+
+/**
+ * Split a comma- or space-separated scopes header
+ * @param {string|null} value - Header value, e.g. `repo, read:org`
+ * @returns {Array<string>}
+ */
+export const parseScopeHeader = (value) =>
+  (value || '').split(/[,\s]+/).map(scope => scope.trim()).filter(Boolean);
+
+/**
+ * Add the scopes implied by broader ones, e.g. GitHub's `admin:org` grants `read:org`
+ * @param {string} platform - Platform name
+ * @param {Array<string>} scopes - Granted scopes
+ * @returns {Set<string>}
+ */
+export const expandScopes = (platform, scopes = []) => {
+  const implied = PLATFORM_CONFIG[platform]?.impliedScopes || {};
+  const expanded = new Set(scopes);
+
+  scopes.forEach(scope => (implied[scope] || []).forEach(impliedScope => expanded.add(impliedScope)));
+
+  return expanded;
+};
+
+/**
+ * Find the required scopes a token lacks and the features they break
+ * @param {string} platform - Platform name
+ * @param {Array<string>} scopes - Granted scopes
+ * @returns {Object} {missingScopes, features: [{feature, missing}]}
+ */
+export const findMissingScopes = (platform, scopes = []) => {
+  const { requiredScopes = [], featureScopes = {} } = PLATFORM_CONFIG[platform] || {};
+  const granted = expandScopes(platform, scopes);
+
+  return {
+    missingScopes: requiredScopes.filter(scope => !granted.has(scope)),
+    features: Object.entries(featureScopes)
+      .map(([feature, needed]) => ({ feature, missing: needed.filter(scope => !granted.has(scope)) }))
+      .filter(({ missing }) => missing.length > 0)
+  };
+};
+
+/**
+ * Describe broken features, e.g. "cannot post comments: missing repo"
+ * @param {Array<Object>} features - `features` from findMissingScopes
+ * @returns {Array<string>}
+ */
+export const describeMissingScopes = (features = []) =>
+  features.map(({ feature, missing }) => `cannot ${feature}: missing ${missing.join(', ')}`);
+
+export default {
+  parseScopeHeader,
+  expandScopes,
+  findMissingScopes,
+  describeMissingScopes
+};
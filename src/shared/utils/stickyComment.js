@@ -0,0 +1,97 @@
+/**
+ * Sticky Comment Utility
+ * Builds and parses the single bot comment kept up to date on each PR.
+ * The comment is tagged with a hidden HTML marker and carries its run
+ * history as JSON inside a second HTML comment
+ */
+
+export const STICKY_COMMENT_MARKER = '<!-- dynamic-test-runner:sticky -->';
+
+const HISTORY_PATTERN = /<!-- dynamic-test-runner:history (.*?) -->/s;
+
+// Runs kept in the collapsible history
+export const MAX_HISTORY_RUNS = 20;
+
+/**
+ * Check whether a comment body is the sticky bot comment
+ * @param {string} body - Comment body
+ * @returns {boolean}
+ */
+export const isStickyComment = (body) =>
+  typeof body === 'string' && body.includes(STICKY_COMMENT_MARKER);
+
+/**
+ * Read the run history embedded in a sticky comment
+ * @param {string} body - Comment body
+ * @returns {Array<Object>} Runs, newest first
+ */
+export const parseRunHistory = (body) => {
+  const match = typeof body === 'string' ? body.match(HISTORY_PATTERN) : null;
+  if (!match) return [];
+
+  try {
+    const runs = JSON.parse(match[1]);
+    return Array.isArray(runs) ? runs : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Serialize runs for an HTML comment, which must not contain `--`
+ * @param {Array<Object>} runs - Runs to embed
+ * @returns {string}
+ */
+const serializeRuns = (runs) => JSON.stringify(runs).replace(/-/g, '\\u002d');
+
+/**
+ * Format one history entry as a markdown list item
+ * @param {Object} run - {jobName, buildUrl, timestamp, testCount, policy}
+ * @returns {string}
+ */
+const formatRun = (run) => {
+  const when = run.timestamp ? new Date(run.timestamp).toLocaleString() : 'unknown time';
+  if (run.policy === 'skip') {
+    return `- ${when}: tests skipped`;
+  }
+
+  const tests = `${run.testCount ?? 0} test${run.testCount === 1 ? '' : 's'}`;
+  const job = run.buildUrl ? `[${run.jobName || 'build'}](${run.buildUrl})` : (run.jobName || 'build');
+  const scope = run.policy ? `, ${run.policy} run` : '';
+
+  return `- ${when}: ${job} (${tests}${scope})`;
+};
+
+/**
+ * Build the sticky comment body
+ * @param {string} content - Markdown for the latest run
+ * @param {Array<Object>} runs - Runs including the latest one, newest first
+ * @returns {string}
+ */
+export const buildStickyComment = (content, runs = []) => {
+  const kept = runs.slice(0, MAX_HISTORY_RUNS);
+  const previous = kept.slice(1);
+
+  const sections = [STICKY_COMMENT_MARKER, content];
+
+  if (previous.length > 0) {
+    sections.push(`<details>
+<summary>Previous runs (${previous.length})</summary>
+
+${previous.map(formatRun).join('\n')}
+
+</details>`);
+  }
+
+  sections.push(`<!-- dynamic-test-runner:history ${serializeRuns(kept)} -->`);
+
+  return sections.join('\n\n');
+};
+
+export default {
+  STICKY_COMMENT_MARKER,
+  MAX_HISTORY_RUNS,
+  isStickyComment,
+  parseRunHistory,
+  buildStickyComment
+};
@@ -3,6 +3,8 @@
  * Input validation and sanitization functions
  */
 
+import { SELF_HOSTED_PLATFORMS } from '../constants/platforms.js';
+
 /**
  * Validate URL format
  * @param {string} url - URL to validate
@@ -19,6 +21,18 @@ export const isValidUrl = (url) => {
   }
 };
 
+/**
+ * Validate a bare hostname (no scheme, port or path)
+ * @param {string} hostname - Hostname to validate
+ * @returns {boolean}
+ */
+export const isValidHostname = (hostname) => {
+  if (!hostname || typeof hostname !== 'string') return false;
+
+  const hostnameRegex = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+  return hostname.length <= 253 && hostnameRegex.test(hostname);
+};
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -60,9 +74,26 @@ export const validateConfig = (config) => {
   if (config.github?.token && !isValidToken(config.github.token)) {
     errors.push('Invalid GitHub token format');
   }
+  // Apps are identified by their numeric ID or their client ID
+  if (config.github?.app?.appId && !/^(\d+|Iv[\w.]+)$/.test(String(config.github.app.appId).trim())) {
+    errors.push('GitHub App ID must be the numeric app ID or client ID');
+  }
   if (config.gitlab?.token && !isValidToken(config.gitlab.token)) {
     errors.push('Invalid GitLab token format');
   }
+  if (config.azureDevOps?.token && !isValidToken(config.azureDevOps.token)) {
+    errors.push('Invalid Azure DevOps token format');
+  }
+
+  // Validate self-hosted instances
+  if (config.hosts !== undefined) {
+    errors.push(...validateHostEntries(config.hosts));
+  }
+
+  // Validate per-organization credentials
+  if (config.credentials !== undefined) {
+    errors.push(...validateCredentialEntries(config.credentials));
+  }
 
   // Validate numeric thresholds
   if (config.analysis) {
@@ -86,6 +117,198 @@ export const validateConfig = (config) => {
   };
 };
 
+/**
+ * Validate self-hosted host entries
+ * @param {Array} hosts - Host entries {hostname, platform, apiUrl, token}
+ * @returns {Array<string>} Error messages
+ */
+export const validateHostEntries = (hosts) => {
+  if (!Array.isArray(hosts)) {
+    return ['Self-hosted instances must be a list'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  hosts.forEach((entry, index) => {
+    const label = entry?.hostname || `#${index + 1}`;
+    const hostname = String(entry?.hostname || '').trim().toLowerCase();
+
+    if (!isValidHostname(hostname)) {
+      errors.push(`Invalid hostname for self-hosted instance ${label}`);
+    } else if (seen.has(hostname)) {
+      errors.push(`Duplicate self-hosted instance: ${hostname}`);
+    }
+    seen.add(hostname);
+
+    if (!SELF_HOSTED_PLATFORMS.includes(entry?.platform)) {
+      errors.push(`Unsupported platform for self-hosted instance ${label}: ${entry?.platform}`);
+    }
+
+    if (entry?.apiUrl && !isValidUrl(entry.apiUrl)) {
+      errors.push(`Invalid API URL for self-hosted instance ${label}`);
+    }
+
+    if (entry?.token && !isValidToken(entry.token)) {
+      errors.push(`Invalid token format for self-hosted instance ${label}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate per-organization credential entries
+ * @param {Array} credentials - Entries {label, hostname, owner, token, username}
+ * @returns {Array<string>} Error messages
+ */
+export const validateCredentialEntries = (credentials) => {
+  if (!Array.isArray(credentials)) {
+    return ['Credentials must be a list'];
+  }
+
+  const errors = [];
+
+  credentials.forEach((entry, index) => {
+    const label = entry?.label || `${entry?.hostname || '#' + (index + 1)} ${entry?.owner || '*'}`;
+
+    if (!isValidHostname(String(entry?.hostname || '').trim())) {
+      errors.push(`Invalid hostname for credential ${label}`);
+    }
+
+    if (!/^[\w.*-]+$/.test(String(entry?.owner || '*').trim())) {
+      errors.push(`Invalid owner pattern for credential ${label}: use letters, digits, '-', '_', '.' and '*'`);
+    }
+
+    if (!isValidToken(entry?.token)) {
+      errors.push(`Invalid token for credential ${label}`);
+    }
+  });
+
+  return errors;
+};
+
+// Analysis thresholds a repository configuration may override, with their allowed range
+const REPO_ANALYSIS_THRESHOLDS = {
+  coverageThreshold: { min: 0, max: 100 },
+  maxTestsToRun: { min: 1, integer: true },
+  complexityThreshold: { min: 1 },
+  riskScoreThreshold: { min: 0, max: 100 }
+};
+
+const REPO_CONFIG_SECTIONS = ['testPatterns', 'analysis', 'jenkins', 'mappings'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isStringList = (value) => Array.isArray(value) && value.length > 0 &&
+  value.every(item => typeof item === 'string' && item.trim() !== '');
+
+/**
+ * Validate a repository configuration file (.testrunner.yml / .testrunner.json)
+ * Only test selection settings are accepted: Jenkins URLs and credentials stay
+ * in each user's configuration
+ * @param {Object} repoConfig - Parsed file
+ * @returns {Object} {isValid, errors}
+ */
+export const validateRepoConfig = (repoConfig) => {
+  if (!isPlainObject(repoConfig)) {
+    return { isValid: false, errors: ['The file must contain a mapping of settings'] };
+  }
+
+  const errors = [];
+
+  Object.keys(repoConfig)
+    .filter(key => !REPO_CONFIG_SECTIONS.includes(key))
+    .forEach(key => errors.push(`Unknown setting "${key}"; expected ${REPO_CONFIG_SECTIONS.join(', ')}`));
+
+  const { testPatterns, analysis, jenkins, mappings } = repoConfig;
+
+  if (testPatterns !== undefined) {
+    if (!isPlainObject(testPatterns)) {
+      errors.push('testPatterns must map language names to {patterns, extensions, frameworks}');
+    } else {
+      Object.entries(testPatterns).forEach(([language, settings]) => {
+        if (!isPlainObject(settings)) {
+          errors.push(`testPatterns.${language} must be a mapping with a patterns list`);
+          return;
+        }
+        if (!isStringList(settings.patterns)) {
+          errors.push(`testPatterns.${language}.patterns must be a non-empty list of globs`);
+        }
+        ['extensions', 'frameworks'].forEach(field => {
+          if (settings[field] !== undefined && !isStringList(settings[field])) {
+            errors.push(`testPatterns.${language}.${field} must be a non-empty list of strings`);
+          }
+        });
+        Object.keys(settings)
+          .filter(field => !['patterns', 'extensions', 'frameworks'].includes(field))
+          .forEach(field => errors.push(`Unknown setting "testPatterns.${language}.${field}"`));
+      });
+    }
+  }
+
+  if (analysis !== undefined) {
+    if (!isPlainObject(analysis)) {
+      errors.push('analysis must be a mapping of thresholds');
+    } else {
+      Object.entries(analysis).forEach(([key, value]) => {
+        const range = REPO_ANALYSIS_THRESHOLDS[key];
+        if (!range) {
+          errors.push(`Unknown setting "analysis.${key}"; expected ${Object.keys(REPO_ANALYSIS_THRESHOLDS).join(', ')}`);
+        } else if (typeof value !== 'number' || value < range.min || (range.max !== undefined && value > range.max) ||
+            (range.integer && !Number.isInteger(value))) {
+          const bounds = range.max !== undefined ? `between ${range.min} and ${range.max}` : `at least ${range.min}`;
+          errors.push(`analysis.${key} must be ${range.integer ? 'an integer' : 'a number'} ${bounds}`);
+        }
+      });
+    }
+  }
+
+  if (jenkins !== undefined) {
+    if (!isPlainObject(jenkins)) {
+      errors.push('jenkins must be a mapping with a jobName');
+    } else {
+      Object.keys(jenkins)
+        .filter(key => key !== 'jobName')
+        .forEach(key => errors.push(`jenkins.${key} cannot be set in the repository; only jobName is supported`));
+
+      if (jenkins.jobName !== undefined &&
+          (typeof jenkins.jobName !== 'string' || !/^[\w.-]+(\/job\/[\w.-]+)*$/.test(jenkins.jobName))) {
+        errors.push('jenkins.jobName must be a job name, e.g. my-pipeline or folder/job/my-pipeline');
+      }
+    }
+  }
+
+  if (mappings !== undefined) {
+    if (!Array.isArray(mappings)) {
+      errors.push('mappings must be a list of {source, tests}');
+    } else {
+      mappings.forEach((mapping, index) => {
+        const label = `mappings[${index}]`;
+        if (!isPlainObject(mapping)) {
+          errors.push(`${label} must be a mapping with source and tests`);
+          return;
+        }
+        if (typeof mapping.source !== 'string' || !mapping.source.trim()) {
+          errors.push(`${label}.source must be a glob of source files`);
+        }
+        const tests = typeof mapping.tests === 'string' ? [mapping.tests] : mapping.tests;
+        if (!isStringList(tests)) {
+          errors.push(`${label}.tests must be a test path or a list of test globs`);
+        }
+        Object.keys(mapping)
+          .filter(key => !['source', 'tests'].includes(key))
+          .forEach(key => errors.push(`Unknown setting "${label}.${key}"`));
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
 /**
  * Sanitize string input (remove potentially dangerous characters)
  * @param {string} input - Input to sanitize
@@ -153,9 +376,13 @@ export const validateTestFiles = (testFiles) => {
 
 export default {
   isValidUrl,
+  isValidHostname,
   isValidEmail,
   isValidToken,
   validateConfig,
+  validateHostEntries,
+  validateCredentialEntries,
+  validateRepoConfig,
   sanitizeString,
   isValidPRNumber,
   isValidTestFilePath,
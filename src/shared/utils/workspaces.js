@@ -0,0 +1,263 @@
+/**
+ * Workspace Utility
+ * Discovers monorepo packages (npm / Yarn workspaces, pnpm, Lerna, Nx) from a
+ * repository tree and builds the package dependency graph used to select the
+ * tests of a changed package's dependents
+ */
+
+// Root files that declare workspace package locations
+export const WORKSPACE_CONFIG_FILES = ['package.json', 'pnpm-workspace.yaml', 'lerna.json'];
+
+// Manifests read from every package directory
+const PACKAGE_MANIFESTS = ['package.json', 'project.json'];
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Convert a workspace glob (`packages/*`, `apps/**`) to a directory regex
+ * @param {string} glob - Workspace glob
+ * @returns {RegExp}
+ */
+const workspaceGlobToRegex = (glob) => new RegExp(`^${glob
+  .replace(/^\.\//, '')
+  .replace(/\/+$/, '')
+  .split(/(\*\*|\*|\?)/)
+  .map(part => {
+    switch (part) {
+      case '**': return '.*';
+      case '*': return '[^/]*';
+      case '?': return '[^/]';
+      default: return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  })
+  .join('')}$`);
+
+/**
+ * Read the `packages` list of pnpm-workspace.yaml
+ * Only the block list form used by pnpm is supported, which avoids a YAML dependency
+ * @param {string} content - File content
+ * @returns {Array<string>}
+ */
+export const parsePnpmWorkspace = (content = '') => {
+  const globs = [];
+  let inPackages = false;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.replace(/\s+#.*$/, '');
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    if (/^\S/.test(line)) {
+      inPackages = /^packages\s*:/.test(line);
+      // Flow style: packages: ['packages/*', 'apps/*']
+      const flow = line.match(/^packages\s*:\s*\[(.*)\]/);
+      if (flow) {
+        globs.push(...flow[1].split(',').map(item => item.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean));
+        inPackages = false;
+      }
+      continue;
+    }
+
+    const item = inPackages && line.match(/^\s+-\s*(.+)$/);
+    if (item) {
+      globs.push(item[1].trim().replace(/^['"]|['"]$/g, ''));
+    }
+  }
+
+  return globs;
+};
+
+/**
+ * Parse JSON, returning null for missing or invalid content
+ * @param {string|undefined} content - File content
+ * @returns {Object|null}
+ */
+const parseJson = (content) => {
+  if (typeof content !== 'string') return null;
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Collect workspace globs from the root configuration files
+ * @param {Object} files - Map of root file name to content
+ * @returns {Object} {tools, globs} where globs may contain `!` exclusions
+ */
+export const getWorkspaceGlobs = (files = {}) => {
+  const tools = [];
+  const globs = [];
+
+  const rootPackage = parseJson(files['package.json']);
+  const workspaces = rootPackage?.workspaces;
+  // Yarn also accepts { packages: [...], nohoist: [...] }
+  const packageGlobs = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+  if (Array.isArray(packageGlobs)) {
+    tools.push('workspaces');
+    globs.push(...packageGlobs);
+  }
+
+  if (typeof files['pnpm-workspace.yaml'] === 'string') {
+    tools.push('pnpm');
+    globs.push(...parsePnpmWorkspace(files['pnpm-workspace.yaml']));
+  }
+
+  const lerna = parseJson(files['lerna.json']);
+  if (lerna) {
+    tools.push('lerna');
+    globs.push(...(Array.isArray(lerna.packages) ? lerna.packages : ['packages/*']));
+  }
+
+  return { tools, globs: [...new Set(globs)] };
+};
+
+/**
+ * Find package directories in a repository tree
+ * Directories with a package.json matching the workspace globs are packages, and
+ * so is every directory with an Nx project.json
+ * @param {Array<string>} globs - Result of getWorkspaceGlobs
+ * @param {Array<string>} paths - Repository file paths
+ * @returns {Array<string>} Package directories
+ */
+export const findPackageDirs = (globs, paths) => {
+  const include = globs.filter(glob => !glob.startsWith('!')).map(workspaceGlobToRegex);
+  const exclude = globs.filter(glob => glob.startsWith('!')).map(glob => workspaceGlobToRegex(glob.slice(1)));
+  const dirs = new Set();
+
+  for (const path of paths) {
+    if (path.includes('node_modules/')) continue;
+
+    const slash = path.lastIndexOf('/');
+    const dir = slash === -1 ? '' : path.slice(0, slash);
+    const file = path.slice(slash + 1);
+    if (!dir) continue;
+
+    if (file === 'project.json' ||
+        (file === 'package.json' && include.some(regex => regex.test(dir)) && !exclude.some(regex => regex.test(dir)))) {
+      dirs.add(dir);
+    }
+  }
+
+  return [...dirs].sort();
+};
+
+/**
+ * List the manifests to read for package directories
+ * @param {Array<string>} dirs - Package directories
+ * @param {Array<string>} paths - Repository file paths
+ * @returns {Array<string>}
+ */
+export const getManifestPaths = (dirs, paths) => {
+  const listed = new Set(paths);
+  return dirs.flatMap(dir => PACKAGE_MANIFESTS.map(file => `${dir}/${file}`)).filter(path => listed.has(path));
+};
+
+/**
+ * Build the package dependency graph
+ * Edges come from package.json dependency fields naming another workspace
+ * package, and from Nx `implicitDependencies` (`!name` removes an edge)
+ * @param {Array<string>} dirs - Package directories
+ * @param {Object} manifests - Map of manifest path to content
+ * @returns {Object} {packages: [{name, dir, dependencies}]}
+ */
+export const buildWorkspaceGraph = (dirs, manifests = {}) => {
+  const packages = dirs.map(dir => {
+    const packageJson = parseJson(manifests[`${dir}/package.json`]);
+    const project = parseJson(manifests[`${dir}/project.json`]);
+
+    return {
+      dir,
+      name: packageJson?.name || project?.name || dir.split('/').pop(),
+      aliases: [packageJson?.name, project?.name].filter(Boolean),
+      packageJson,
+      project
+    };
+  });
+
+  const byName = new Map();
+  packages.forEach(pkg => pkg.aliases.concat(pkg.name).forEach(alias => byName.set(alias, pkg.name)));
+
+  return {
+    packages: packages.map(({ dir, name, packageJson, project }) => {
+      const dependencies = new Set();
+
+      for (const field of DEPENDENCY_FIELDS) {
+        Object.keys(packageJson?.[field] || {})
+          .filter(dependency => byName.has(dependency))
+          .forEach(dependency => dependencies.add(byName.get(dependency)));
+      }
+
+      for (const dependency of project?.implicitDependencies || []) {
+        if (dependency.startsWith('!')) {
+          dependencies.delete(byName.get(dependency.slice(1)));
+        } else if (byName.has(dependency)) {
+          dependencies.add(byName.get(dependency));
+        }
+      }
+
+      dependencies.delete(name);
+      return { name, dir, dependencies: [...dependencies] };
+    })
+  };
+};
+
+/**
+ * Find the package containing a path (the deepest package directory)
+ * @param {Object} graph - Result of buildWorkspaceGraph
+ * @param {string} path - Repository path
+ * @returns {Object|null} Package
+ */
+export const findPackageForPath = (graph, path) =>
+  graph.packages
+    .filter(pkg => path.startsWith(`${pkg.dir}/`))
+    .sort((a, b) => b.dir.length - a.dir.length)[0] || null;
+
+/**
+ * Find every package depending on a package, directly or transitively
+ * @param {Object} graph - Result of buildWorkspaceGraph
+ * @param {string} name - Package name
+ * @returns {Array<Object>} [{package, chain}] where chain runs from the dependent
+ *   down to the changed package, nearest dependents first
+ */
+export const findDependents = (graph, name) => {
+  const dependents = new Map();
+  graph.packages.forEach(pkg => pkg.dependencies.forEach(dependency => {
+    if (!dependents.has(dependency)) dependents.set(dependency, []);
+    dependents.get(dependency).push(pkg);
+  }));
+
+  const results = [];
+  const visited = new Set([name]);
+  let queue = [{ name, chain: [name] }];
+
+  while (queue.length > 0) {
+    const next = [];
+
+    for (const { name: current, chain } of queue) {
+      for (const dependent of dependents.get(current) || []) {
+        if (visited.has(dependent.name)) continue;
+        visited.add(dependent.name);
+
+        const dependentChain = [dependent.name, ...chain];
+        results.push({ package: dependent, chain: dependentChain });
+        next.push({ name: dependent.name, chain: dependentChain });
+      }
+    }
+
+    queue = next;
+  }
+
+  return results;
+};
+
+export default {
+  WORKSPACE_CONFIG_FILES,
+  parsePnpmWorkspace,
+  getWorkspaceGlobs,
+  findPackageDirs,
+  getManifestPaths,
+  buildWorkspaceGraph,
+  findPackageForPath,
+  findDependents
+};